@@ -0,0 +1,98 @@
+import { verifySessionToken } from '../services/sessionService.js';
+import { getMemberPermissionLevel } from '../services/discordService.js';
+import { hasPermission } from '../services/permissions.js';
+import { createLogger } from '../services/logger.js';
+
+const logger = createLogger('auth');
+
+/**
+ * Extract the session token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} - Bearer token, if present
+ */
+function getBearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return null;
+  }
+
+  return token;
+}
+
+/**
+ * Express middleware that requires a valid session token
+ * Attaches the token payload to `req.user`
+ */
+export function requireAuth(req, res, next) {
+  try {
+    const token = getBearerToken(req);
+
+    if (!token) {
+      return res.status(401).json({
+        error: 'Authentication required'
+      });
+    }
+
+    const user = verifySessionToken(token);
+
+    if (!user) {
+      return res.status(401).json({
+        error: 'Invalid or expired session token'
+      });
+    }
+
+    req.user = user;
+    next();
+
+  } catch (error) {
+    logger.error('❌ Error verifying session token:', error.message);
+    res.status(500).json({
+      error: 'Failed to verify session',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Express middleware factory that requires a minimum permission level
+ * Must run after requireAuth. Attaches the level to `req.user.permissionLevel`
+ * @param {string} required - Minimum permission level (see PERMISSION_LEVELS)
+ */
+export function requirePermission(required) {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          error: 'Authentication required'
+        });
+      }
+
+      if (!req.user.permissionLevel) {
+        req.user.permissionLevel = await getMemberPermissionLevel(req.user.id);
+      }
+
+      if (!hasPermission(req.user.permissionLevel, required)) {
+        logger.warn(`🚫 User ${req.user.id} (${req.user.permissionLevel}) denied ${req.method} ${req.originalUrl} - requires ${required}`);
+        return res.status(403).json({
+          error: 'Insufficient permissions',
+          details: `This action requires the ${required} permission level`,
+          required,
+          current: req.user.permissionLevel
+        });
+      }
+
+      next();
+
+    } catch (error) {
+      logger.error('❌ Error checking permissions:', error.message);
+      res.status(500).json({
+        error: 'Failed to check permissions',
+        details: error.message
+      });
+    }
+  };
+}
+
+export default { requireAuth, requirePermission };
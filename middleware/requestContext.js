@@ -0,0 +1,20 @@
+import { newCorrelationId, runWithContext } from '../services/logger.js';
+
+// Accept an upstream ID (load balancer, frontend) if it looks sane
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+/**
+ * Give every request a correlation ID and run the rest of the request in its logging context
+ * The ID comes from the `X-Request-Id` header when present and is echoed back in the response.
+ */
+export function requestContext(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  const correlationId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : newCorrelationId('http');
+
+  req.correlationId = correlationId;
+  res.set('X-Request-Id', correlationId);
+
+  runWithContext({ correlationId }, next);
+}
+
+export default requestContext;
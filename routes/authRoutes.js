@@ -1,8 +1,113 @@
 import express from 'express';
 import { collections } from '../services/firebase.js';
+import { createSessionToken } from '../services/sessionService.js';
+import { requireAuth } from '../middleware/auth.js';
+import { getConfig } from '../services/config.js';
+import { fetchLoginMember, getMemberFields } from '../services/guildMembers.js';
+import { STATE_TTL_MS, resolveReturnUrl, createOAuthState, consumeOAuthState } from '../services/oauthState.js';
+import { createLogger } from '../services/logger.js';
+
+const logger = createLogger('authRoutes');
 
 const router = express.Router();
 
+// guilds.members.read lets logins check guild membership while the bot is offline
+const OAUTH_SCOPES = ['identify', 'email', 'guilds.members.read'];
+
+// Ties the OAuth state to the browser that started the login
+const STATE_COOKIE = 'bonfire_oauth_state';
+
+/**
+ * Build a URL on the frontend the login returns to
+ * @param {string} pathname - Path and query, e.g. `/auth/error?error=no_code`
+ * @param {string} returnUrl - Return URL from the OAuth state (defaults to FRONTEND_URL)
+ * @returns {string}
+ */
+function getFrontendUrl(pathname, returnUrl = null) {
+  const origin = new URL(returnUrl || getConfig().urls.frontend).origin;
+  return `${origin}${pathname}`;
+}
+
+/**
+ * Read the OAuth state cookie
+ * @param {Object} req - Express request
+ * @returns {string|null} - Nonce
+ */
+function readStateCookie(req) {
+  const cookie = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${STATE_COOKIE}=`));
+
+  return cookie ? decodeURIComponent(cookie.slice(STATE_COOKIE.length + 1)) : null;
+}
+
+/**
+ * Set (or clear, with a null nonce) the OAuth state cookie
+ * SameSite=Lax still sends it on the top-level redirect back from Discord.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string|null} nonce - Nonce from createOAuthState
+ */
+function setStateCookie(req, res, nonce) {
+  const secure = getCallbackUri(req).startsWith('https:');
+  const attributes = [
+    `${STATE_COOKIE}=${nonce ? encodeURIComponent(nonce) : ''}`,
+    'Path=/api/auth',
+    `Max-Age=${nonce ? Math.floor(STATE_TTL_MS / 1000) : 0}`,
+    'HttpOnly',
+    'SameSite=Lax',
+    ...(secure ? ['Secure'] : [])
+  ];
+
+  res.append('Set-Cookie', attributes.join('; '));
+}
+
+/**
+ * Get the backend OAuth callback URL - BACKEND_URL when set, otherwise the host of the request
+ * /login and /callback must send Discord the same value.
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+function getCallbackUri(req) {
+  const baseUrl = getConfig().urls.backend || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl}/api/auth/callback`;
+}
+
+/**
+ * Create or update the users document of a guild member who logged in
+ * @param {Object} discordUser - Discord user object
+ * @param {Object} member - Guild member from fetchLoginMember
+ */
+async function saveLoginUser(discordUser, member) {
+  const userRef = collections.get(collections.USERS).doc(discordUser.id);
+  const userData = {
+    id: discordUser.id,
+    username: discordUser.username,
+    discriminator: discordUser.discriminator,
+    avatar: discordUser.avatar,
+    email: discordUser.email,
+    verified: discordUser.verified,
+    ...getMemberFields(member),
+    lastLogin: new Date(),
+    updatedAt: new Date()
+  };
+
+  // Check if user exists
+  const userDoc = await userRef.get();
+  
+  if (userDoc.exists) {
+    // Update existing user
+    await userRef.update(userData);
+    logger.info(`✅ Updated existing user: ${discordUser.username}#${discordUser.discriminator}`);
+  } else {
+    // Create new user
+    userData.createdAt = new Date();
+    await userRef.set(userData);
+    logger.info(`🆕 Created new user: ${discordUser.username}#${discordUser.discriminator}`);
+  }
+}
+
 /**
  * GET /api/auth/callback
  * Handle Discord OAuth callback and redirect to frontend with user data
@@ -11,17 +116,27 @@ router.get('/callback', async (req, res) => {
   try {
     const { code, error, state } = req.query;
     
-    console.log(`🔄 OAuth callback received`);
-    console.log(`🔄 Query params:`, req.query);
+    logger.info(`🔄 OAuth callback received`, { hasCode: !!code, hasState: !!state, error: error || null });
+
+    // The state must come from a login this browser started, and only once
+    const stateData = await consumeOAuthState(state, readStateCookie(req));
+    setStateCookie(req, res, null);
+
+    if (!stateData) {
+      logger.warn('⚠️ OAuth callback with a missing, invalid, expired or reused state');
+      return res.redirect(getFrontendUrl('/auth/error?error=invalid_state'));
+    }
+
+    const { returnUrl } = stateData;
 
     if (error) {
-      console.error(`❌ Discord OAuth error: ${error}`);
-      return res.redirect(`https://bonfire-albion.web.app/auth/error?error=${encodeURIComponent(error)}`);
+      logger.error(`❌ Discord OAuth error: ${error}`);
+      return res.redirect(getFrontendUrl(`/auth/error?error=${encodeURIComponent(error)}`, returnUrl));
     }
 
     if (!code) {
-      console.error(`❌ No authorization code received`);
-      return res.redirect(`https://bonfire-albion.web.app/auth/error?error=no_code`);
+      logger.error(`❌ No authorization code received`);
+      return res.redirect(getFrontendUrl('/auth/error?error=no_code', returnUrl));
     }
 
     // Exchange code for access token
@@ -31,18 +146,18 @@ router.get('/callback', async (req, res) => {
         'Content-Type': 'application/x-www-form-urlencoded',
       },
       body: new URLSearchParams({
-        client_id: process.env.DISCORD_CLIENT_ID,
-        client_secret: process.env.DISCORD_CLIENT_SECRET,
+        client_id: getConfig().oauth.clientId,
+        client_secret: getConfig().oauth.clientSecret,
         code: code,
         grant_type: 'authorization_code',
-        redirect_uri: `${req.protocol}://${req.get('host')}/api/auth/callback`,
+        redirect_uri: getCallbackUri(req),
       }),
     });
 
     if (!tokenResponse.ok) {
       const errorData = await tokenResponse.text();
-      console.error('Discord token exchange failed:', errorData);
-      return res.redirect(`https://bonfire-albion.web.app/auth/error?error=token_exchange_failed`);
+      logger.error('Discord token exchange failed:', errorData);
+      return res.redirect(getFrontendUrl('/auth/error?error=token_exchange_failed', returnUrl));
     }
 
     const tokenData = await tokenResponse.json();
@@ -55,57 +170,38 @@ router.get('/callback', async (req, res) => {
     });
 
     if (!userResponse.ok) {
-      console.error('Failed to fetch Discord user data');
-      return res.redirect(`https://bonfire-albion.web.app/auth/error?error=user_fetch_failed`);
+      logger.error('Failed to fetch Discord user data');
+      return res.redirect(getFrontendUrl('/auth/error?error=user_fetch_failed', returnUrl));
     }
 
     const discordUser = await userResponse.json();
 
-    // Create/update user in Firestore
-    const userData = {
-      id: discordUser.id,
-      username: discordUser.username,
-      discriminator: discordUser.discriminator,
-      avatar: discordUser.avatar,
-      email: discordUser.email,
-      verified: discordUser.verified,
-      lastLogin: new Date(),
-      updatedAt: new Date()
-    };
-
-    // Check if user exists
-    const userDoc = await collections.get(collections.USERS).doc(discordUser.id).get();
-    
-    if (userDoc.exists) {
-      // Update existing user
-      await collections.get(collections.USERS).doc(discordUser.id).update(userData);
-      console.log(`✅ Updated existing user: ${discordUser.username}#${discordUser.discriminator}`);
-    } else {
-      // Create new user
-      userData.createdAt = new Date();
-      await collections.get(collections.USERS).doc(discordUser.id).set(userData);
-      console.log(`🆕 Created new user: ${discordUser.username}#${discordUser.discriminator}`);
+    // Only members of our guild get an account
+    const member = await fetchLoginMember(discordUser.id, tokenData.access_token);
+    if (!member) {
+      logger.warn(`🚫 Login rejected - ${discordUser.id} is not a member of the guild`);
+      return res.redirect(getFrontendUrl('/auth/error?error=not_guild_member', returnUrl));
     }
 
-    // Create a simple token for the frontend (just the user data encoded)
-    const userToken = Buffer.from(JSON.stringify({
-      id: discordUser.id,
-      username: discordUser.username,
-      discriminator: discordUser.discriminator,
-      avatar: discordUser.avatar,
-      verified: discordUser.verified
-    })).toString('base64');
-
-    // Redirect to frontend with user data
-    const redirectUrl = `https://bonfire-albion.web.app/auth/success?token=${userToken}`;
-    console.log(`✅ Redirecting to frontend: ${redirectUrl}`);
+    await saveLoginUser(discordUser, member);
+
+    // Create a signed, expiring session token for the frontend
+    const userToken = createSessionToken(discordUser);
+
+    // Redirect to the frontend the login started from, passing along the page to return to
+    const { pathname, search, hash } = new URL(returnUrl);
+    const returnTo = `${pathname}${search}${hash}`;
+    const redirectUrl = getFrontendUrl(
+      `/auth/success?token=${encodeURIComponent(userToken)}${returnTo !== '/' ? `&returnTo=${encodeURIComponent(returnTo)}` : ''}`,
+      returnUrl
+    );
+    logger.info('✅ Redirecting to frontend with session token', { discordId: discordUser.id, origin: new URL(returnUrl).origin });
     
     res.redirect(redirectUrl);
 
   } catch (error) {
-    console.error('❌ Error in OAuth callback:', error.message);
-    console.error('❌ Stack trace:', error.stack);
-    res.redirect(`https://bonfire-albion.web.app/auth/error?error=internal_error`);
+    logger.error('❌ Error in OAuth callback:', error);
+    res.redirect(getFrontendUrl('/auth/error?error=internal_error'));
   }
 });
 
@@ -123,6 +219,12 @@ router.post('/exchange-code', async (req, res) => {
       });
     }
 
+    if (redirectUri && !resolveReturnUrl(redirectUri)) {
+      return res.status(400).json({
+        error: 'Redirect URI is not an allowed redirect origin'
+      });
+    }
+
     // Exchange code for access token
     const tokenResponse = await fetch('https://discord.com/api/oauth2/token', {
       method: 'POST',
@@ -130,17 +232,17 @@ router.post('/exchange-code', async (req, res) => {
         'Content-Type': 'application/x-www-form-urlencoded',
       },
       body: new URLSearchParams({
-        client_id: process.env.DISCORD_CLIENT_ID,
-        client_secret: process.env.DISCORD_CLIENT_SECRET,
+        client_id: getConfig().oauth.clientId,
+        client_secret: getConfig().oauth.clientSecret,
         code: code,
         grant_type: 'authorization_code',
-        redirect_uri: redirectUri || process.env.REDIRECT_URI,
+        redirect_uri: redirectUri || getConfig().oauth.redirectUri,
       }),
     });
 
     if (!tokenResponse.ok) {
       const errorData = await tokenResponse.text();
-      console.error('Discord token exchange failed:', errorData);
+      logger.error('Discord token exchange failed:', errorData);
       return res.status(400).json({ 
         error: 'Failed to exchange authorization code',
         details: errorData
@@ -157,7 +259,7 @@ router.post('/exchange-code', async (req, res) => {
     });
 
     if (!userResponse.ok) {
-      console.error('Failed to fetch Discord user data');
+      logger.error('Failed to fetch Discord user data');
       return res.status(400).json({ 
         error: 'Failed to fetch user data from Discord' 
       });
@@ -165,48 +267,37 @@ router.post('/exchange-code', async (req, res) => {
 
     const discordUser = await userResponse.json();
 
-    // Create/update user in Firestore
-    const userData = {
-      id: discordUser.id,
-      username: discordUser.username,
-      discriminator: discordUser.discriminator,
-      avatar: discordUser.avatar,
-      email: discordUser.email,
-      verified: discordUser.verified,
-      lastLogin: new Date(),
-      updatedAt: new Date()
-    };
-
-    // Check if user exists
-    const userDoc = await collections.get(collections.USERS).doc(discordUser.id).get();
-    
-    if (userDoc.exists) {
-      // Update existing user
-      await collections.get(collections.USERS).doc(discordUser.id).update(userData);
-      console.log(`✅ Updated existing user: ${discordUser.username}#${discordUser.discriminator}`);
-    } else {
-      // Create new user
-      userData.createdAt = new Date();
-      await collections.get(collections.USERS).doc(discordUser.id).set(userData);
-      console.log(`🆕 Created new user: ${discordUser.username}#${discordUser.discriminator}`);
+    // Only members of our guild get an account
+    const member = await fetchLoginMember(discordUser.id, tokenData.access_token);
+    if (!member) {
+      logger.warn(`🚫 Login rejected - ${discordUser.id} is not a member of the guild`);
+      return res.status(403).json({
+        error: 'not_guild_member',
+        message: 'You need to join the Discord server before you can log in'
+      });
     }
 
-    // Return user data (without sensitive token info)
+    await saveLoginUser(discordUser, member);
+
+    // Return user data (without sensitive token info) and a signed session token
     res.json({
       success: true,
+      token: createSessionToken(discordUser),
       user: {
         id: discordUser.id,
         username: discordUser.username,
         discriminator: discordUser.discriminator,
         avatar: discordUser.avatar,
         email: discordUser.email,
-        verified: discordUser.verified
+        verified: discordUser.verified,
+        guildNickname: member.nickname,
+        guildRoleIds: member.roleIds
       },
       message: 'Login successful'
     });
 
   } catch (error) {
-    console.error('❌ Error in Discord OAuth:', error.message);
+    logger.error('❌ Error in Discord OAuth:', error.message);
     res.status(500).json({
       error: 'Internal server error during authentication',
       details: error.message
@@ -222,42 +313,44 @@ router.get('/login', (req, res) => {
   try {
     const { frontend } = req.query;
     
-    console.log(`🔗 Login request received`);
-    console.log(`🔗 Query params:`, req.query);
-    console.log(`🔗 Frontend param: ${frontend}`);
+    logger.info(`🔗 Login request received`, { frontend: frontend || null });
     
-    // Check if required env variables exist
-    if (!process.env.DISCORD_CLIENT_ID) {
-      console.error('❌ DISCORD_CLIENT_ID not set in environment variables');
-      return res.status(500).json({
-        error: 'Discord OAuth not configured - missing DISCORD_CLIENT_ID'
+    // Only return to frontends on the allowlist
+    const returnUrl = resolveReturnUrl(frontend);
+    if (!returnUrl) {
+      logger.warn('⚠️ Login requested for a frontend that is not allowed', { frontend });
+      return res.status(400).json({
+        error: 'Frontend is not an allowed redirect origin'
       });
     }
     
     // Use backend callback URL - the backend will handle the callback and redirect to frontend
-    const redirectUri = `${req.protocol}://${req.get('host')}/api/auth/callback`;
+    const redirectUri = getCallbackUri(req);
     
-    console.log(`🔗 Using backend callback URI: ${redirectUri}`);
-    console.log(`🔗 Discord Client ID: ${process.env.DISCORD_CLIENT_ID}`);
+    logger.debug(`🔗 Using backend callback URI: ${redirectUri}`);
+    
+    // Signed, single-use state carrying the return URL; the cookie binds it to this browser
+    const { state, nonce } = createOAuthState(returnUrl);
+    setStateCookie(req, res, nonce);
     
     const baseUrl = 'https://discord.com/api/oauth2/authorize';
     const params = new URLSearchParams({
-      client_id: process.env.DISCORD_CLIENT_ID,
+      client_id: getConfig().oauth.clientId,
       redirect_uri: redirectUri,
       response_type: 'code',
-      scope: 'identify email',
+      scope: OAUTH_SCOPES.join(' '),
+      state,
     });
 
     const authUrl = `${baseUrl}?${params.toString()}`;
     
-    console.log(`🚀 Redirecting to Discord OAuth: ${authUrl}`);
+    logger.info('🚀 Redirecting to Discord OAuth');
 
     // Redirect directly to Discord OAuth
     res.redirect(authUrl);
 
   } catch (error) {
-    console.error('❌ Error in login redirect:', error.message);
-    console.error('❌ Stack trace:', error.stack);
+    logger.error('❌ Error in login redirect:', error);
     res.status(500).json({
       error: 'Failed to redirect to Discord OAuth',
       details: error.message,
@@ -274,12 +367,18 @@ router.get('/discord-url', (req, res) => {
   try {
     const { redirectUri } = req.query;
     
+    if (redirectUri && !resolveReturnUrl(redirectUri)) {
+      return res.status(400).json({
+        error: 'Redirect URI is not an allowed redirect origin'
+      });
+    }
+    
     const baseUrl = 'https://discord.com/api/oauth2/authorize';
     const params = new URLSearchParams({
-      client_id: process.env.DISCORD_CLIENT_ID,
-      redirect_uri: redirectUri || process.env.REDIRECT_URI,
+      client_id: getConfig().oauth.clientId,
+      redirect_uri: redirectUri || getConfig().oauth.redirectUri,
       response_type: 'code',
-      scope: 'identify email',
+      scope: OAUTH_SCOPES.join(' '),
     });
 
     const authUrl = `${baseUrl}?${params.toString()}`;
@@ -287,11 +386,11 @@ router.get('/discord-url', (req, res) => {
     res.json({
       success: true,
       authUrl,
-      clientId: process.env.DISCORD_CLIENT_ID
+      clientId: getConfig().oauth.clientId
     });
 
   } catch (error) {
-    console.error('❌ Error generating Discord URL:', error.message);
+    logger.error('❌ Error generating Discord URL:', error.message);
     res.status(500).json({
       error: 'Failed to generate Discord OAuth URL',
       details: error.message
@@ -307,12 +406,12 @@ router.get('/config', (req, res) => {
   try {
     res.json({
       success: true,
-      clientId: process.env.DISCORD_CLIENT_ID,
-      scopes: ['identify', 'email'],
+      clientId: getConfig().oauth.clientId,
+      scopes: OAUTH_SCOPES,
       authUrl: 'https://discord.com/api/oauth2/authorize'
     });
   } catch (error) {
-    console.error('❌ Error getting OAuth config:', error.message);
+    logger.error('❌ Error getting OAuth config:', error.message);
     res.status(500).json({
       error: 'Failed to get OAuth configuration',
       details: error.message
@@ -320,11 +419,14 @@ router.get('/config', (req, res) => {
   }
 });
 
+// User fields anyone logged in may read about another user
+const PUBLIC_USER_FIELDS = ['id', 'username', 'discriminator', 'avatar', 'verified', 'lastLogin'];
+
 /**
  * GET /api/auth/user/:discordId
- * Get user data by Discord ID
+ * Get the public profile of a user by Discord ID
  */
-router.get('/user/:discordId', async (req, res) => {
+router.get('/user/:discordId', requireAuth, async (req, res) => {
   try {
     const { discordId } = req.params;
 
@@ -338,16 +440,14 @@ router.get('/user/:discordId', async (req, res) => {
 
     const userData = userDoc.data();
     
-    // Remove sensitive data
-    delete userData.email;
-    
+    // Only public fields - guild roles, nickname, email and character links stay private
     res.json({
       success: true,
-      user: userData
+      user: Object.fromEntries(PUBLIC_USER_FIELDS.filter(field => field in userData).map(field => [field, userData[field]]))
     });
 
   } catch (error) {
-    console.error('❌ Error fetching user:', error.message);
+    logger.error('❌ Error fetching user:', error.message);
     res.status(500).json({
       error: 'Failed to fetch user data',
       details: error.message
@@ -357,20 +457,18 @@ router.get('/user/:discordId', async (req, res) => {
 
 /**
  * POST /api/auth/logout
- * Logout user (mainly for logging purposes)
+ * Logout the authenticated user (mainly for logging purposes)
  */
-router.post('/logout', async (req, res) => {
+router.post('/logout', requireAuth, async (req, res) => {
   try {
-    const { discordId } = req.body;
+    const discordId = req.user.id;
 
-    if (discordId) {
-      // Update last logout time
-      await collections.get(collections.USERS).doc(discordId).update({
-        lastLogout: new Date()
-      });
-      
-      console.log(`👋 User logged out: ${discordId}`);
-    }
+    // Update last logout time
+    await collections.get(collections.USERS).doc(discordId).update({
+      lastLogout: new Date()
+    });
+    
+    logger.info(`👋 User logged out: ${discordId}`);
 
     res.json({
       success: true,
@@ -378,7 +476,7 @@ router.post('/logout', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Error during logout:', error.message);
+    logger.error('❌ Error during logout:', error.message);
     res.status(500).json({
       error: 'Failed to logout',
       details: error.message
@@ -1,16 +1,38 @@
 import express from 'express';
-import { createDiscordPost, requestPostUpdate } from '../services/firestoreListeners.js';
+import { createDiscordPost, cancelDiscordPost, requestPostUpdate } from '../services/firestoreListeners.js';
 import { collections } from '../services/firebase.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { PERMISSION_LEVELS, hasPermission } from '../services/permissions.js';
+import { getRoutingRef, getRoutes, validateRoutes } from '../services/channelRouting.js';
+import { reconcileReactions } from '../services/reactionMonitor.js';
+import { RETRY_STATUS, listRetries, rerunRetry } from '../services/retryQueue.js';
+import { getScheduledRoam } from '../services/roamStore.js';
+import { buildRoster } from '../services/roster.js';
+import { getConfig } from '../services/config.js';
+import { createLogger } from '../services/logger.js';
+
+const logger = createLogger('discordRoutes');
 
 const router = express.Router();
 
+/**
+ * Check whether the caller may manage (edit/delete) a post
+ * Only the post author or an officer and above can manage a post
+ * @param {Object} user - Authenticated user with permissionLevel
+ * @param {Object} postData - Post data from Firestore
+ * @returns {boolean}
+ */
+function canManagePost(user, postData) {
+  return postData.authorId === user.id || hasPermission(user.permissionLevel, PERMISSION_LEVELS.OFFICER);
+}
+
 /**
  * POST /api/discord/post
- * Create a new Discord post
+ * Create a new Discord post (roam leaders and above)
  */
-router.post('/post', async (req, res) => {
+router.post('/post', requireAuth, requirePermission(PERMISSION_LEVELS.ROAM_LEADER), async (req, res) => {
   try {
-    const { title, description, author, additionalInfo } = req.body;
+    const { title, description, additionalInfo } = req.body;
     
     // Validate required fields
     if (!title) {
@@ -23,7 +45,8 @@ router.post('/post', async (req, res) => {
     const postData = {
       title,
       description: description || '',
-      author: author || 'Anonymous',
+      author: req.user.username,
+      authorId: req.user.id,
       additionalInfo: additionalInfo || '',
       timestamp: new Date().toISOString()
     };
@@ -39,7 +62,7 @@ router.post('/post', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Error creating Discord post:', error.message);
+    logger.error('❌ Error creating Discord post:', error.message);
     res.status(500).json({
       error: 'Failed to create Discord post',
       details: error.message
@@ -49,9 +72,9 @@ router.post('/post', async (req, res) => {
 
 /**
  * PUT /api/discord/post/:postId
- * Update an existing Discord post
+ * Update an existing Discord post (post author or officers)
  */
-router.put('/post/:postId', async (req, res) => {
+router.put('/post/:postId', requireAuth, requirePermission(PERMISSION_LEVELS.MEMBER), async (req, res) => {
   try {
     const { postId } = req.params;
     const { additionalInfo, title, description } = req.body;
@@ -71,6 +94,13 @@ router.put('/post/:postId', async (req, res) => {
       });
     }
 
+    if (!canManagePost(req.user, postDoc.data())) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        details: 'Only the post author or an officer can edit this post'
+      });
+    }
+
     // Prepare update data
     const updateData = {};
     if (additionalInfo !== undefined) updateData.additionalInfo = additionalInfo;
@@ -88,7 +118,7 @@ router.put('/post/:postId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Error updating Discord post:', error.message);
+    logger.error('❌ Error updating Discord post:', error.message);
     res.status(500).json({
       error: 'Failed to update Discord post',
       details: error.message
@@ -134,7 +164,7 @@ router.get('/posts', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Error fetching Discord posts:', error.message);
+    logger.error('❌ Error fetching Discord posts:', error.message);
     res.status(500).json({
       error: 'Failed to fetch Discord posts',
       details: error.message
@@ -172,7 +202,7 @@ router.get('/post/:postId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Error fetching Discord post:', error.message);
+    logger.error('❌ Error fetching Discord post:', error.message);
     res.status(500).json({
       error: 'Failed to fetch Discord post',
       details: error.message
@@ -182,9 +212,10 @@ router.get('/post/:postId', async (req, res) => {
 
 /**
  * DELETE /api/discord/post/:postId
- * Delete a Discord post (marks as deleted, doesn't remove Discord message)
+ * Delete a Discord post (marks as deleted; the bot then deletes or closes the Discord message)
+ * Only the post author or officers can delete
  */
-router.delete('/post/:postId', async (req, res) => {
+router.delete('/post/:postId', requireAuth, requirePermission(PERMISSION_LEVELS.MEMBER), async (req, res) => {
   try {
     const { postId } = req.params;
 
@@ -196,10 +227,18 @@ router.delete('/post/:postId', async (req, res) => {
       });
     }
 
+    if (!canManagePost(req.user, postDoc.data())) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        details: 'Only the post author or an officer can delete this post'
+      });
+    }
+
     // Mark as deleted instead of actually deleting
     await collections.get(collections.DISCORD_POSTS).doc(postId).update({
       status: 'deleted',
-      deletedAt: new Date()
+      deletedAt: new Date(),
+      deletedBy: req.user.id
     });
 
     res.json({
@@ -209,7 +248,7 @@ router.delete('/post/:postId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Error deleting Discord post:', error.message);
+    logger.error('❌ Error deleting Discord post:', error.message);
     res.status(500).json({
       error: 'Failed to delete Discord post',
       details: error.message
@@ -217,4 +256,266 @@ router.delete('/post/:postId', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/discord/post/:postId/cancel
+ * Cancel a roam post (and its roam); signed-up users are notified by DM
+ * Only the post author or officers can cancel
+ */
+router.post('/post/:postId/cancel', requireAuth, requirePermission(PERMISSION_LEVELS.MEMBER), async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const { reason } = req.body || {};
+
+    const postDoc = await collections.get(collections.DISCORD_POSTS).doc(postId).get();
+    
+    if (!postDoc.exists) {
+      return res.status(404).json({ 
+        error: 'Post not found' 
+      });
+    }
+
+    if (!canManagePost(req.user, postDoc.data())) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        details: 'Only the post author or an officer can cancel this post'
+      });
+    }
+
+    if (['deleted', 'cancelled'].includes(postDoc.data().status)) {
+      return res.status(409).json({
+        error: `Post is already ${postDoc.data().status}`
+      });
+    }
+
+    await cancelDiscordPost(postId, {
+      cancelledBy: req.user.id,
+      reason: typeof reason === 'string' && reason.trim() ? reason.trim() : null
+    });
+
+    res.json({
+      success: true,
+      message: 'Discord post cancelled',
+      postId
+    });
+
+  } catch (error) {
+    logger.error('❌ Error cancelling Discord post:', error.message);
+    res.status(500).json({
+      error: 'Failed to cancel Discord post',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/discord/reconcile
+ * Reconcile signup reactions on every posted message with the roams (officers and above)
+ * Returns the report of signups that were added, withdrawn or rejected
+ */
+router.post('/reconcile', requireAuth, requirePermission(PERMISSION_LEVELS.OFFICER), async (req, res) => {
+  try {
+    const summary = await reconcileReactions();
+
+    res.json({
+      success: true,
+      ...summary
+    });
+
+  } catch (error) {
+    logger.error('❌ Error reconciling reactions:', error.message);
+    res.status(500).json({
+      error: 'Failed to reconcile reactions',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/discord/retries
+ * List failed Discord operations (admins only)
+ * Optional query: ?status=queued|dead
+ */
+router.get('/retries', requireAuth, requirePermission(PERMISSION_LEVELS.ADMIN), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !Object.values(RETRY_STATUS).includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        details: `status must be one of: ${Object.values(RETRY_STATUS).join(', ')}`
+      });
+    }
+
+    const retries = await listRetries(status || null);
+
+    res.json({
+      success: true,
+      retries,
+      count: retries.length
+    });
+
+  } catch (error) {
+    logger.error('❌ Error listing retries:', error.message);
+    res.status(500).json({
+      error: 'Failed to list retries',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/discord/retries/:retryId/run
+ * Re-run a queued or dead-lettered operation now with a fresh set of attempts (admins only)
+ */
+router.post('/retries/:retryId/run', requireAuth, requirePermission(PERMISSION_LEVELS.ADMIN), async (req, res) => {
+  try {
+    const result = await rerunRetry(req.params.retryId);
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Retry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    logger.error('❌ Error re-running retry:', error.message);
+    res.status(500).json({
+      error: 'Failed to re-run retry',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/discord/routing
+ * Get the channel routing config (officers and above)
+ */
+router.get('/routing', requireAuth, requirePermission(PERMISSION_LEVELS.OFFICER), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      defaultChannelId: getConfig().discord.channelId,
+      routes: getRoutes()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error fetching channel routing:', error.message);
+    res.status(500).json({
+      error: 'Failed to fetch channel routing',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/discord/routing
+ * Replace the channel routing config (admins only)
+ * Body: { routes: [{ guildId, category, channelId }] } - use category '*' for a guild default
+ */
+router.put('/routing', requireAuth, requirePermission(PERMISSION_LEVELS.ADMIN), async (req, res) => {
+  try {
+    const { routes: normalized, errors } = validateRoutes(req.body.routes);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid routes',
+        details: errors
+      });
+    }
+
+    // The routing listener picks the change up automatically
+    await getRoutingRef().set({
+      routes: normalized,
+      updatedAt: new Date(),
+      updatedBy: req.user.id
+    });
+
+    logger.info(`🧭 Channel routing updated by ${req.user.id}: ${normalized.length} route(s)`);
+
+    res.json({
+      success: true,
+      routes: normalized
+    });
+
+  } catch (error) {
+    logger.error('❌ Error updating channel routing:', error.message);
+    res.status(500).json({
+      error: 'Failed to update channel routing',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Quote a value for a CSV cell
+ * Names starting with a formula character get a leading quote so spreadsheets don't run them.
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function toCsvCell(value) {
+  const raw = value === null || value === undefined ? '' : String(value);
+  const text = /^[=+\-@]/.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * GET /api/discord/roams/:roamId/roster
+ * Export a roam's roster with linked Albion characters (roam leaders and above)
+ * Query: ?format=csv for a spreadsheet, JSON otherwise
+ */
+router.get('/roams/:roamId/roster', requireAuth, requirePermission(PERMISSION_LEVELS.ROAM_LEADER), async (req, res) => {
+  try {
+    const roam = await getScheduledRoam(req.params.roamId);
+
+    if (!roam) {
+      return res.status(404).json({
+        error: 'Roam not found'
+      });
+    }
+
+    const roster = await buildRoster(roam);
+    const rows = [
+      ...roster.entries.map(entry => ({ list: 'roster', ...entry })),
+      ...roster.waitlist.map(entry => ({ list: 'waitlist', ...entry })),
+      ...roster.tentative.map(entry => ({ list: 'tentative', ...entry }))
+    ].map(entry => ({
+      list: entry.list,
+      discordId: entry.discordId,
+      discordName: entry.discordName,
+      character: entry.character,
+      role: entry.role || null,
+      registered: entry.registered ?? null
+    }));
+
+    if (req.query.format === 'csv') {
+      const columns = ['list', 'discordId', 'discordName', 'character', 'role', 'registered'];
+      const csv = [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(cells => cells.map(toCsvCell).join(','))
+        .join('\r\n');
+
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="roster-${roam.id}.csv"`);
+      return res.send(csv);
+    }
+
+    res.json({
+      success: true,
+      roam: { id: roam.id, title: roam.title, date: roam.date, time: roam.time, maxSignups: roster.maxSignups },
+      roster: rows
+    });
+
+  } catch (error) {
+    logger.error('❌ Error exporting roster:', error.message);
+    res.status(500).json({
+      error: 'Failed to export roster',
+      details: error.message
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,202 @@
+import express from 'express';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { PERMISSION_LEVELS } from '../services/permissions.js';
+import {
+  validateTemplate,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  setTemplatePaused,
+  addTemplateException,
+  deleteTemplate
+} from '../services/roamTemplates.js';
+import { createLogger } from '../services/logger.js';
+
+const logger = createLogger('templateRoutes');
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * GET /api/templates
+ * List recurring roam templates (officers and above)
+ */
+router.get('/', requireAuth, requirePermission(PERMISSION_LEVELS.OFFICER), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      templates: await listTemplates()
+    });
+
+  } catch (error) {
+    logger.error('❌ Error listing roam templates:', error.message);
+    res.status(500).json({
+      error: 'Failed to list roam templates',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/templates
+ * Create a recurring roam template (officers and above)
+ * Body: { title, category, recurrence: "Tue/Thu 20:00" | { days, time }, description, composition,
+ *         maxSignups, durationMinutes, voiceChannelId, leaderName, leadTimeHours, exceptions, startDate, endDate }
+ */
+router.post('/', requireAuth, requirePermission(PERMISSION_LEVELS.OFFICER), async (req, res) => {
+  try {
+    const { template, errors } = await validateTemplate(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid template',
+        details: errors
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      template: await createTemplate(template, req.user)
+    });
+
+  } catch (error) {
+    logger.error('❌ Error creating roam template:', error.message);
+    res.status(500).json({
+      error: 'Failed to create roam template',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/templates/:templateId
+ * Change a template - only the fields sent are changed
+ */
+router.put('/:templateId', requireAuth, requirePermission(PERMISSION_LEVELS.OFFICER), async (req, res) => {
+  try {
+    const existing = await getTemplate(req.params.templateId);
+
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Template not found'
+      });
+    }
+
+    const { template, errors } = await validateTemplate({ ...existing, ...req.body });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid template',
+        details: errors
+      });
+    }
+
+    res.json({
+      success: true,
+      template: await updateTemplate(req.params.templateId, template, req.user.id)
+    });
+
+  } catch (error) {
+    logger.error('❌ Error updating roam template:', error.message);
+    res.status(500).json({
+      error: 'Failed to update roam template',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/templates/:templateId/pause
+ * POST /api/templates/:templateId/resume
+ * Pause or resume scheduling a series
+ */
+router.post('/:templateId/:action(pause|resume)', requireAuth, requirePermission(PERMISSION_LEVELS.OFFICER), async (req, res) => {
+  try {
+    const template = await setTemplatePaused(req.params.templateId, req.params.action === 'pause', req.user.id);
+
+    if (!template) {
+      return res.status(404).json({
+        error: 'Template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      template
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error trying to ${req.params.action} roam template:`, error.message);
+    res.status(500).json({
+      error: `Failed to ${req.params.action} roam template`,
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/templates/:templateId/exceptions
+ * Skip one date of a series
+ * Body: { date: 'YYYY-MM-DD' }
+ */
+router.post('/:templateId/exceptions', requireAuth, requirePermission(PERMISSION_LEVELS.OFFICER), async (req, res) => {
+  try {
+    const { date } = req.body;
+
+    if (typeof date !== 'string' || !DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date))) {
+      return res.status(400).json({
+        error: 'date must be a YYYY-MM-DD date'
+      });
+    }
+
+    const template = await addTemplateException(req.params.templateId, date, req.user.id);
+
+    if (!template) {
+      return res.status(404).json({
+        error: 'Template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      template
+    });
+
+  } catch (error) {
+    logger.error('❌ Error adding roam template exception:', error.message);
+    res.status(500).json({
+      error: 'Failed to add exception',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/templates/:templateId
+ * Delete a template (roams it already scheduled are kept)
+ */
+router.delete('/:templateId', requireAuth, requirePermission(PERMISSION_LEVELS.OFFICER), async (req, res) => {
+  try {
+    if (!await deleteTemplate(req.params.templateId)) {
+      return res.status(404).json({
+        error: 'Template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Template deleted'
+    });
+
+  } catch (error) {
+    logger.error('❌ Error deleting roam template:', error.message);
+    res.status(500).json({
+      error: 'Failed to delete roam template',
+      details: error.message
+    });
+  }
+});
+
+export default router;
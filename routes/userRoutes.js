@@ -0,0 +1,162 @@
+import express from 'express';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { PERMISSION_LEVELS } from '../services/permissions.js';
+import { parseCharacterLink, getCharacterLink, linkCharacter, verifyCharacter, unlinkCharacter } from '../services/characters.js';
+import { createLogger } from '../services/logger.js';
+
+const logger = createLogger('userRoutes');
+
+const router = express.Router();
+
+/**
+ * Answer with the outcome of a characters.js call
+ * @param {Object} res - Express response
+ * @param {Object} result - `{ status, albion, takenBy }` from characters.js
+ */
+function sendCharacterResult(res, result) {
+  switch (result.status) {
+    case 'not_registered':
+      return res.status(404).json({
+        error: 'User not found',
+        details: 'The user has to log in once before a character can be linked'
+      });
+    case 'not_linked':
+      return res.status(404).json({
+        error: 'No character linked'
+      });
+    case 'taken':
+      return res.status(409).json({
+        error: 'Character already linked to another user',
+        details: 'Ask an officer to move it with PUT /api/users/:discordId/character'
+      });
+    default:
+      return res.json({
+        success: true,
+        status: result.status,
+        albion: result.albion || null
+      });
+  }
+}
+
+/**
+ * Validate `{ character, alts }` from a request body
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} - The parsed link, or null after answering 400
+ */
+function parseBody(req, res) {
+  const link = parseCharacterLink(req.body.character, req.body.alts);
+
+  if (link.errors.length > 0) {
+    res.status(400).json({
+      error: 'Invalid character link',
+      details: link.errors
+    });
+    return null;
+  }
+
+  return link;
+}
+
+/**
+ * GET /api/users/me/character
+ * Get the caller's linked Albion character
+ */
+router.get('/me/character', requireAuth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      albion: await getCharacterLink(req.user.id)
+    });
+
+  } catch (error) {
+    logger.error('❌ Error fetching character link:', error.message);
+    res.status(500).json({
+      error: 'Failed to fetch character link',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/users/me/character
+ * Link the caller's Albion character
+ * Body: { character, alts: [] }
+ */
+router.put('/me/character', requireAuth, async (req, res) => {
+  try {
+    const link = parseBody(req, res);
+    if (!link) {
+      return;
+    }
+
+    sendCharacterResult(res, await linkCharacter(req.user.id, link));
+
+  } catch (error) {
+    logger.error('❌ Error linking character:', error.message);
+    res.status(500).json({
+      error: 'Failed to link character',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/users/me/character
+ * Remove the caller's character link
+ */
+router.delete('/me/character', requireAuth, async (req, res) => {
+  try {
+    sendCharacterResult(res, await unlinkCharacter(req.user.id));
+
+  } catch (error) {
+    logger.error('❌ Error unlinking character:', error.message);
+    res.status(500).json({
+      error: 'Failed to unlink character',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/users/:discordId/character
+ * Link a user's character as an officer - verified right away, and taken from any other user holding it
+ * Body: { character, alts: [] }
+ */
+router.put('/:discordId/character', requireAuth, requirePermission(PERMISSION_LEVELS.OFFICER), async (req, res) => {
+  try {
+    const link = parseBody(req, res);
+    if (!link) {
+      return;
+    }
+
+    sendCharacterResult(res, await linkCharacter(req.params.discordId, link, { linkedBy: req.user.id, override: true }));
+
+  } catch (error) {
+    logger.error('❌ Error overriding character link:', error.message);
+    res.status(500).json({
+      error: 'Failed to link character',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/users/:discordId/character/verify
+ * Verify (or with { verified: false } unverify) a user's character link (officers and above)
+ */
+router.post('/:discordId/character/verify', requireAuth, requirePermission(PERMISSION_LEVELS.OFFICER), async (req, res) => {
+  try {
+    const verified = req.body.verified !== false;
+    sendCharacterResult(res, await verifyCharacter(req.params.discordId, req.user.id, verified));
+
+  } catch (error) {
+    logger.error('❌ Error verifying character link:', error.message);
+    res.status(500).json({
+      error: 'Failed to verify character link',
+      details: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,124 @@
+// scripts/migrateRoamSignups.js
+//
+// One-time migration of the signup data in gameData/roams -> scheduled.
+// Signups are now written through Firestore transactions (see services/roamStore.js),
+// which expect every roam in a consistent shape:
+//   - signups: array of unique Discord IDs
+//   - guests: array of { discordId, discordUsername, addedAt } (legacy string entries converted)
+//   - nobody in both signups and guests
+//   - roleSignups only for users still on the roster
+//
+// Usage:
+//   node scripts/migrateRoamSignups.js --dry-run   # report only
+//   node scripts/migrateRoamSignups.js             # apply
+import dotenv from 'dotenv';
+import { initializeFirebase, getDb } from '../services/firebase.js';
+import { getRoamsRef } from '../services/roamStore.js';
+import { getGuestId } from '../services/roster.js';
+
+dotenv.config();
+
+const SIGNUP_SCHEMA_VERSION = 2;
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Normalize one roam's signup fields
+ * @param {Object} roam - Scheduled roam
+ * @returns {string[]} - Descriptions of what changed
+ */
+function normalizeRoam(roam) {
+  const changes = [];
+
+  const signups = [...new Set(roam.signups || [])];
+  if (!Array.isArray(roam.signups) || signups.length !== roam.signups.length) {
+    changes.push(`signups deduplicated (${(roam.signups || []).length} -> ${signups.length})`);
+  }
+
+  const seenGuests = new Set();
+  const guests = [];
+  for (const guest of roam.guests || []) {
+    const discordId = getGuestId(guest);
+
+    if (!discordId || signups.includes(discordId) || seenGuests.has(discordId)) {
+      changes.push(`guest ${discordId} dropped (duplicate or registered)`);
+      continue;
+    }
+
+    seenGuests.add(discordId);
+    if (typeof guest === 'string') {
+      changes.push(`guest ${discordId} converted from legacy string`);
+      guests.push({ discordId, discordUsername: discordId, addedAt: new Date() });
+    } else {
+      guests.push(guest);
+    }
+  }
+
+  const onRoster = new Set([...signups, ...seenGuests]);
+  const roleSignups = Object.fromEntries(
+    Object.entries(roam.roleSignups || {}).filter(([discordId]) => onRoster.has(discordId))
+  );
+  const droppedRoles = Object.keys(roam.roleSignups || {}).length - Object.keys(roleSignups).length;
+  if (droppedRoles > 0) {
+    changes.push(`${droppedRoles} stale role signup(s) dropped`);
+  }
+
+  roam.signups = signups;
+  roam.guests = guests;
+  if (roam.roleSignups) {
+    roam.roleSignups = roleSignups;
+  }
+
+  return changes;
+}
+
+async function migrate() {
+  await initializeFirebase();
+  const roamRef = getRoamsRef();
+
+  const report = await getDb().runTransaction(async (transaction) => {
+    const roamDoc = await transaction.get(roamRef);
+
+    if (!roamDoc.exists) {
+      throw new Error('gameData/roams document not found');
+    }
+
+    const data = roamDoc.data();
+    if (data.signupSchemaVersion >= SIGNUP_SCHEMA_VERSION) {
+      return { alreadyMigrated: true, roams: [] };
+    }
+
+    const scheduled = data.scheduled || [];
+    const roams = scheduled
+      .map(roam => ({ id: roam.id, title: roam.title, changes: normalizeRoam(roam) }))
+      .filter(entry => entry.changes.length > 0);
+
+    if (!dryRun) {
+      transaction.update(roamRef, {
+        scheduled,
+        signupSchemaVersion: SIGNUP_SCHEMA_VERSION,
+        lastUpdated: new Date()
+      });
+    }
+
+    return { alreadyMigrated: false, total: scheduled.length, roams };
+  });
+
+  if (report.alreadyMigrated) {
+    console.log(`ℹ️ gameData/roams is already at signup schema v${SIGNUP_SCHEMA_VERSION} - nothing to do`);
+    return;
+  }
+
+  for (const roam of report.roams) {
+    console.log(`🔧 Roam ${roam.id} (${roam.title}):`);
+    roam.changes.forEach(change => console.log(`   - ${change}`));
+  }
+
+  console.log(`${dryRun ? '🔍 Dry run:' : '✅ Migrated:'} ${report.roams.length} of ${report.total} roams needed changes`);
+}
+
+migrate()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  });
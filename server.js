@@ -1,39 +1,64 @@
 // server.js
 import express from "express";
 import cors from "cors";
-import dotenv from "dotenv";
 
-// Import our modular services
+// Import our modular services (config first - it loads the .env files)
+import { initializeConfig } from './services/config.js';
 import { initializeFirebase } from './services/firebase.js';
-import { initializeDiscordBot } from './services/discordService.js';
-import { initializeFirestoreListeners } from './services/firestoreListeners.js';
-import { initializeReactionMonitoring } from './services/reactionMonitor.js';
+import { initializeChannelRouting, stopChannelRouting } from './services/channelRouting.js';
+import { initializeDiscordBot, destroyDiscordBot } from './services/discordService.js';
+import { initializeFirestoreListeners, stopFirestoreListeners } from './services/firestoreListeners.js';
+import { initializeReactionMonitoring, reconcileReactions } from './services/reactionMonitor.js';
+import { initializeInteractionHandling } from './services/interactionMonitor.js';
+import { initializeMemberSync } from './services/guildMembers.js';
+import { initializeAttendanceTracking, stopAttendanceTracking } from './services/attendanceTracker.js';
+import { initializeReminderScheduler, stopReminderScheduler } from './services/reminderScheduler.js';
+import { initializeTemplateScheduler, stopTemplateScheduler } from './services/roamTemplates.js';
+import { initializeRetryQueue, stopRetryQueue } from './services/retryQueue.js';
+import { initializeLeaderElection, stopLeaderElection, isLeader, onLeadershipChange } from './services/leaderElection.js';
+import { getLiveness, getReadiness } from './services/health.js';
+import { registry } from './services/metrics.js';
+import { createLogger } from './services/logger.js';
+import { trackWork, beginShutdown, waitForPendingWork } from './services/shutdown.js';
+import { requestContext } from './middleware/requestContext.js';
+
+const logger = createLogger('server');
+
+// ====== CONFIGURATION ======
+// Fail fast with every invalid setting listed, before anything connects
+let config;
+try {
+  config = initializeConfig();
+} catch (error) {
+  logger.error('❌ Invalid configuration - fix these settings and restart', { errors: error.errors || [error.message] });
+  process.exit(1);
+}
+logger.info(`⚙️ Loaded ${config.profile} configuration`);
 
-dotenv.config();
 const app = express();
 
 // ====== EXPRESS BACKEND ======
 app.use(cors({
-  origin: [
-    'https://bonfire-albion.web.app',
-    'https://bonfire-7e85b.web.app',
-    'http://localhost:3000',
-    'http://localhost:3001'
-  ],
+  origin: config.server.corsOrigins,
   credentials: true,
-  methods: ['GET', 'POST', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
 app.use(express.json());
+app.use(requestContext);
 
 // Import routes
 import authRoutes from './routes/authRoutes.js';
 import discordRoutes from './routes/discordRoutes.js';
+import userRoutes from './routes/userRoutes.js';
+import templateRoutes from './routes/templateRoutes.js';
 
 // Use routes
 app.use('/api/auth', authRoutes);
 app.use('/api/discord', discordRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/templates', templateRoutes);
 
 // Legacy login route (redirect to auth)
 app.get('/api/login', (req, res) => {
@@ -42,25 +67,34 @@ app.get('/api/login', (req, res) => {
   res.redirect(redirectUrl);
 });
 
-app.get("/api/health", (req, res) => {
-  res.json({ 
-    status: "healthy", 
-    timestamp: new Date().toISOString(),
-    services: {
-      firebase: "connected",
-      discord: "connected",
-      listeners: "active"
-    }
-  });
+// Liveness - the process is up (restart it if this fails)
+app.get(["/api/health/live", "/health"], (req, res) => {
+  res.json(getLiveness());
 });
 
-// Legacy health endpoint (no /api prefix)
-app.get("/health", (req, res) => {
-  res.json({ 
-    status: "healthy", 
-    timestamp: new Date().toISOString(),
-    message: "Bonfire Discord Bot Backend is running"
-  });
+// Readiness - Discord logged in, Firestore reachable, listeners alive (503 when degraded)
+app.get(["/api/health/ready", "/api/health"], async (req, res) => {
+  try {
+    const readiness = await getReadiness();
+    res.status(readiness.ready ? 200 : 503).json(readiness);
+  } catch (error) {
+    res.status(503).json({
+      ready: false,
+      status: "degraded",
+      timestamp: new Date().toISOString(),
+      error: error.message
+    });
+  }
+});
+
+// Prometheus metrics
+app.get("/metrics", async (req, res) => {
+  try {
+    res.set("Content-Type", registry.contentType);
+    res.send(await registry.metrics());
+  } catch (error) {
+    res.status(500).send(error.message);
+  }
 });
 
 app.get("/api/info", (req, res) => {
@@ -72,9 +106,14 @@ app.get("/api/info", (req, res) => {
     features: [
       "Auto-post to Discord from Firestore",
       "Real-time reaction monitoring",
+      "Button and role menu signups",
+      "Pre-roam reminders by DM and channel ping",
+      "Voice channel attendance tracking",
+      "Recurring roam templates",
       "Automatic message updates",
       "Database-driven architecture",
-      "Discord OAuth authentication"
+      "Discord OAuth authentication",
+      "Albion character linking"
     ],
     endpoints: {
       auth: [
@@ -87,11 +126,39 @@ app.get("/api/info", (req, res) => {
       discord: [
         "POST /api/discord/post",
         "GET /api/discord/posts",
-        "GET /api/discord/post/:postId"
+        "GET /api/discord/post/:postId",
+        "PUT /api/discord/post/:postId",
+        "DELETE /api/discord/post/:postId",
+        "POST /api/discord/post/:postId/cancel",
+        "POST /api/discord/reconcile",
+        "GET /api/discord/retries",
+        "POST /api/discord/retries/:retryId/run",
+        "GET /api/discord/routing",
+        "PUT /api/discord/routing",
+        "GET /api/discord/roams/:roamId/roster"
+      ],
+      users: [
+        "GET /api/users/me/character",
+        "PUT /api/users/me/character",
+        "DELETE /api/users/me/character",
+        "PUT /api/users/:discordId/character",
+        "POST /api/users/:discordId/character/verify"
+      ],
+      templates: [
+        "GET /api/templates",
+        "POST /api/templates",
+        "PUT /api/templates/:templateId",
+        "POST /api/templates/:templateId/pause",
+        "POST /api/templates/:templateId/resume",
+        "POST /api/templates/:templateId/exceptions",
+        "DELETE /api/templates/:templateId"
       ],
       health: [
-        "GET /api/health",
-        "GET /health",
+        "GET /api/health/live",
+        "GET /api/health/ready",
+        "GET /api/health (same as /api/health/ready)",
+        "GET /health (same as /api/health/live)",
+        "GET /metrics",
         "GET /api/info"
       ],
       legacy: [
@@ -101,53 +168,161 @@ app.get("/api/info", (req, res) => {
   });
 });
 
-const PORT = process.env.PORT || 5000;
+const PORT = config.server.port;
 
 // ====== INITIALIZE ALL SERVICES ======
 async function initializeServices() {
   try {
-    console.log('🚀 Starting Bonfire Discord Bot...');
+    logger.info('🚀 Starting Bonfire Discord Bot...');
     
     // 1. Initialize Firebase/Firestore
-    console.log('📊 Initializing Firebase...');
+    logger.info('📊 Initializing Firebase...');
     await initializeFirebase();
     
+    // Load per-category / per-guild channel routing
+    logger.info('🧭 Loading channel routing...');
+    await initializeChannelRouting();
+    
     // 2. Initialize Discord bot
-    console.log('🤖 Initializing Discord bot...');
+    logger.info('🤖 Initializing Discord bot...');
     await initializeDiscordBot();
     
+    // Decide whether this instance handles gateway events and background work
+    logger.info('👑 Joining leader election...');
+    await initializeLeaderElection();
+    
     // 3. Set up Firestore listeners
-    console.log('👂 Setting up Firestore listeners...');
+    logger.info('👂 Setting up Firestore listeners...');
     initializeFirestoreListeners();
     
     // 4. Set up Discord reaction monitoring
-    console.log('👀 Setting up reaction monitoring...');
+    logger.info('👀 Setting up reaction monitoring...');
     initializeReactionMonitoring();
     
-    console.log('✅ All services initialized successfully!');
-    console.log('🎯 Backend is now listening for database changes and Discord reactions');
+    // Catch up on reactions made while no instance was leading (runs in the background)
+    const reconcileOnLeadership = (leader) => {
+      if (leader) {
+        trackWork('reconcile', reconcileReactions, '❌ Reaction reconciliation after taking leadership failed:');
+      }
+    };
+    onLeadershipChange(reconcileOnLeadership);
+    reconcileOnLeadership(isLeader());
+    
+    // 5. Set up signup button / role menu handling
+    logger.info('🖱️ Setting up interaction handling...');
+    initializeInteractionHandling();
+    
+    // Keep stored nicknames and roles in step with Discord
+    logger.info('👥 Setting up guild member sync...');
+    initializeMemberSync();
+    
+    // Record who shows up in voice during each roam
+    logger.info('🎙️ Setting up attendance tracking...');
+    initializeAttendanceTracking();
+    
+    // 6. Start pre-roam reminders
+    logger.info('⏰ Starting reminder scheduler...');
+    initializeReminderScheduler();
+    
+    // Schedule roams from recurring templates
+    logger.info('🔁 Starting roam template scheduler...');
+    initializeTemplateScheduler();
+    
+    // 7. Retry failed Discord posts and edits
+    logger.info('🔁 Starting retry queue...');
+    initializeRetryQueue();
+    
+    logger.info('✅ All services initialized successfully!');
+    logger.info('🎯 Backend is now listening for database changes and Discord reactions');
     
   } catch (error) {
-    console.error('❌ Failed to initialize services:', error.message);
+    logger.error('❌ Failed to initialize services:', error.message);
     process.exit(1);
   }
 }
 
 // Start the server
-app.listen(PORT, "0.0.0.0", async () => {
-  console.log(`🌐 Backend running on http://0.0.0.0:${PORT}`);
+const server = app.listen(PORT, "0.0.0.0", async () => {
+  logger.info(`🌐 Backend running on http://0.0.0.0:${PORT}`);
   
   // Initialize all services after server starts
   await initializeServices();
 });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n🛑 Shutting down gracefully...');
-  process.exit(0);
-});
+// ====== GRACEFUL SHUTDOWN ======
+// Extra time for unsubscribing, releasing the lease and closing connections after draining
+const SHUTDOWN_GRACE_MS = 10 * 1000;
 
-process.on('SIGTERM', () => {
-  console.log('\n🛑 Shutting down gracefully...');
-  process.exit(0);
-});
+let shuttingDown = false;
+
+/**
+ * Run one shutdown step, logging (not throwing) if it fails so the remaining steps still run
+ * @param {string} name - Step name
+ * @param {Function} fn - `() => Promise|void`
+ */
+async function runShutdownStep(name, fn) {
+  try {
+    await fn();
+  } catch (error) {
+    logger.error(`❌ Shutdown step "${name}" failed:`, error.message);
+  }
+}
+
+/**
+ * Shut down in order: stop taking events, drain in-flight handlers, unsubscribe listeners,
+ * hand over leadership, log out of Discord, then close the HTTP server
+ * @param {string} signal - Signal that triggered the shutdown
+ */
+async function shutdown(signal) {
+  if (shuttingDown) {
+    logger.warn(`⚠️ ${signal} received again - exiting immediately`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+
+  const timeoutMs = config.shutdown.timeoutSeconds * 1000;
+  logger.info(`🛑 ${signal} received - shutting down gracefully (waiting up to ${timeoutMs / 1000}s for in-flight work)...`);
+
+  // Never hang a deploy on a step that doesn't return
+  const forceExitTimer = setTimeout(() => {
+    logger.error('❌ Graceful shutdown timed out - forcing exit');
+    process.exit(1);
+  }, timeoutMs + SHUTDOWN_GRACE_MS);
+  forceExitTimer.unref();
+
+  // 1. Stop accepting events and starting background work
+  beginShutdown();
+  stopRetryQueue();
+  stopReminderScheduler();
+  stopTemplateScheduler();
+
+  // 2. Let running handlers (signups, posts, edits) finish their writes
+  const drained = await waitForPendingWork(timeoutMs);
+
+  // Save attendance progress while we still lead, so the next leader resumes it
+  await runShutdownStep('attendance', stopAttendanceTracking);
+
+  // 3. Unsubscribe the Firestore listeners
+  await runShutdownStep('firestore listeners', () => {
+    stopFirestoreListeners();
+    stopChannelRouting();
+  });
+
+  // Hand leadership over only now, so the next leader doesn't redo work we were finishing
+  await runShutdownStep('leader election', stopLeaderElection);
+
+  // 4. Log out of Discord
+  await runShutdownStep('discord client', destroyDiscordBot);
+
+  // 5. Close the HTTP server (waits for in-flight requests)
+  await runShutdownStep('http server', () => new Promise((resolve, reject) => {
+    server.close(error => (error ? reject(error) : resolve()));
+    server.closeIdleConnections();
+  }));
+
+  logger.info(drained ? '✅ Shutdown complete' : '⚠️ Shutdown complete with unfinished handlers');
+  process.exit(drained ? 0 : 1);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
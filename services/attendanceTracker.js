@@ -0,0 +1,474 @@
+import { Events } from 'discord.js';
+import { collections } from './firebase.js';
+import { getRoamsRef, updateScheduledRoam } from './roamStore.js';
+import { getGuestId } from './roster.js';
+import { getRoamStartTime } from './reminderScheduler.js';
+import { getDiscordClient } from './discordService.js';
+import { isLeader, onLeadershipChange } from './leaderElection.js';
+import { getConfig } from './config.js';
+import { createLogger, runWithContext, newCorrelationId } from './logger.js';
+import { trackWork } from './shutdown.js';
+
+const logger = createLogger('attendanceTracker');
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// How long after a window closes a roam tracked before a restart is still finalized from its checkpoint
+const LATE_FINALIZE_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * Attendance status of each person in a roam's `attendance.entries`
+ */
+export const ATTENDANCE_STATUS = {
+  PRESENT: 'present',   // Signed up and in the voice channel long enough
+  NO_SHOW: 'no_show',   // Signed up but (almost) never in the voice channel
+  WALK_IN: 'walk_in'    // In the voice channel without being on the roster
+};
+
+let checkInterval = null;
+let checking = false;
+
+// Roams whose voice window is open, by roam ID:
+// { roamId, channelId, windowStart, windowEnd, sessions: discordId -> { name, presentMs, joinedAt, firstJoinedAt } }
+// `joinedAt` is set while the user is in the channel; `presentMs` holds the time of finished visits.
+const trackedRoams = new Map();
+
+// Windows that passed without being tracked, so they aren't looked up every minute.
+// Keyed by roam ID and window start, so a roam rescheduled to a new time is tracked again.
+const missedWindows = new Set();
+
+/**
+ * Get the key of a roam's attendance window in `missedWindows`
+ * @param {string} roamId - Roam ID
+ * @param {Object} window - From getAttendanceWindow
+ * @returns {string}
+ */
+function getWindowKey(roamId, window) {
+  return `${roamId}@${window.windowStart}`;
+}
+
+/**
+ * Get the voice channel and time window in which a roam's attendance is recorded
+ * @param {Object} roam - Scheduled roam
+ * @returns {Object|null} - `{ channelId, windowStart, windowEnd }` (ms), or null if the roam has no time or channel
+ */
+export function getAttendanceWindow(roam) {
+  const { voiceChannelId, windowBeforeMinutes, durationMinutes } = getConfig().attendance;
+  const start = getRoamStartTime(roam);
+  const channelId = roam.voiceChannelId || voiceChannelId;
+
+  if (!start || !channelId) {
+    return null;
+  }
+
+  const duration = Number(roam.durationMinutes) > 0 ? Number(roam.durationMinutes) : durationMinutes;
+  return {
+    channelId,
+    windowStart: start - windowBeforeMinutes * 60 * 1000,
+    windowEnd: start + duration * 60 * 1000
+  };
+}
+
+/**
+ * Start tracking voice attendance
+ * Voice joins and leaves are followed as they happen; a check every minute opens and closes roam
+ * windows and checkpoints progress to `roam_attendance/{roamId}`, so a new leader or a restart
+ * carries on where the last one stopped. Leader only.
+ */
+export function initializeAttendanceTracking() {
+  if (!getConfig().attendance.enabled) {
+    logger.info('🎙️ Attendance tracking disabled (ATTENDANCE_ENABLED=false)');
+    return;
+  }
+
+  const client = getDiscordClient();
+  if (!client) {
+    throw new Error('Discord client not initialized');
+  }
+
+  logger.info('🎙️ Setting up voice attendance tracking...');
+
+  client.on(Events.VoiceStateUpdate, (oldState, newState) => trackWork('voiceState', () => runWithContext({ correlationId: newCorrelationId('discord'), discordUserId: newState.id }, async () => {
+    try {
+      // Mute, deafen and stream changes keep the channel
+      if (!isLeader() || oldState.channelId === newState.channelId || newState.member?.user?.bot) {
+        return;
+      }
+
+      handleVoiceMove(oldState, newState, Date.now());
+
+    } catch (error) {
+      logger.error('❌ Error handling voice state update:', error.message);
+    }
+  })));
+
+  // A follower's sessions are stale - the new leader resumes from the checkpoints
+  onLeadershipChange(leader => {
+    if (leader) {
+      runCheck();
+    } else {
+      trackedRoams.clear();
+    }
+  });
+
+  checkInterval = setInterval(runCheck, CHECK_INTERVAL_MS);
+  runCheck();
+
+  logger.info('✅ Voice attendance tracking initialized');
+}
+
+/**
+ * Checkpoint the roams being tracked and stop the periodic check
+ * Runs before leadership is released, so the next leader resumes with everything up to now.
+ */
+export async function stopAttendanceTracking() {
+  if (!checkInterval) {
+    return;
+  }
+
+  clearInterval(checkInterval);
+  checkInterval = null;
+
+  if (isLeader()) {
+    const now = Date.now();
+    for (const tracked of trackedRoams.values()) {
+      await saveCheckpoint(tracked, now);
+    }
+  }
+  trackedRoams.clear();
+
+  logger.info('🛑 Stopped voice attendance tracking');
+}
+
+/**
+ * Run one attendance check as tracked work
+ */
+function runCheck() {
+  trackWork('attendance', checkAttendance, '❌ Error checking roam attendance:');
+}
+
+/**
+ * Open windows that started, checkpoint the ones in progress and record the ones that closed
+ * @returns {Promise<number>} - Number of roams whose attendance was recorded
+ */
+export async function checkAttendance() {
+  // Only the leader tracks attendance; skip if the previous check is still going
+  if (checking || !isLeader()) {
+    return 0;
+  }
+  checking = true;
+
+  try {
+    const roamDoc = await getRoamsRef().get();
+    const roams = new Map((roamDoc.data()?.scheduled || []).map(roam => [roam.id, roam]));
+    const now = Date.now();
+    let recorded = 0;
+
+    for (const tracked of [...trackedRoams.values()]) {
+      try {
+        const roam = roams.get(tracked.roamId);
+
+        if (!roam || roam.status === 'cancelled' || roam.attendance) {
+          await dropTracking(tracked.roamId);
+        } else if (now >= tracked.windowEnd) {
+          recorded += await finalizeAttendance(tracked) ? 1 : 0;
+        } else {
+          await saveCheckpoint(tracked, now);
+        }
+      } catch (error) {
+        logger.error(`❌ Error checking attendance of roam ${tracked.roamId}:`, error.message);
+      }
+    }
+
+    for (const roam of roams.values()) {
+      if (trackedRoams.has(roam.id) || roam.attendance || roam.status === 'cancelled') {
+        continue;
+      }
+
+      const window = getAttendanceWindow(roam);
+      if (!window || missedWindows.has(getWindowKey(roam.id, window)) ||
+          now < window.windowStart || now >= window.windowEnd + LATE_FINALIZE_MS) {
+        continue;
+      }
+
+      try {
+        const tracked = await resumeTracking(roam, window, now);
+        if (!tracked) {
+          missedWindows.add(getWindowKey(roam.id, window));
+        } else if (now >= tracked.windowEnd) {
+          recorded += await finalizeAttendance(tracked) ? 1 : 0;
+        }
+      } catch (error) {
+        logger.error(`❌ Error starting attendance tracking of roam ${roam.id}:`, error.message);
+      }
+    }
+
+    return recorded;
+
+  } finally {
+    checking = false;
+  }
+}
+
+/**
+ * Update the tracked roams for someone joining, leaving or switching voice channels
+ * @param {Object} oldState - Voice state before the change
+ * @param {Object} newState - Voice state after the change
+ * @param {number} now - Time of the change (ms)
+ */
+function handleVoiceMove(oldState, newState, now) {
+  for (const tracked of trackedRoams.values()) {
+    if (now >= tracked.windowEnd) {
+      continue;
+    }
+
+    if (newState.channelId === tracked.channelId) {
+      openSession(tracked, newState.id, getStateName(newState), now);
+      logger.debug(`🎙️ ${newState.id} joined the voice channel of roam ${tracked.roamId}`);
+    } else if (oldState.channelId === tracked.channelId) {
+      closeSession(tracked, oldState.id, now);
+      logger.debug(`🎙️ ${oldState.id} left the voice channel of roam ${tracked.roamId}`);
+    }
+  }
+}
+
+/**
+ * Start a visit to the voice channel
+ * @param {Object} tracked - Tracked roam
+ * @param {string} discordId - Discord user ID
+ * @param {string|null} name - Display name
+ * @param {number} at - Join time (ms)
+ */
+function openSession(tracked, discordId, name, at) {
+  const session = tracked.sessions.get(discordId) || { name, presentMs: 0, joinedAt: null, firstJoinedAt: at };
+
+  if (session.joinedAt === null) {
+    session.joinedAt = at;
+  }
+  session.name = name || session.name;
+
+  tracked.sessions.set(discordId, session);
+}
+
+/**
+ * End a visit to the voice channel
+ * @param {Object} tracked - Tracked roam
+ * @param {string} discordId - Discord user ID
+ * @param {number} at - Leave time (ms)
+ */
+function closeSession(tracked, discordId, at) {
+  const session = tracked.sessions.get(discordId);
+
+  if (!session || session.joinedAt === null) {
+    return;
+  }
+
+  session.presentMs += Math.max(0, at - session.joinedAt);
+  session.joinedAt = null;
+}
+
+/**
+ * Get the display name behind a voice state
+ * @param {Object} state - discord.js VoiceState
+ * @returns {string|null}
+ */
+function getStateName(state) {
+  return state.member?.displayName || state.member?.user?.username || null;
+}
+
+/**
+ * List who is in a voice channel right now (bots left out)
+ * @param {string} channelId - Voice channel ID
+ * @returns {Array<{discordId: string, name: string|null}>}
+ */
+function getVoiceMembers(channelId) {
+  const channel = getDiscordClient()?.channels.cache.get(channelId);
+
+  if (!channel?.isVoiceBased()) {
+    logger.warn(`⚠️ Attendance voice channel ${channelId} not found or not a voice channel`);
+    return [];
+  }
+
+  return channel.guild.voiceStates.cache
+    .filter(state => state.channelId === channelId && !state.member?.user?.bot)
+    .map(state => ({ discordId: state.id, name: getStateName(state) }));
+}
+
+/**
+ * Get the checkpoint document of a roam
+ * @param {string} roamId - Roam ID
+ */
+function getCheckpointRef(roamId) {
+  return collections.get(collections.ROAM_ATTENDANCE).doc(String(roamId));
+}
+
+/**
+ * Start (or pick back up) tracking a roam whose window is open or has just closed
+ * Visits open at the last checkpoint continue from it if the user is still in the channel.
+ * @param {Object} roam - Scheduled roam
+ * @param {Object} window - From getAttendanceWindow
+ * @param {number} now - Current time (ms)
+ * @returns {Promise<Object|null>} - Tracked roam, or null if the window closed without a checkpoint
+ */
+async function resumeTracking(roam, window, now) {
+  const checkpoint = await getCheckpointRef(roam.id).get();
+  const windowClosed = now >= window.windowEnd;
+
+  if (windowClosed && !checkpoint.exists) {
+    return null;
+  }
+
+  const tracked = { roamId: roam.id, ...window, sessions: new Map() };
+  const inChannel = windowClosed ? new Map() : new Map(getVoiceMembers(window.channelId).map(member => [member.discordId, member.name]));
+
+  if (checkpoint.exists) {
+    const saved = checkpoint.data();
+    const checkpointedAt = saved.checkpointedAt.toMillis();
+
+    for (const [discordId, session] of Object.entries(saved.sessions || {})) {
+      const stillHere = session.inChannel && inChannel.has(discordId);
+      tracked.sessions.set(discordId, {
+        name: inChannel.get(discordId) || session.name || null,
+        presentMs: session.presentMs || 0,
+        joinedAt: stillHere ? checkpointedAt : null,
+        firstJoinedAt: session.firstJoinedAt ? session.firstJoinedAt.toMillis() : checkpointedAt
+      });
+    }
+  }
+
+  for (const [discordId, name] of inChannel) {
+    openSession(tracked, discordId, name, now);
+  }
+
+  trackedRoams.set(roam.id, tracked);
+  logger.info(`🎙️ ${checkpoint.exists ? 'Resumed' : 'Started'} attendance tracking for roam ${roam.id} in voice channel ${window.channelId} (${inChannel.size} present)`);
+
+  return tracked;
+}
+
+/**
+ * Save a tracked roam's progress so another instance can resume it
+ * @param {Object} tracked - Tracked roam
+ * @param {number} now - Current time (ms)
+ */
+async function saveCheckpoint(tracked, now) {
+  const sessions = {};
+  for (const [discordId, session] of tracked.sessions) {
+    sessions[discordId] = {
+      name: session.name || null,
+      presentMs: session.presentMs + (session.joinedAt !== null ? Math.max(0, now - session.joinedAt) : 0),
+      firstJoinedAt: new Date(session.firstJoinedAt),
+      inChannel: session.joinedAt !== null
+    };
+  }
+
+  await getCheckpointRef(tracked.roamId).set({
+    roamId: tracked.roamId,
+    channelId: tracked.channelId,
+    windowStart: new Date(tracked.windowStart),
+    windowEnd: new Date(tracked.windowEnd),
+    checkpointedAt: new Date(now),
+    sessions
+  });
+}
+
+/**
+ * Stop tracking a roam that was cancelled, removed or already recorded
+ * @param {string} roamId - Roam ID
+ */
+async function dropTracking(roamId) {
+  trackedRoams.delete(roamId);
+  await getCheckpointRef(roamId).delete();
+  logger.info(`🎙️ Stopped attendance tracking for roam ${roamId} (cancelled, removed or already recorded)`);
+}
+
+/**
+ * Close every visit at the end of the window and store the attendance on the roam
+ * @param {Object} tracked - Tracked roam
+ * @returns {Promise<boolean>} - Whether attendance was recorded
+ */
+async function finalizeAttendance(tracked) {
+  const end = Math.min(Date.now(), tracked.windowEnd);
+  for (const discordId of tracked.sessions.keys()) {
+    closeSession(tracked, discordId, end);
+  }
+
+  const update = await updateScheduledRoam(tracked.roamId, (roam) => {
+    if (roam.attendance || roam.status === 'cancelled') {
+      return { changed: false };
+    }
+    roam.attendance = buildAttendance(roam, tracked);
+    return { changed: true, result: roam.attendance };
+  });
+
+  trackedRoams.delete(tracked.roamId);
+  await getCheckpointRef(tracked.roamId).delete();
+
+  const attendance = update?.changed ? update.result : null;
+  if (attendance) {
+    logger.info(`📋 Recorded attendance for roam ${tracked.roamId}: ${attendance.entries.length - attendance.noShows.length - attendance.walkIns.length} present, ${attendance.noShows.length} no-show(s), ${attendance.walkIns.length} walk-in(s)`);
+  }
+  return !!attendance;
+}
+
+/**
+ * Build the `attendance` field of a roam from its tracked visits
+ * Everyone on the roster (signups and guests) gets an entry; anyone else only if they stayed long enough.
+ * @param {Object} roam - Scheduled roam (current, inside the transaction)
+ * @param {Object} tracked - Tracked roam with every visit closed
+ * @returns {Object} - `{ voiceChannelId, windowStart, windowEnd, minMinutes, recordedAt, entries, noShows, walkIns }`
+ */
+function buildAttendance(roam, tracked) {
+  const { minMinutes } = getConfig().attendance;
+  const roster = new Map([
+    ...(roam.signups || []).map(discordId => [discordId, null]),
+    ...(roam.guests || []).map(guest => [getGuestId(guest), typeof guest === 'string' ? null : guest.discordUsername || null])
+  ]);
+
+  const entries = [];
+
+  for (const [discordId, rosterName] of roster) {
+    const session = tracked.sessions.get(discordId);
+    const minutes = session ? Math.round(session.presentMs / 60000) : 0;
+    entries.push({
+      discordId,
+      name: session?.name || rosterName,
+      minutes,
+      firstJoinedAt: session ? new Date(session.firstJoinedAt).toISOString() : null,
+      status: session && minutes >= minMinutes ? ATTENDANCE_STATUS.PRESENT : ATTENDANCE_STATUS.NO_SHOW
+    });
+  }
+
+  for (const [discordId, session] of tracked.sessions) {
+    const minutes = Math.round(session.presentMs / 60000);
+    if (roster.has(discordId) || minutes < minMinutes) {
+      continue;
+    }
+    entries.push({
+      discordId,
+      name: session.name,
+      minutes,
+      firstJoinedAt: new Date(session.firstJoinedAt).toISOString(),
+      status: ATTENDANCE_STATUS.WALK_IN
+    });
+  }
+
+  return {
+    voiceChannelId: tracked.channelId,
+    windowStart: new Date(tracked.windowStart).toISOString(),
+    windowEnd: new Date(tracked.windowEnd).toISOString(),
+    minMinutes,
+    recordedAt: new Date().toISOString(),
+    entries,
+    noShows: entries.filter(entry => entry.status === ATTENDANCE_STATUS.NO_SHOW).map(entry => entry.discordId),
+    walkIns: entries.filter(entry => entry.status === ATTENDANCE_STATUS.WALK_IN).map(entry => entry.discordId)
+  };
+}
+
+export default {
+  ATTENDANCE_STATUS,
+  getAttendanceWindow,
+  initializeAttendanceTracking,
+  stopAttendanceTracking,
+  checkAttendance
+};
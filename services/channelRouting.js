@@ -0,0 +1,183 @@
+import { collections } from './firebase.js';
+import { getConfig } from './config.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('channelRouting');
+
+// Category used for a guild's catch-all route
+export const DEFAULT_ROUTE_CATEGORY = '*';
+
+let routes = [];
+let unsubscribeRouting = null;
+
+// Channels that already hold posted roams, so reactions keep working if a route is removed
+const postChannelIds = new Set();
+
+/**
+ * Get a reference to the routing config document (bot_config/channelRouting)
+ *
+ * Document shape:
+ * {
+ *   routes: [
+ *     { guildId: '123', category: 'statics', channelId: '456' },
+ *     { guildId: '123', category: '*', channelId: '789' }   // guild default
+ *   ]
+ * }
+ */
+export function getRoutingRef() {
+  return collections.get(collections.BOT_CONFIG).doc('channelRouting');
+}
+
+/**
+ * Normalize routes from the config document
+ * @param {Array} rawRoutes - Routes from Firestore
+ * @returns {Array<{guildId: string|null, category: string, channelId: string}>}
+ */
+export function normalizeRoutes(rawRoutes) {
+  return (Array.isArray(rawRoutes) ? rawRoutes : [])
+    .filter(route => route && isId(route.channelId))
+    .map(route => ({
+      guildId: isId(route.guildId) ? String(route.guildId) : null,
+      category: (typeof route.category === 'string' && route.category.trim() ? route.category.trim() : DEFAULT_ROUTE_CATEGORY).toLowerCase(),
+      channelId: String(route.channelId)
+    }));
+}
+
+/**
+ * Validate routes sent to the API
+ * @param {Array} rawRoutes - Routes from the request body
+ * @returns {{routes: Array, errors: string[]}} - Normalized routes and one message per invalid field
+ */
+export function validateRoutes(rawRoutes) {
+  if (!Array.isArray(rawRoutes)) {
+    return { routes: [], errors: ['routes must be an array'] };
+  }
+
+  const errors = [];
+
+  rawRoutes.forEach((route, index) => {
+    if (!route || typeof route !== 'object' || Array.isArray(route)) {
+      errors.push(`routes[${index}] must be an object`);
+      return;
+    }
+    if (!isId(route.channelId)) {
+      errors.push(`routes[${index}].channelId is required (a Discord channel ID)`);
+    }
+    if (route.guildId !== undefined && route.guildId !== null && !isId(route.guildId)) {
+      errors.push(`routes[${index}].guildId must be a Discord guild ID`);
+    }
+    if (route.category !== undefined && route.category !== null && typeof route.category !== 'string') {
+      errors.push(`routes[${index}].category must be a string`);
+    }
+  });
+
+  return { routes: errors.length > 0 ? [] : normalizeRoutes(rawRoutes), errors };
+}
+
+/**
+ * Check that a value looks like a Discord snowflake ID
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isId(value) {
+  return (typeof value === 'string' || typeof value === 'number') && /^\d+$/.test(String(value));
+}
+
+/**
+ * Start listening to the routing config so changes apply without a restart
+ * @returns {Promise<void>} - Resolves once the first snapshot has loaded
+ */
+export function initializeChannelRouting() {
+  return new Promise((resolve) => {
+    let loaded = false;
+
+    unsubscribeRouting = getRoutingRef().onSnapshot((doc) => {
+      routes = normalizeRoutes(doc.exists ? doc.data().routes : []);
+      logger.info(`🧭 Loaded ${routes.length} channel route(s)`);
+
+      if (!loaded) {
+        loaded = true;
+        resolve();
+      }
+    }, (error) => {
+      logger.error('❌ Error listening to channel routing config:', error.message);
+      if (!loaded) {
+        loaded = true;
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Stop listening to the routing config
+ */
+export function stopChannelRouting() {
+  if (unsubscribeRouting) {
+    unsubscribeRouting();
+    unsubscribeRouting = null;
+  }
+}
+
+/**
+ * Pick the channel a post should go to
+ * Order: post's own `channelId` → guild + category route → guild default route → DISCORD_CHANNEL_ID
+ * @param {Object} postData - Post data (uses `channelId`, `guildId` and `roamCategory`)
+ * @returns {string} - Discord channel ID
+ */
+export function resolveChannelId(postData) {
+  if (postData.channelId) {
+    return String(postData.channelId);
+  }
+
+  const guildId = postData.guildId || getConfig().discord.guildId || null;
+  const category = (postData.roamCategory || '').toLowerCase();
+  const inGuild = routes.filter(route => !route.guildId || !guildId || route.guildId === String(guildId));
+
+  const match = inGuild.find(route => category && route.category === category) ||
+    inGuild.find(route => route.category === DEFAULT_ROUTE_CATEGORY);
+
+  return match?.channelId || getConfig().discord.channelId;
+}
+
+/**
+ * Remember the channel of a posted message (from its `discordChannelId`)
+ * @param {string} channelId - Discord channel ID
+ */
+export function trackPostChannel(channelId) {
+  if (channelId) {
+    postChannelIds.add(String(channelId));
+  }
+}
+
+/**
+ * Check whether reactions in a channel should be monitored
+ * @param {string} channelId - Discord channel ID
+ * @returns {boolean}
+ */
+export function isMonitoredChannel(channelId) {
+  return channelId === getConfig().discord.channelId ||
+    postChannelIds.has(channelId) ||
+    routes.some(route => route.channelId === channelId);
+}
+
+/**
+ * Get all configured routes
+ * @returns {Array} - Current routes
+ */
+export function getRoutes() {
+  return routes;
+}
+
+export default {
+  DEFAULT_ROUTE_CATEGORY,
+  getRoutingRef,
+  normalizeRoutes,
+  validateRoutes,
+  initializeChannelRouting,
+  stopChannelRouting,
+  resolveChannelId,
+  trackPostChannel,
+  isMonitoredChannel,
+  getRoutes
+};
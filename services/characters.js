@@ -0,0 +1,199 @@
+import { FieldValue } from 'firebase-admin/firestore';
+import { collections, getDb } from './firebase.js';
+import { refreshUserRosters } from './firestoreListeners.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('characters');
+
+// Albion Online character names: 3-16 letters and digits
+const CHARACTER_PATTERN = /^[A-Za-z0-9]{3,16}$/;
+
+export const MAX_ALTS = 5;
+
+/**
+ * Validate a character name and its alts
+ * @param {string} character - Main character name
+ * @param {string|string[]} alts - Alt names, as an array or a comma/space separated string
+ * @returns {{character: string, alts: string[], errors: string[]}}
+ */
+export function parseCharacterLink(character, alts = []) {
+  const errors = [];
+  const main = typeof character === 'string' ? character.trim() : '';
+
+  if (!CHARACTER_PATTERN.test(main)) {
+    errors.push('Character name must be 3-16 letters or digits');
+  }
+
+  const altList = (typeof alts === 'string' ? alts.split(/[\s,]+/) : Array.isArray(alts) ? alts : [])
+    .map(alt => (typeof alt === 'string' ? alt.trim() : ''))
+    .filter(Boolean);
+
+  const invalid = altList.filter(alt => !CHARACTER_PATTERN.test(alt));
+  if (invalid.length > 0) {
+    errors.push(`Invalid alt name(s): ${invalid.join(', ')}`);
+  }
+
+  // Drop duplicates and the main character, keeping the first spelling
+  const seen = new Set([main.toLowerCase()]);
+  const uniqueAlts = altList.filter(alt => {
+    const key = alt.toLowerCase();
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+
+  if (uniqueAlts.length > MAX_ALTS) {
+    errors.push(`At most ${MAX_ALTS} alts can be linked`);
+  }
+
+  return { character: main, alts: uniqueAlts, errors };
+}
+
+/**
+ * Get the character link stored on a user
+ * @param {string} discordUserId - Discord user ID
+ * @returns {Promise<Object|null>} - `albion` field of the users document, or null
+ */
+export async function getCharacterLink(discordUserId) {
+  const userDoc = await collections.get(collections.USERS).doc(discordUserId).get();
+  return userDoc.exists ? userDoc.data().albion || null : null;
+}
+
+/**
+ * Link an Albion character (and alts) to a user
+ * A user linking their own character stays verified only if the main character is unchanged.
+ * An officer override is verified right away and takes the character from whoever held it.
+ * @param {string} discordUserId - Discord user ID to link
+ * @param {Object} link - `{ character, alts }` from parseCharacterLink
+ * @param {Object} options - `{ linkedBy, override }`
+ * @returns {Promise<Object>} - `{ status: 'linked', albion }`, `{ status: 'not_registered' }` or `{ status: 'taken', takenBy }`
+ */
+export async function linkCharacter(discordUserId, { character, alts }, { linkedBy = discordUserId, override = false } = {}) {
+  const usersRef = collections.get(collections.USERS);
+  const userRef = usersRef.doc(discordUserId);
+  const characterKey = character.toLowerCase();
+
+  const outcome = await getDb().runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+    if (!userDoc.exists) {
+      return { status: 'not_registered' };
+    }
+
+    const holders = await transaction.get(usersRef.where('albion.characterKey', '==', characterKey));
+    const others = holders.docs.filter(doc => doc.id !== discordUserId);
+
+    if (others.length > 0 && !override) {
+      return { status: 'taken', takenBy: others[0].id };
+    }
+
+    const now = new Date();
+    const previous = userDoc.data().albion || null;
+    const keepVerification = !override && previous?.verified && previous.characterKey === characterKey;
+
+    const albion = {
+      character,
+      characterKey,
+      alts,
+      verified: override || !!keepVerification,
+      verifiedBy: override ? linkedBy : keepVerification ? previous.verifiedBy : null,
+      verifiedAt: override ? now : keepVerification ? previous.verifiedAt : null,
+      linkedBy,
+      linkedAt: previous?.linkedAt || now,
+      updatedAt: now
+    };
+
+    transaction.update(userRef, { albion });
+    others.forEach(doc => transaction.update(doc.ref, { albion: FieldValue.delete() }));
+
+    return { status: 'linked', albion, unlinked: others.map(doc => doc.id) };
+  });
+
+  if (outcome.status !== 'linked') {
+    return outcome;
+  }
+
+  for (const otherId of outcome.unlinked) {
+    logger.warn(`⚠️ Character ${character} moved from user ${otherId} to ${discordUserId} by officer ${linkedBy}`);
+  }
+  logger.info(`🔗 Linked character ${character} to user ${discordUserId}${override ? ` (officer override by ${linkedBy})` : ''}`);
+
+  await refreshAfterChange([discordUserId, ...outcome.unlinked]);
+  return { status: 'linked', albion: outcome.albion };
+}
+
+/**
+ * Mark a user's character link verified or unverified (officers)
+ * @param {string} discordUserId - Discord user ID
+ * @param {string} verifiedBy - Discord ID of the officer
+ * @param {boolean} verified - Whether the link is verified
+ * @returns {Promise<Object>} - `{ status: 'verified' | 'unverified', albion }`, `{ status: 'not_registered' }` or `{ status: 'not_linked' }`
+ */
+export async function verifyCharacter(discordUserId, verifiedBy, verified = true) {
+  const userRef = collections.get(collections.USERS).doc(discordUserId);
+  const userDoc = await userRef.get();
+
+  if (!userDoc.exists) {
+    return { status: 'not_registered' };
+  }
+
+  const previous = userDoc.data().albion;
+  if (!previous) {
+    return { status: 'not_linked' };
+  }
+
+  const albion = {
+    ...previous,
+    verified,
+    verifiedBy: verified ? verifiedBy : null,
+    verifiedAt: verified ? new Date() : null,
+    updatedAt: new Date()
+  };
+  await userRef.update({ albion });
+
+  logger.info(`${verified ? '✅ Verified' : '↩️ Unverified'} character ${previous.character} of user ${discordUserId} (by ${verifiedBy})`);
+  return { status: verified ? 'verified' : 'unverified', albion };
+}
+
+/**
+ * Remove a user's character link
+ * @param {string} discordUserId - Discord user ID
+ * @returns {Promise<Object>} - `{ status: 'unlinked' }`, `{ status: 'not_registered' }` or `{ status: 'not_linked' }`
+ */
+export async function unlinkCharacter(discordUserId) {
+  const userRef = collections.get(collections.USERS).doc(discordUserId);
+  const userDoc = await userRef.get();
+
+  if (!userDoc.exists) {
+    return { status: 'not_registered' };
+  }
+
+  const previous = userDoc.data().albion;
+  if (!previous) {
+    return { status: 'not_linked' };
+  }
+
+  await userRef.update({ albion: FieldValue.delete() });
+  logger.info(`🔗 Unlinked character ${previous.character} from user ${discordUserId}`);
+
+  await refreshAfterChange([discordUserId]);
+  return { status: 'unlinked' };
+}
+
+/**
+ * Re-render the rosters the users are on
+ * A failed refresh is logged, not thrown - the link itself is saved and the next roster change shows it.
+ * @param {string[]} discordUserIds - Users whose character changed
+ */
+async function refreshAfterChange(discordUserIds) {
+  for (const discordUserId of discordUserIds) {
+    try {
+      await refreshUserRosters(discordUserId);
+    } catch (error) {
+      logger.warn(`⚠️ Could not refresh rosters of user ${discordUserId}:`, error.message);
+    }
+  }
+}
+
+export default { MAX_ALTS, parseCharacterLink, getCharacterLink, linkCharacter, verifyCharacter, unlinkCharacter };
@@ -0,0 +1,116 @@
+import { collections } from './firebase.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('compositions');
+
+/**
+ * Reaction emoji used for each known composition role
+ */
+export const ROLE_EMOJIS = {
+  tank: '🛡️',
+  healer: '💚',
+  support: '✨',
+  dps: '⚔️'
+};
+
+/**
+ * Used, in order, for roles that have no emoji of their own
+ */
+export const FALLBACK_EMOJIS = ['🔷', '🔶', '🟣', '🟤', '⚪', '⚫'];
+
+/**
+ * Normalize a composition's roles into an ordered list of slots
+ * Accepts either `{ tank: 2, healer: 1 }` or `[{ role: 'tank', count: 2 }]`
+ * @param {Object|Array} roles - Roles from the composition document
+ * @returns {Array<{role: string, slots: number}>}
+ */
+function normalizeRoles(roles) {
+  if (Array.isArray(roles)) {
+    return roles
+      .filter(entry => entry && entry.role)
+      .map(entry => ({ role: String(entry.role).toLowerCase(), slots: Number(entry.count ?? entry.slots) || 0 }));
+  }
+
+  return Object.entries(roles || {})
+    .map(([role, count]) => ({ role: role.toLowerCase(), slots: Number(count) || 0 }));
+}
+
+/**
+ * Load a composition from gameData/compositions
+ * @param {string} compositionId - Composition ID referenced by a roam
+ * @returns {Promise<Object|null>} - `{ id, name, roles: [{ role, emoji, slots, filled }] }`
+ */
+export async function getComposition(compositionId) {
+  if (!compositionId) {
+    return null;
+  }
+
+  const compositionsDoc = await collections.get(collections.GAME_DATA).doc('compositions').get();
+  if (!compositionsDoc.exists) {
+    logger.warn('⚠️ gameData/compositions document not found');
+    return null;
+  }
+
+  const composition = (compositionsDoc.data().compositions || [])
+    .find(entry => String(entry.id) === String(compositionId));
+
+  if (!composition) {
+    logger.warn(`⚠️ Composition ${compositionId} not found`);
+    return null;
+  }
+
+  let fallbackIndex = 0;
+  const roles = normalizeRoles(composition.roles).map(({ role, slots }) => ({
+    role,
+    emoji: ROLE_EMOJIS[role] || FALLBACK_EMOJIS[fallbackIndex++ % FALLBACK_EMOJIS.length],
+    slots,
+    filled: 0
+  }));
+
+  return {
+    id: String(composition.id),
+    name: composition.name || 'Composition',
+    roles
+  };
+}
+
+/**
+ * Compare two emojis, ignoring the variation selector Discord may drop (🛡 vs 🛡️)
+ * @param {string} a - Emoji
+ * @param {string} b - Emoji
+ * @returns {boolean}
+ */
+export function isSameEmoji(a, b) {
+  return typeof a === 'string' && typeof b === 'string' &&
+    a.replace(/\uFE0F/g, '') === b.replace(/\uFE0F/g, '');
+}
+
+/**
+ * Find the composition role that belongs to a reaction emoji
+ * @param {Object} composition - Composition stored on the Discord post
+ * @param {string} emoji - Reaction emoji name
+ * @returns {Object|null} - Matching role entry
+ */
+export function getRoleByEmoji(composition, emoji) {
+  return composition?.roles?.find(entry => isSameEmoji(entry.emoji, emoji)) || null;
+}
+
+/**
+ * Recalculate filled counts per role from a roam's role signups
+ * @param {Object} composition - Composition stored on the Discord post
+ * @param {Object} roleSignups - Map of Discord user ID to role
+ * @returns {Object} - Composition with updated `filled` counts
+ */
+export function applyRoleSignups(composition, roleSignups = {}) {
+  const takenRoles = Object.values(roleSignups);
+
+  return {
+    ...composition,
+    roles: composition.roles.map(entry => ({
+      ...entry,
+      filled: takenRoles.filter(role => role === entry.role).length
+    }))
+  };
+}
+
+export default { ROLE_EMOJIS, FALLBACK_EMOJIS, getComposition, isSameEmoji, getRoleByEmoji, applyRoleSignups };
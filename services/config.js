@@ -0,0 +1,402 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+
+/**
+ * Central configuration: every setting is read, validated and defaulted here
+ *
+ * Values come from the real environment, then `.env.<profile>`, then `.env` (first one wins).
+ * The profile (APP_ENV = development, staging or production) supplies defaults for the settings
+ * that differ between deployments, such as the frontend URL and CORS origins.
+ * Invalid settings fail startup with the full list of problems.
+ */
+
+const PROFILES = {
+  dev: 'development',
+  development: 'development',
+  staging: 'staging',
+  prod: 'production',
+  production: 'production'
+};
+
+const DEFAULT_PROFILE = 'production';
+
+// Per-profile defaults (anything set in the environment wins)
+const PROFILE_DEFAULTS = {
+  development: {
+    FRONTEND_URL: 'http://localhost:3000',
+    CORS_ORIGINS: 'http://localhost:3000,http://localhost:3001',
+    LEADER_ELECTION: 'false'
+  },
+  // Staging has no well-known URL - set FRONTEND_URL
+  staging: {},
+  production: {
+    FRONTEND_URL: 'https://bonfire-albion.web.app',
+    CORS_ORIGINS: 'https://bonfire-albion.web.app,https://bonfire-7e85b.web.app'
+  }
+};
+
+const DEFAULT_SERVICE_ACCOUNT_PATH = 'firebaseServiceAccount.json';
+const SERVICE_ACCOUNT_FIELDS = ['project_id', 'client_email', 'private_key'];
+const SNOWFLAKE_PATTERN = /^\d{17,20}$/;
+
+let config = null;
+
+/**
+ * Normalize a profile name
+ * @param {string} value - APP_ENV value
+ * @returns {string|null} - Profile, or null if unknown
+ */
+function resolveProfile(value) {
+  return PROFILES[(value || DEFAULT_PROFILE).trim().toLowerCase()] || null;
+}
+
+/**
+ * Load `.env.<profile>` and `.env` into process.env without overriding what is already set
+ * Runs on import, so modules that read the environment at import time (e.g. INSTANCE_ID) see the files.
+ */
+function loadEnvFiles() {
+  const baseFile = path.join(process.cwd(), '.env');
+  const baseEnv = fs.existsSync(baseFile) ? dotenv.parse(fs.readFileSync(baseFile)) : {};
+  const profile = resolveProfile(process.env.APP_ENV || baseEnv.APP_ENV);
+
+  if (profile) {
+    dotenv.config({ path: path.join(process.cwd(), `.env.${profile}`) });
+  }
+  dotenv.config({ path: baseFile });
+}
+
+loadEnvFiles();
+
+/**
+ * Create typed readers that record every problem instead of throwing on the first
+ * @param {Object} env - Settings (profile defaults merged with the environment)
+ * @param {string[]} errors - Problems found so far
+ * @returns {Object} - Readers
+ */
+function createReader(env, errors) {
+  const raw = (name) => {
+    const value = env[name];
+    return typeof value === 'string' && value.trim() !== '' ? value.trim() : undefined;
+  };
+
+  const required = (name) => {
+    const value = raw(name);
+    if (value === undefined) {
+      errors.push(`${name} is required`);
+    }
+    return value;
+  };
+
+  const isUrl = (value) => {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  };
+
+  return {
+    raw,
+
+    string(name, { fallback = null, isRequired = false } = {}) {
+      return (isRequired ? required(name) : raw(name)) ?? fallback;
+    },
+
+    int(name, { fallback, min = 1 }) {
+      const value = raw(name);
+      if (value === undefined) {
+        return fallback;
+      }
+      const parsed = Number(value);
+      if (!Number.isInteger(parsed) || parsed < min) {
+        errors.push(`${name} must be a whole number of at least ${min} (got "${value}")`);
+        return fallback;
+      }
+      return parsed;
+    },
+
+    number(name, { fallback }) {
+      const value = raw(name);
+      if (value === undefined) {
+        return fallback;
+      }
+      const parsed = Number(value);
+      if (!Number.isFinite(parsed) || parsed <= 0) {
+        errors.push(`${name} must be a positive number (got "${value}")`);
+        return fallback;
+      }
+      return parsed;
+    },
+
+    bool(name, { fallback }) {
+      const value = raw(name)?.toLowerCase();
+      if (value === undefined) {
+        return fallback;
+      }
+      if (value !== 'true' && value !== 'false') {
+        errors.push(`${name} must be true or false (got "${value}")`);
+        return fallback;
+      }
+      return value === 'true';
+    },
+
+    oneOf(name, allowed, { fallback }) {
+      const value = raw(name)?.toLowerCase();
+      if (value === undefined) {
+        return fallback;
+      }
+      if (!allowed.includes(value)) {
+        errors.push(`${name} must be one of ${allowed.join(', ')} (got "${value}")`);
+        return fallback;
+      }
+      return value;
+    },
+
+    url(name, { fallback = null, isRequired = false } = {}) {
+      const value = isRequired ? required(name) : raw(name);
+      if (value === undefined) {
+        return fallback;
+      }
+      if (!isUrl(value)) {
+        errors.push(`${name} must be an http(s) URL (got "${value}")`);
+        return fallback;
+      }
+      return value.replace(/\/+$/, '');
+    },
+
+    list(name, { validate = null, expected = '', fallback = [] } = {}) {
+      const value = raw(name);
+      if (value === undefined) {
+        return fallback;
+      }
+      const entries = value.split(',').map(entry => entry.trim()).filter(Boolean);
+      const invalid = validate ? entries.filter(entry => !validate(entry)) : [];
+      if (invalid.length > 0) {
+        errors.push(`${name} must be a comma-separated list of ${expected} (invalid: ${invalid.join(', ')})`);
+        return entries.filter(entry => validate(entry));
+      }
+      return entries;
+    },
+
+    isUrl,
+
+    snowflake(name, { isRequired = false } = {}) {
+      const value = isRequired ? required(name) : raw(name);
+      if (value !== undefined && !SNOWFLAKE_PATTERN.test(value)) {
+        errors.push(`${name} must be a Discord ID (got "${value}")`);
+      }
+      return value ?? null;
+    }
+  };
+}
+
+/**
+ * Read the Firebase service account
+ * FIREBASE_SERVICE_ACCOUNT holds the JSON itself (raw or base64); otherwise it is read from
+ * FIREBASE_SERVICE_ACCOUNT_PATH (default ./firebaseServiceAccount.json).
+ * @param {Object} read - Readers
+ * @param {string[]} errors - Problems found so far
+ * @returns {Object} - `{ serviceAccount, source }`
+ */
+function readFirebaseCredentials(read, errors) {
+  const inline = read.raw('FIREBASE_SERVICE_ACCOUNT');
+  let text;
+  let source;
+
+  if (inline) {
+    source = 'FIREBASE_SERVICE_ACCOUNT';
+    text = inline.startsWith('{') ? inline : Buffer.from(inline, 'base64').toString('utf8');
+  } else {
+    const filePath = path.resolve(process.cwd(), read.raw('FIREBASE_SERVICE_ACCOUNT_PATH') || DEFAULT_SERVICE_ACCOUNT_PATH);
+    source = filePath;
+
+    if (!fs.existsSync(filePath)) {
+      errors.push(`Firebase service account file not found at ${filePath} (set FIREBASE_SERVICE_ACCOUNT_PATH or FIREBASE_SERVICE_ACCOUNT)`);
+      return { serviceAccount: null, source };
+    }
+    text = fs.readFileSync(filePath, 'utf8');
+  }
+
+  let serviceAccount;
+  try {
+    serviceAccount = JSON.parse(text);
+  } catch (error) {
+    errors.push(`Firebase service account from ${source} is not valid JSON`);
+    return { serviceAccount: null, source };
+  }
+
+  const missing = SERVICE_ACCOUNT_FIELDS.filter(field => !serviceAccount?.[field]);
+  if (missing.length > 0) {
+    errors.push(`Firebase service account from ${source} is missing ${missing.join(', ')}`);
+  }
+
+  return { serviceAccount, source };
+}
+
+/**
+ * Build and validate the configuration from an environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Frozen configuration
+ * @throws {Error} - With `errors` listing every invalid setting
+ */
+export function loadConfig(env = process.env) {
+  const errors = [];
+  const profile = resolveProfile(env.APP_ENV);
+
+  if (!profile) {
+    errors.push(`APP_ENV must be one of ${Object.keys(PROFILES).join(', ')} (got "${env.APP_ENV}")`);
+  }
+
+  const read = createReader({ ...PROFILE_DEFAULTS[profile || DEFAULT_PROFILE], ...env }, errors);
+
+  const frontendUrl = read.url('FRONTEND_URL', { isRequired: true });
+  const corsOrigins = read.list('CORS_ORIGINS', { validate: read.isUrl, expected: 'URLs' })
+    .map(origin => new URL(origin).origin);
+  const redirectOrigins = read.list('AUTH_REDIRECT_ORIGINS', { validate: read.isUrl, expected: 'URLs' })
+    .map(origin => new URL(origin).origin);
+  const allowedRedirectOrigins = redirectOrigins.length > 0 ? redirectOrigins : corsOrigins;
+
+  const roleIds = (name) => read.list(name, { validate: value => SNOWFLAKE_PATTERN.test(value), expected: 'Discord role IDs' });
+
+  const result = {
+    profile: profile || DEFAULT_PROFILE,
+
+    server: {
+      port: read.int('PORT', { fallback: 5000 }),
+      // The frontend URL is always allowed
+      corsOrigins: [...new Set([frontendUrl && new URL(frontendUrl).origin, ...corsOrigins].filter(Boolean))]
+    },
+
+    urls: {
+      frontend: frontendUrl,
+      // Public URL of this backend; when unset, OAuth callbacks are built from the request host
+      backend: read.url('BACKEND_URL'),
+      // Origins the login flow may return to (defaults to the CORS origins)
+      redirectOrigins: [...new Set([frontendUrl && new URL(frontendUrl).origin, ...allowedRedirectOrigins].filter(Boolean))]
+    },
+
+    oauth: {
+      clientId: read.snowflake('DISCORD_CLIENT_ID', { isRequired: true }),
+      clientSecret: read.string('DISCORD_CLIENT_SECRET', { isRequired: true }),
+      // Default redirect for frontend-driven code exchange (/api/auth/exchange-code, /api/auth/discord-url)
+      redirectUri: read.url('REDIRECT_URI', { fallback: frontendUrl ? `${frontendUrl}/auth/callback` : null })
+    },
+
+    session: {
+      secret: read.string('SESSION_SECRET', { isRequired: true }),
+      ttlHours: read.number('SESSION_TTL_HOURS', { fallback: 24 * 7 })
+    },
+
+    discord: {
+      token: read.string('DISCORD_TOKEN', { isRequired: true }),
+      channelId: read.snowflake('DISCORD_CHANNEL_ID', { isRequired: true }),
+      guildId: read.snowflake('DISCORD_GUILD_ID'),
+      postFormat: read.oneOf('DISCORD_POST_FORMAT', ['embed', 'text'], { fallback: 'embed' }),
+      signupComponents: read.bool('DISCORD_SIGNUP_COMPONENTS', { fallback: false }),
+      removalMode: read.oneOf('POST_REMOVAL_MODE', ['notice', 'delete'], { fallback: 'notice' }),
+      // Needs the privileged Server Members intent
+      memberSync: read.bool('DISCORD_MEMBER_SYNC', { fallback: false }),
+      // Keyed by permission level (see permissions.js)
+      roleIds: {
+        member: roleIds('DISCORD_MEMBER_ROLE_IDS'),
+        roamLeader: roleIds('DISCORD_ROAM_LEADER_ROLE_IDS'),
+        officer: roleIds('DISCORD_OFFICER_ROLE_IDS'),
+        admin: roleIds('DISCORD_ADMIN_ROLE_IDS')
+      }
+    },
+
+    firebase: readFirebaseCredentials(read, errors),
+
+    reminders: {
+      enabled: read.bool('REMINDERS_ENABLED', { fallback: true }),
+      offsetsMinutes: read.list('REMINDER_OFFSETS_MINUTES', {
+        validate: value => /^\d+$/.test(value) && Number(value) > 0,
+        expected: 'positive minutes',
+        fallback: ['60', '10']
+      }).map(Number).sort((a, b) => b - a)
+    },
+
+    templates: {
+      enabled: read.bool('ROAM_TEMPLATES_ENABLED', { fallback: true }),
+      // How far ahead of each occurrence its roam and post are created (a template's leadTimeHours overrides it)
+      leadTimeHours: read.int('ROAM_TEMPLATE_LEAD_HOURS', { fallback: 48 })
+    },
+
+    attendance: {
+      enabled: read.bool('ATTENDANCE_ENABLED', { fallback: false }),
+      // Default voice channel; a roam's `voiceChannelId` overrides it
+      voiceChannelId: read.snowflake('ATTENDANCE_VOICE_CHANNEL_ID'),
+      windowBeforeMinutes: read.int('ATTENDANCE_WINDOW_BEFORE_MINUTES', { fallback: 15, min: 0 }),
+      // Roam length when the roam has no `durationMinutes`
+      durationMinutes: read.int('ATTENDANCE_DURATION_MINUTES', { fallback: 120 }),
+      // Less time than this in the channel counts as a no-show
+      minMinutes: read.int('ATTENDANCE_MIN_MINUTES', { fallback: 15, min: 0 })
+    },
+
+    retry: {
+      maxAttempts: read.int('RETRY_MAX_ATTEMPTS', { fallback: 5 }),
+      baseDelaySeconds: read.int('RETRY_BASE_DELAY_SECONDS', { fallback: 30 })
+    },
+
+    leader: {
+      election: read.bool('LEADER_ELECTION', { fallback: true }),
+      leaseSeconds: read.int('LEADER_LEASE_SECONDS', { fallback: 30 }),
+      claimLeaseSeconds: read.int('POST_CLAIM_LEASE_SECONDS', { fallback: 60 })
+    },
+
+    // Read by logger.js straight from the environment (it logs before config loads); validated here
+    logging: {
+      level: read.oneOf('LOG_LEVEL', ['debug', 'info', 'warn', 'error'], { fallback: 'info' }),
+      format: read.oneOf('LOG_FORMAT', ['json', 'pretty'], { fallback: 'json' })
+    },
+
+    shutdown: {
+      timeoutSeconds: read.int('SHUTDOWN_TIMEOUT_SECONDS', { fallback: 20, min: 0 })
+    }
+  };
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid configuration:\n${errors.map(problem => `  - ${problem}`).join('\n')}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  return deepFreeze(result);
+}
+
+/**
+ * Freeze an object and everything in it
+ * @param {Object} value - Object to freeze
+ * @returns {Object} - The same object
+ */
+function deepFreeze(value) {
+  Object.values(value).forEach(entry => {
+    if (entry && typeof entry === 'object' && !Object.isFrozen(entry)) {
+      deepFreeze(entry);
+    }
+  });
+  return Object.freeze(value);
+}
+
+/**
+ * Load and validate the configuration from process.env (call once at startup)
+ * @returns {Object} - Configuration
+ * @throws {Error} - With `errors` listing every invalid setting
+ */
+export function initializeConfig() {
+  if (!config) {
+    config = loadConfig(process.env);
+  }
+  return config;
+}
+
+/**
+ * Get the configuration, loading it on first use
+ * @returns {Object} - Configuration
+ */
+export function getConfig() {
+  return config || initializeConfig();
+}
+
+export default { loadConfig, initializeConfig, getConfig };
@@ -1,48 +1,122 @@
-import { Client, GatewayIntentBits, Partials, Events } from "discord.js";
+import {
+  Client,
+  GatewayIntentBits,
+  Partials,
+  Events,
+  PermissionFlagsBits,
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder
+} from "discord.js";
 import { collections } from './firebase.js';
+import { PERMISSION_LEVELS, resolvePermissionLevel } from './permissions.js';
+import { isSameEmoji } from './compositions.js';
+import { initializeSlashCommands } from './slashCommands.js';
+import { resolveChannelId } from './channelRouting.js';
+import { observeDiscordCall, discordRateLimitsCounter } from './metrics.js';
+import { getConfig } from './config.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('discordService');
 
 let client = null;
 let targetChannelId = null;
 
+// Embed color per roam category (anything else uses the default)
+const CATEGORY_COLORS = {
+  statics: 0x5865F2,
+  zvz: 0xED4245,
+  ganking: 0x57F287,
+  smallscale: 0xFEE75C,
+  pve: 0x3BA55C,
+  default: 0xE67E22
+};
+
+// Discord limits for embed field values
+const EMBED_FIELD_LIMIT = 1024;
+
+// Discord's limit for embed titles, author names and field names
+const EMBED_NAME_LIMIT = 256;
+const EMBED_FOOTER_LIMIT = 2048;
+
+// Shown as the embed author when a post names no leader or author
+const DEFAULT_AUTHOR_NAME = 'Bonfire';
+
+/**
+ * Custom IDs for signup buttons and the role select menu
+ */
+export const SIGNUP_COMPONENT_IDS = {
+  SIGN_UP: 'roam:signup',
+  WITHDRAW: 'roam:withdraw',
+  TENTATIVE: 'roam:tentative',
+  ROLE_SELECT: 'roam:role'
+};
+
 /**
  * Initialize Discord bot client
  */
 export function initializeDiscordBot() {
   return new Promise((resolve, reject) => {
     try {
-      targetChannelId = process.env.DISCORD_CHANNEL_ID;
-      
-      if (!targetChannelId) {
-        throw new Error('DISCORD_CHANNEL_ID environment variable not set');
-      }
+      targetChannelId = getConfig().discord.channelId;
 
       client = new Client({
         intents: [
           GatewayIntentBits.Guilds,
           GatewayIntentBits.GuildMessages,
-          GatewayIntentBits.GuildMessageReactions
+          GatewayIntentBits.GuildMessageReactions,
+          // Who is in which voice channel, for attendance tracking (see attendanceTracker.js)
+          GatewayIntentBits.GuildVoiceStates,
+          // Privileged - only requested when guild member sync is on (see guildMembers.js)
+          ...(getConfig().discord.memberSync ? [GatewayIntentBits.GuildMembers] : [])
         ],
-        partials: [Partials.Message, Partials.Channel, Partials.Reaction],
+        partials: [Partials.Message, Partials.Channel, Partials.Reaction, Partials.GuildMember],
       });
 
+      // discord.js waits out rate limits itself - count them so they show up in /metrics
+      client.rest.on('rateLimited', () => discordRateLimitsCounter.inc());
+
       // Bot ready event
-      client.once(Events.ClientReady, () => {
-        console.log(`🤖 Discord bot logged in as ${client.user.tag}`);
+      client.once(Events.ClientReady, async () => {
+        logger.info(`🤖 Discord bot logged in as ${client.user.tag}`);
+
+        // Register /roam slash commands in our guild
+        try {
+          await initializeSlashCommands(client, await getGuild());
+        } catch (error) {
+          logger.error('❌ Error registering slash commands:', error.message);
+        }
+
         resolve(client);
       });
 
       // Login with bot token
-      client.login(process.env.DISCORD_TOKEN);
+      client.login(getConfig().discord.token);
 
     } catch (error) {
-      console.error('❌ Error initializing Discord bot:', error.message);
+      logger.error('❌ Error initializing Discord bot:', error.message);
       reject(error);
     }
   });
 }
 
 /**
- * Post a message to the configured Discord channel
+ * Log out and close the gateway connection (on shutdown)
+ */
+export async function destroyDiscordBot() {
+  if (!client) {
+    return;
+  }
+
+  await client.destroy();
+  client = null;
+  logger.info('🛑 Discord bot logged out');
+}
+
+/**
+ * Post a message to the Discord channel routed for the post (see channelRouting.js)
  * @param {Object} postData - The post data from Firestore
  * @returns {Promise<Object>} - Discord message object with metadata
  */
@@ -52,21 +126,28 @@ export async function postToDiscord(postData) {
       throw new Error('Discord bot is not ready');
     }
 
-    const channel = await client.channels.fetch(targetChannelId);
+    const channelId = resolveChannelId(postData);
+    const channel = await client.channels.fetch(channelId);
     if (!channel) {
-      throw new Error(`Could not find channel with ID: ${targetChannelId}`);
+      throw new Error(`Could not find channel with ID: ${channelId}`);
     }
 
-    // Create the message content
-    const messageContent = formatPostMessage(postData);
+    // Create the message content (embed or plain text, depending on config)
+    const messageContent = await buildMessagePayload(postData);
 
     // Send the message
-    const message = await channel.send(messageContent);
+    const message = await observeDiscordCall('post_message', () => channel.send(messageContent));
 
-    // Add the ✅ reaction automatically
-    await message.react('✅');
+    // Add one reaction per composition role, or the ✅ reaction for plain signups
+    if (postData.composition?.roles?.length) {
+      for (const { emoji } of postData.composition.roles) {
+        await observeDiscordCall('add_reaction', () => message.react(emoji));
+      }
+    } else {
+      await observeDiscordCall('add_reaction', () => message.react('✅'));
+    }
 
-    console.log(`📤 Posted message to Discord: ${message.id}`);
+    logger.info(`📤 Posted message to Discord: ${message.id}`);
 
     // Return message metadata
     return {
@@ -77,7 +158,7 @@ export async function postToDiscord(postData) {
     };
 
   } catch (error) {
-    console.error('❌ Error posting to Discord:', error.message);
+    logger.error('❌ Error posting to Discord:', error.message);
     throw error;
   }
 }
@@ -85,7 +166,7 @@ export async function postToDiscord(postData) {
 /**
  * Update an existing Discord message
  * @param {string} messageId - Discord message ID
- * @param {Object} updatedData - Updated post data
+ * @param {Object} updatedData - Updated post data (its `discordChannelId` locates the message)
  */
 export async function updateDiscordMessage(messageId, updatedData) {
   try {
@@ -93,27 +174,331 @@ export async function updateDiscordMessage(messageId, updatedData) {
       throw new Error('Discord bot is not ready');
     }
 
-    const channel = await client.channels.fetch(targetChannelId);
+    const channel = await client.channels.fetch(updatedData.discordChannelId || targetChannelId);
     const message = await channel.messages.fetch(messageId);
 
     if (!message) {
       throw new Error(`Could not find message with ID: ${messageId}`);
     }
 
-    const updatedContent = formatPostMessage(updatedData);
-    await message.edit(updatedContent);
+    const updatedContent = await buildMessagePayload(updatedData);
+    await observeDiscordCall('edit_message', () => message.edit(updatedContent));
 
-    console.log(`📝 Updated Discord message: ${messageId}`);
+    logger.info(`📝 Updated Discord message: ${messageId}`);
     return message;
 
   } catch (error) {
-    console.error('❌ Error updating Discord message:', error.message);
+    logger.error('❌ Error updating Discord message:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Fetch a message in a channel, or null if it no longer exists
+ * @param {string} channelId - Discord channel ID (defaults to the target channel)
+ * @param {string} messageId - Discord message ID
+ * @returns {Promise<Object|null>} - Discord message
+ */
+async function fetchPostMessage(channelId, messageId) {
+  if (!client || !client.isReady()) {
+    throw new Error('Discord bot is not ready');
+  }
+
+  const channel = await client.channels.fetch(channelId || targetChannelId);
+
+  try {
+    return await channel.messages.fetch(messageId);
+  } catch (error) {
+    // Unknown Message - already deleted in Discord
+    if (error.code === 10008) {
+      return null;
+    }
     throw error;
   }
 }
 
 /**
- * Format post data into Discord message content
+ * Delete a post's Discord message
+ * @param {string} channelId - Discord channel ID
+ * @param {string} messageId - Discord message ID
+ */
+export async function deleteDiscordMessage(channelId, messageId) {
+  const message = await fetchPostMessage(channelId, messageId);
+
+  if (!message) {
+    logger.info(`ℹ️ Discord message ${messageId} was already deleted`);
+    return;
+  }
+
+  await observeDiscordCall('delete_message', () => message.delete());
+  logger.info(`🗑️ Deleted Discord message: ${messageId}`);
+}
+
+/**
+ * Turn a post's Discord message into a CANCELLED notice and lock signups
+ * Removes the signup buttons / role menu and all reactions.
+ * @param {string} channelId - Discord channel ID
+ * @param {string} messageId - Discord message ID
+ * @param {Object} postData - Post data from Firestore (uses `title`, `status` and `cancelReason`)
+ */
+export async function markDiscordMessageCancelled(channelId, messageId, postData) {
+  const message = await fetchPostMessage(channelId, messageId);
+
+  if (!message) {
+    logger.info(`ℹ️ Discord message ${messageId} was already deleted`);
+    return;
+  }
+
+  const label = postData.status === 'deleted' ? 'REMOVED' : 'CANCELLED';
+  const reason = postData.cancelReason ? `Reason: ${postData.cancelReason}` : 'Signups are closed.';
+  const title = `🛑 ${label}: ${postData.title || 'Roam'}`;
+
+  const payload = getConfig().discord.postFormat === 'text'
+    ? { content: `**${title}**\n${reason}`, embeds: [] }
+    : {
+      content: null,
+      embeds: [
+        new EmbedBuilder()
+          .setTitle(title)
+          .setDescription(reason)
+          .setColor(0x747F8D)
+          .setTimestamp(new Date())
+      ]
+    };
+
+  await observeDiscordCall('edit_message', () => message.edit({ ...payload, components: [] }));
+  await observeDiscordCall('remove_reactions', () => message.reactions.removeAll());
+
+  logger.info(`🛑 Marked Discord message ${messageId} as ${label.toLowerCase()}`);
+}
+
+/**
+ * Build the message payload for a post
+ * Renders an embed by default; set DISCORD_POST_FORMAT=text for the plain-text format
+ * @param {Object} postData - Post data from Firestore
+ * @returns {Promise<Object>} - Payload for channel.send / message.edit
+ */
+async function buildMessagePayload(postData) {
+  const payload = getConfig().discord.postFormat === 'text'
+    ? { content: formatPostMessage(postData), embeds: [] }
+    : { content: null, embeds: [await buildPostEmbed(postData)] };
+
+  if (useSignupComponents(postData)) {
+    payload.components = buildSignupComponents(postData);
+  }
+
+  return payload;
+}
+
+/**
+ * Check whether a post gets signup buttons / role menu
+ * A post's own `signupComponents` flag overrides DISCORD_SIGNUP_COMPONENTS
+ * @param {Object} postData - Post data from Firestore
+ * @returns {boolean}
+ */
+function useSignupComponents(postData) {
+  if (typeof postData.signupComponents === 'boolean') {
+    return postData.signupComponents;
+  }
+  return getConfig().discord.signupComponents;
+}
+
+/**
+ * Build the signup buttons and (for compositions) the role select menu
+ * @param {Object} postData - Post data from Firestore
+ * @returns {ActionRowBuilder[]} - Message component rows
+ */
+function buildSignupComponents(postData) {
+  const { composition = null } = postData;
+  const rows = [];
+
+  // Composition posts sign up through the role menu instead of the button
+  const buttons = new ActionRowBuilder();
+  if (!composition?.roles?.length) {
+    buttons.addComponents(
+      new ButtonBuilder()
+        .setCustomId(SIGNUP_COMPONENT_IDS.SIGN_UP)
+        .setLabel('Sign up')
+        .setEmoji('✅')
+        .setStyle(ButtonStyle.Success)
+    );
+  }
+  buttons.addComponents(
+    new ButtonBuilder()
+      .setCustomId(SIGNUP_COMPONENT_IDS.TENTATIVE)
+      .setLabel('Tentative')
+      .setEmoji('🤔')
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(SIGNUP_COMPONENT_IDS.WITHDRAW)
+      .setLabel('Withdraw')
+      .setEmoji('❌')
+      .setStyle(ButtonStyle.Danger)
+  );
+
+  if (composition?.roles?.length) {
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId(SIGNUP_COMPONENT_IDS.ROLE_SELECT)
+      .setPlaceholder('Pick a role to sign up')
+      .addOptions(composition.roles.slice(0, 25).map(({ role, emoji, slots, filled = 0 }) => ({
+        label: role.charAt(0).toUpperCase() + role.slice(1),
+        value: role,
+        emoji,
+        description: `${filled}/${slots} filled`
+      })));
+
+    rows.push(new ActionRowBuilder().addComponents(menu));
+  }
+
+  rows.push(buttons);
+  return rows;
+}
+
+/**
+ * Truncate text to fit an embed field value
+ * @param {*} text - Field text
+ * @param {number} limit - Maximum length
+ * @returns {string}
+ */
+function truncateField(text, limit = EMBED_FIELD_LIMIT) {
+  const value = String(text ?? '');
+  return value.length > limit ? `${value.slice(0, limit - 1)}…` : value;
+}
+
+/**
+ * Truncate text to fit an embed title, author name or field name
+ * @param {*} text - Name text
+ * @returns {string}
+ */
+function truncateName(text) {
+  return truncateField(text, EMBED_NAME_LIMIT);
+}
+
+/**
+ * Format a roam time for Discord, using a localized timestamp when it parses
+ * @param {string} datetime - Roam date/time
+ * @returns {string}
+ */
+function formatRoamTime(datetime) {
+  const parsed = Date.parse(datetime);
+  if (Number.isNaN(parsed)) {
+    return datetime;
+  }
+
+  const unix = Math.floor(parsed / 1000);
+  return `<t:${unix}:F> (<t:${unix}:R>)`;
+}
+
+/**
+ * Build a rich embed for a roam post, including the live roster
+ * @param {Object} postData - Post data from Firestore
+ * @returns {Promise<EmbedBuilder>} - Discord embed
+ */
+async function buildPostEmbed(postData) {
+  const {
+    title = 'New Post',
+    description = '',
+    author = 'Anonymous',
+    timestamp,
+    reactions = {},
+    additionalInfo = '',
+    roamId = null,
+    roamDetails = null,
+    roamCategory = null,
+    leaderId = null,
+    composition = null,
+    roster = null
+  } = postData;
+
+  const category = (roamCategory || '').toLowerCase();
+  const embed = new EmbedBuilder()
+    .setTitle(truncateName(title))
+    .setColor(CATEGORY_COLORS[category] || CATEGORY_COLORS.default);
+
+  if (description) {
+    embed.setDescription(description);
+  }
+
+  // Show the leader's name and Discord avatar
+  const leaderName = truncateName(roamDetails?.leader || author || DEFAULT_AUTHOR_NAME);
+  let leaderAvatar = null;
+  if (leaderId) {
+    try {
+      const leader = await client.users.fetch(leaderId);
+      leaderAvatar = leader.displayAvatarURL({ size: 128 });
+    } catch (error) {
+      logger.warn(`⚠️ Could not fetch avatar for leader ${leaderId}:`, error.message);
+    }
+  }
+  embed.setAuthor({ name: leaderName, ...(leaderAvatar && { iconURL: leaderAvatar }) });
+  if (leaderAvatar) {
+    embed.setThumbnail(leaderAvatar);
+  }
+
+  const fields = [];
+  if (roamDetails?.type || roamCategory) fields.push({ name: '📋 Type', value: truncateField(roamDetails?.type || roamCategory), inline: true });
+  if (roamDetails?.datetime) fields.push({ name: '⏰ Time', value: truncateField(formatRoamTime(roamDetails.datetime)), inline: true });
+  if (roamDetails?.leader) fields.push({ name: '👑 Leader', value: truncateField(roamDetails.leader), inline: true });
+  if (roamDetails?.description) fields.push({ name: '📝 Details', value: truncateField(roamDetails.description) });
+
+  // Composition slots
+  if (composition?.roles?.length) {
+    const slots = composition.roles
+      .map(({ role, emoji, slots, filled = 0 }) => `${emoji} ${role.charAt(0).toUpperCase() + role.slice(1)}: **${filled}/${slots}**`)
+      .join('\n');
+    fields.push({ name: truncateName(`🧩 ${composition.name}`), value: truncateField(slots) });
+  }
+
+  // Live roster, split into registered users and guests
+  if (roster) {
+    const describe = entry => `${entry.name}${entry.role ? ` (${entry.role})` : ''}`;
+    const registered = roster.entries.filter(entry => entry.registered);
+    const guests = roster.entries.filter(entry => !entry.registered);
+    const total = `${roster.entries.length}${roster.maxSignups ? `/${roster.maxSignups}` : ''}`;
+
+    fields.push({
+      name: `✅ Registered (${registered.length}) · ${total} total`,
+      value: truncateField(registered.map(describe).join(', ') || '—')
+    });
+    if (guests.length > 0) {
+      fields.push({ name: `👤 Guests (${guests.length})`, value: truncateField(guests.map(describe).join(', ')) });
+    }
+    if (roster.waitlist?.length > 0) {
+      fields.push({
+        name: `⏳ Waitlist (${roster.waitlist.length})`,
+        value: truncateField(roster.waitlist.map((entry, index) => `${index + 1}. ${describe(entry)}`).join('\n'))
+      });
+    }
+    if (roster.tentative?.length > 0) {
+      fields.push({ name: `🤔 Tentative (${roster.tentative.length})`, value: truncateField(roster.tentative.map(entry => entry.name).join(', ')) });
+    }
+  } else if (!composition) {
+    const reactionCount = reactions['✅'] || 0;
+    fields.push({
+      name: '✅ Signups',
+      value: reactionCount > 0 ? `**${reactionCount}** people signed up` : 'React with ✅ to sign up for this roam!'
+    });
+  }
+
+  if (additionalInfo) {
+    fields.push({ name: '📣 Update', value: truncateField(additionalInfo) });
+  }
+
+  embed.addFields(fields);
+
+  embed.setFooter({
+    text: truncateField(`Posted by ${author}${roamId ? ` · Roam ${roamId}` : ''}${composition ? ' · React with a role emoji to sign up' : ''}`, EMBED_FOOTER_LIMIT)
+  });
+
+  if (timestamp) {
+    embed.setTimestamp(new Date(timestamp));
+  }
+
+  return embed;
+}
+
+/**
+ * Format post data into Discord message content (plain-text format)
  * @param {Object} postData - Post data from Firestore
  * @returns {string} - Formatted message content
  */
@@ -126,7 +511,9 @@ function formatPostMessage(postData) {
     reactions = {},
     additionalInfo = '',
     roamId = null,
-    roamDetails = null
+    roamDetails = null,
+    composition = null,
+    roster = null
   } = postData;
 
   let message = `**${title}**\n`;
@@ -152,14 +539,26 @@ function formatPostMessage(postData) {
     message += `\n*Time: ${new Date(timestamp).toLocaleString()}*`;
   }
 
-  // Add reaction count if there are reactions
+  // Add composition slots, or the reaction count if there are reactions
   const reactionCount = reactions['✅'] || 0;
-  if (reactionCount > 0) {
+  if (composition?.roles?.length) {
+    message += `\n\n🧩 **Composition:** ${composition.name}`;
+    for (const { role, emoji, slots, filled = 0 } of composition.roles) {
+      const open = Math.max(slots - filled, 0);
+      message += `\n${emoji} **${role.charAt(0).toUpperCase() + role.slice(1)}:** ${filled}/${slots}${open > 0 ? ` (${open} open)` : ' (full)'}`;
+    }
+    message += `\n\nReact with a role emoji to sign up - one role per person!`;
+  } else if (reactionCount > 0) {
     message += `\n\n✅ **${reactionCount}** people signed up`;
   } else {
     message += `\n\n✅ React to sign up for this roam!`;
   }
 
+  // Add the roster and waitlist if the roam has signups
+  if (roster) {
+    message += formatRoster(roster);
+  }
+
   // Add additional info if provided
   if (additionalInfo) {
     message += `\n\n**Update:**\n${additionalInfo}`;
@@ -168,6 +567,134 @@ function formatPostMessage(postData) {
   return message;
 }
 
+/**
+ * Format a roster snapshot (signups and waitlist) for the Discord message
+ * @param {Object} roster - `{ maxSignups, entries, waitlist, tentative }` from roster.js
+ * @returns {string} - Formatted roster section
+ */
+function formatRoster(roster) {
+  const { maxSignups, entries = [], waitlist = [], tentative = [] } = roster;
+  const maxNames = 40;
+  const describe = entry => `${entry.name}${entry.role ? ` (${entry.role})` : ''}`;
+
+  let section = `\n\n👥 **Roster (${entries.length}${maxSignups ? `/${maxSignups}` : ''}):**`;
+
+  if (entries.length === 0) {
+    section += ` nobody yet`;
+  } else {
+    section += `\n${entries.slice(0, maxNames).map(describe).join(', ')}`;
+    if (entries.length > maxNames) section += ` …and ${entries.length - maxNames} more`;
+  }
+
+  if (waitlist.length > 0) {
+    section += `\n⏳ **Waitlist (${waitlist.length}):**`;
+    section += `\n${waitlist.slice(0, maxNames).map((entry, index) => `${index + 1}. ${describe(entry)}`).join('\n')}`;
+    if (waitlist.length > maxNames) section += `\n…and ${waitlist.length - maxNames} more`;
+  }
+
+  if (tentative.length > 0) {
+    section += `\n🤔 **Tentative (${tentative.length}):** ${tentative.map(entry => entry.name).join(', ')}`;
+  }
+
+  return section;
+}
+
+/**
+ * Remove a user's reaction from a message, if they have one
+ * @param {Object} message - Discord message
+ * @param {string} emoji - Reaction emoji name
+ * @param {string} discordUserId - Discord user ID
+ */
+export async function removeUserReaction(message, emoji, discordUserId) {
+  const reaction = message.reactions.cache.find(entry => isSameEmoji(entry.emoji.name, emoji));
+  await reaction?.users.remove(discordUserId);
+}
+
+/**
+ * Send a direct message to a Discord user
+ * @param {string} discordUserId - Discord user ID
+ * @param {string|Object} content - Message content
+ */
+export async function sendDirectMessage(discordUserId, content) {
+  if (!client || !client.isReady()) {
+    throw new Error('Discord bot is not ready');
+  }
+
+  const user = await client.users.fetch(discordUserId);
+  await observeDiscordCall('send_dm', () => user.send(content));
+
+  logger.info(`✉️ Sent DM to Discord user: ${discordUserId}`);
+}
+
+/**
+ * Send a message to a channel, optionally as a reply to one of its messages
+ * @param {string} channelId - Discord channel ID
+ * @param {string|Object} content - Message content
+ * @param {string} replyToMessageId - Optional message to reply to
+ * @returns {Promise<Object>} - Discord message
+ */
+export async function sendChannelMessage(channelId, content, replyToMessageId = null) {
+  if (!client || !client.isReady()) {
+    throw new Error('Discord bot is not ready');
+  }
+
+  const channel = await client.channels.fetch(channelId);
+  const payload = typeof content === 'string' ? { content } : { ...content };
+
+  if (replyToMessageId) {
+    payload.reply = { messageReference: replyToMessageId, failIfNotExists: false };
+  }
+
+  const message = await observeDiscordCall('send_channel_message', () => channel.send(payload));
+  logger.info(`📣 Sent message to channel ${channelId}: ${message.id}`);
+  return message;
+}
+
+/**
+ * Get the guild the bot manages
+ * Uses DISCORD_GUILD_ID, falling back to the guild of the target channel
+ * @returns {Promise<Object>} - Discord guild
+ */
+export async function getGuild() {
+  if (!client || !client.isReady()) {
+    throw new Error('Discord bot is not ready');
+  }
+
+  let guildId = getConfig().discord.guildId;
+
+  if (!guildId) {
+    const channel = await client.channels.fetch(targetChannelId);
+    guildId = channel.guildId;
+  }
+
+  return client.guilds.fetch(guildId);
+}
+
+/**
+ * Get a user's permission level from their guild roles
+ * @param {string} discordUserId - Discord user ID
+ * @returns {Promise<string>} - Permission level (see permissions.js)
+ */
+export async function getMemberPermissionLevel(discordUserId) {
+  const guild = await getGuild();
+
+  let member;
+  try {
+    member = await guild.members.fetch({ user: discordUserId, force: true });
+  } catch (error) {
+    // Unknown Member - the user is not in the guild
+    if (error.code === 10007) {
+      return PERMISSION_LEVELS.NONE;
+    }
+    throw error;
+  }
+
+  const roleIds = member.roles.cache.map(role => role.id);
+  const isAdministrator = member.permissions.has(PermissionFlagsBits.Administrator);
+
+  return resolvePermissionLevel(roleIds, isAdministrator);
+}
+
 /**
  * Get Discord client instance
  */
@@ -184,8 +711,16 @@ export function getTargetChannelId() {
 
 export default {
   initializeDiscordBot,
+  destroyDiscordBot,
   postToDiscord,
   updateDiscordMessage,
+  deleteDiscordMessage,
+  markDiscordMessageCancelled,
+  sendDirectMessage,
+  sendChannelMessage,
+  removeUserReaction,
   getDiscordClient,
-  getTargetChannelId
+  getTargetChannelId,
+  getGuild,
+  getMemberPermissionLevel
 };
\ No newline at end of file
@@ -1,7 +1,9 @@
 import { initializeApp, cert } from 'firebase-admin/app';
 import { getFirestore } from 'firebase-admin/firestore';
-import fs from 'fs';
-import path from 'path';
+import { getConfig } from './config.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('firebase');
 
 let db = null;
 let app = null;
@@ -13,34 +15,26 @@ export function initializeFirebase() {
   try {
     // Check if already initialized
     if (app) {
-      console.log('✅ Firebase already initialized');
+      logger.info('✅ Firebase already initialized');
       return db;
     }
 
-    // Load service account key
-    const serviceAccountPath = path.join(process.cwd(), 'firebaseServiceAccount.json');
-    
-    if (!fs.existsSync(serviceAccountPath)) {
-      throw new Error('Firebase service account file not found at: ' + serviceAccountPath);
-    }
-
-    const serviceAccount = JSON.parse(fs.readFileSync(serviceAccountPath, 'utf8'));
+    // Service account from FIREBASE_SERVICE_ACCOUNT or FIREBASE_SERVICE_ACCOUNT_PATH (validated by config.js)
+    const { serviceAccount, source } = getConfig().firebase;
 
     // Initialize Firebase Admin
     app = initializeApp({
-      credential: cert(serviceAccount),
-      // Add your Firebase project ID here if needed
-      // projectId: 'your-project-id'
+      credential: cert(serviceAccount)
     });
 
     // Initialize Firestore
     db = getFirestore(app);
     
-    console.log('✅ Firebase Admin initialized successfully');
+    logger.info(`✅ Firebase Admin initialized successfully (project ${serviceAccount.project_id}, credentials from ${source})`);
     return db;
 
   } catch (error) {
-    console.error('❌ Error initializing Firebase:', error.message);
+    logger.error('❌ Error initializing Firebase:', error.message);
     throw error;
   }
 }
@@ -64,6 +58,12 @@ export const collections = {
   POST_REACTIONS: 'post_reactions',
   USERS: 'users',
   GAME_DATA: 'gameData',
+  ROAM_REMINDERS: 'roam_reminders',
+  ROAM_ATTENDANCE: 'roam_attendance',
+  ROAM_TEMPLATES: 'roam_templates',
+  BOT_CONFIG: 'bot_config',
+  RETRY_QUEUE: 'discord_retry_queue',
+  OAUTH_STATES: 'oauth_states',
   
   // Helper to get collection reference
   get: (collectionName) => getDb().collection(collectionName)
@@ -1,21 +1,224 @@
-import { collections } from './firebase.js';
-import { postToDiscord, updateDiscordMessage } from './discordService.js';
+import crypto from 'crypto';
+import { FieldValue } from 'firebase-admin/firestore';
+import { collections, getDb } from './firebase.js';
+import {
+  postToDiscord,
+  updateDiscordMessage,
+  sendDirectMessage,
+  deleteDiscordMessage,
+  markDiscordMessageCancelled
+} from './discordService.js';
+import { getComposition, getRoleByEmoji, applyRoleSignups } from './compositions.js';
+import { getGuestId, getRosterSize, isRosterFull, promoteFromWaitlist, buildRoster } from './roster.js';
+import { getScheduledRoam, updateScheduledRoam } from './roamStore.js';
+import { trackPostChannel } from './channelRouting.js';
+import { getRoamStartTime } from './reminderScheduler.js';
+import { RETRY_TYPES, registerRetryHandler, enqueueRetry, resolveRetry, hasQueuedRetry } from './retryQueue.js';
+import { INSTANCE_ID, isLeader, onLeadershipChange } from './leaderElection.js';
+import { recordEvent } from './health.js';
+import { postsCounter, countSignup, observeFirestoreWrite } from './metrics.js';
+import { getConfig } from './config.js';
+import { createLogger, runWithContext, newCorrelationId, getCorrelationId } from './logger.js';
+import { trackWork } from './shutdown.js';
+
+const logger = createLogger('firestoreListeners');
+
+// Post statuses that take a message out of service
+const REMOVED_STATUSES = ['deleted', 'cancelled'];
+
+// Post fields that are rendered into the Discord message; editing any of them updates the message
+const CONTENT_FIELDS = ['title', 'description', 'author', 'additionalInfo', 'roamDetails', 'roamCategory'];
+
+// gRPC status Firestore returns when `create()` finds the document already there
+const FIRESTORE_ALREADY_EXISTS = 6;
+
+// How long an instance may hold a claimed post before another instance can take it over
+const CLAIM_RECOVERY_INTERVAL_MS = 30 * 1000;
 
 let unsubscribeListeners = [];
 
+// Listeners that only run on the leader instance (see leaderElection.js)
+let leaderListeners = [];
+
+// Posts with a Discord update in flight, so overlapping snapshots don't edit the same message twice
+const updatesInProgress = new Set();
+
+// Posts that changed while their update was in flight, re-checked once it finishes
+const updatesQueued = new Set();
+
+// State of each snapshot listener by name, for the readiness check
+const listenerStates = new Map();
+
 /**
  * Initialize all Firestore listeners
+ * New posts are handled by every instance (a claim makes sure only one posts each);
+ * message updates and removals only run on the leader.
  */
 export function initializeFirestoreListeners() {
-  console.log('🔥 Setting up Firestore listeners...');
+  logger.info('🔥 Setting up Firestore listeners...');
   
   // Listen for new Discord posts
   setupNewPostListener();
   
+  // Failed posts and edits are re-run by the retry queue
+  registerRetryHandler(RETRY_TYPES.POST, retryNewPost);
+  registerRetryHandler(RETRY_TYPES.UPDATE, retryPostUpdate);
+  registerRetryHandler(RETRY_TYPES.METADATA, retryPostMetadata);
+  registerRetryHandler(RETRY_TYPES.REMOVAL, retryRemovedPost);
+  
+  // Subscribing on takeover replays every pending update, so nothing is lost while following
+  onLeadershipChange(leader => (leader ? startLeaderListeners() : stopLeaderListeners()));
+  if (isLeader()) {
+    startLeaderListeners();
+  }
+  
+  logger.info('✅ Firestore listeners initialized');
+}
+
+/**
+ * Wrap a snapshot handler so the listener's state is tracked
+ * Firestore ends a listener after an error, so an errored listener stays errored until restarted.
+ * @param {string} name - Listener name
+ * @param {Function} onNext - Snapshot handler
+ * @returns {Function[]} - `[onNext, onError]` for `onSnapshot`
+ */
+function trackListener(name, onNext) {
+  listenerStates.set(name, { status: 'starting', lastSnapshotAt: null, error: null });
+  
+  return [
+    (snapshot) => {
+      listenerStates.set(name, { status: 'alive', lastSnapshotAt: new Date(), error: null });
+      if (snapshot.docChanges().length > 0) {
+        recordEvent('firestore');
+      }
+      return onNext(snapshot);
+    },
+    (error) => {
+      logger.error(`❌ Firestore listener ${name} failed:`, error.message);
+      listenerStates.set(name, { ...listenerStates.get(name), status: 'errored', error: error.message });
+    }
+  ];
+}
+
+/**
+ * Get the state of every running snapshot listener
+ * @returns {Array<{name: string, status: string, lastSnapshotAt: string|null, error: string|null}>}
+ */
+export function getListenerStatus() {
+  return [...listenerStates].map(([name, state]) => ({
+    name,
+    status: state.status,
+    lastSnapshotAt: state.lastSnapshotAt?.toISOString() || null,
+    error: state.error
+  }));
+}
+
+/**
+ * Start the leader-only listeners
+ */
+function startLeaderListeners() {
+  if (leaderListeners.length > 0) {
+    return;
+  }
+  
+  logger.info('👑 Starting leader-only Firestore listeners...');
+  
   // Listen for post updates
   setupPostUpdateListener();
   
-  console.log('✅ Firestore listeners initialized');
+  // Listen for deleted / cancelled posts
+  setupRemovedPostListener();
+  
+  // Hand claims of crashed instances back to the new post listener
+  const recoveryInterval = setInterval(() => {
+    trackWork('claimRecovery', recoverExpiredClaims, '❌ Error recovering expired post claims:');
+  }, CLAIM_RECOVERY_INTERVAL_MS);
+  leaderListeners.push(() => clearInterval(recoveryInterval));
+}
+
+/**
+ * Stop the leader-only listeners (after losing leadership or on shutdown)
+ */
+function stopLeaderListeners() {
+  leaderListeners.forEach(unsubscribe => unsubscribe());
+  leaderListeners = [];
+  ['manualUpdates', 'autoUpdates', 'removedPosts'].forEach(name => listenerStates.delete(name));
+}
+
+/**
+ * Get the post claim lease length
+ * @returns {number} - Lease in ms
+ */
+function getClaimLeaseMs() {
+  return getConfig().leader.claimLeaseSeconds * 1000;
+}
+
+/**
+ * Claim a post for posting: moves it to `posting` in a transaction, so only one instance posts it
+ * @param {string} docId - Firestore document ID
+ * @param {string[]} fromStatuses - Statuses the post may be claimed from
+ * @returns {Promise<Object|null>} - Fresh post data if claimed, null if another instance has it
+ */
+async function claimPost(docId, fromStatuses) {
+  const postRef = collections.get(collections.DISCORD_POSTS).doc(docId);
+  
+  return getDb().runTransaction(async (transaction) => {
+    const postDoc = await transaction.get(postRef);
+    
+    if (!postDoc.exists || !fromStatuses.includes(postDoc.data().status)) {
+      return null;
+    }
+    
+    transaction.update(postRef, {
+      status: 'posting',
+      claimedBy: INSTANCE_ID,
+      claimedAt: new Date(),
+      claimExpiresAt: new Date(Date.now() + getClaimLeaseMs()),
+      claimedFromStatus: postDoc.data().status
+    });
+    
+    return postDoc.data();
+  });
+}
+
+/**
+ * Put posts whose claim expired (the claiming instance died mid-post) back to `pending`
+ * If the instance died after Discord accepted the message, the post is posted again;
+ * posts whose metadata write is queued for retry are left alone.
+ * @returns {Promise<number>} - Number of posts recovered
+ */
+async function recoverExpiredClaims() {
+  const snapshot = await collections.get(collections.DISCORD_POSTS)
+    .where('status', '==', 'posting')
+    .get();
+  
+  let recovered = 0;
+  
+  for (const postDoc of snapshot.docs) {
+    // Posted already, waiting for its metadata write - releasing it would post it twice
+    if (await hasQueuedRetry(RETRY_TYPES.METADATA, postDoc.id)) {
+      continue;
+    }
+    
+    const released = await getDb().runTransaction(async (transaction) => {
+      const current = await transaction.get(postDoc.ref);
+      const { status, claimExpiresAt } = current.data() || {};
+      
+      if (status !== 'posting' || !claimExpiresAt || claimExpiresAt.toMillis() > Date.now()) {
+        return false;
+      }
+      
+      transaction.update(postDoc.ref, { status: 'pending', claimExpiredAt: new Date() });
+      return true;
+    });
+    
+    if (released) {
+      recovered++;
+      logger.warn(`⚠️ Claim on post ${postDoc.id} by ${postDoc.data().claimedBy} expired - returned to pending`);
+    }
+  }
+  
+  return recovered;
 }
 
 /**
@@ -24,48 +227,299 @@ export function initializeFirestoreListeners() {
 function setupNewPostListener() {
   const unsubscribe = collections.get(collections.DISCORD_POSTS)
     .where('status', '==', 'pending')
-    .onSnapshot(async (snapshot) => {
+    .onSnapshot(...trackListener('newPosts', async (snapshot) => {
       
-      snapshot.docChanges().forEach(async (change) => {
+      snapshot.docChanges().forEach((change) => trackWork('newPost', async () => {
         if (change.type === 'added') {
           const docId = change.doc.id;
           const postData = change.doc.data();
           
-          console.log(`📬 New post detected: ${docId}`);
-          
-          try {
-            // Post to Discord
-            const discordMessageData = await postToDiscord(postData);
-            
-            // Update Firestore with Discord message metadata
-            await collections.get(collections.DISCORD_POSTS).doc(docId).update({
-              status: 'posted',
-              discordMessageId: discordMessageData.messageId,
-              discordChannelId: discordMessageData.channelId,
-              discordUrl: discordMessageData.url,
-              postedAt: new Date(),
-              reactions: { '✅': 0 } // Initialize reaction count
-            });
-            
-            console.log(`✅ Posted to Discord and updated Firestore: ${docId}`);
-            
-          } catch (error) {
-            console.error(`❌ Error processing new post ${docId}:`, error.message);
-            
-            // Update status to error
-            await collections.get(collections.DISCORD_POSTS).doc(docId).update({
-              status: 'error',
-              error: error.message,
-              errorAt: new Date()
-            });
-          }
+          // Continue the correlation ID of the request / command that created the post
+          await runWithContext(getPostContext(docId, postData.correlationId), () => handleNewPost(docId));
         }
-      });
-    });
+      }));
+    }));
   
   unsubscribeListeners.push(unsubscribe);
 }
 
+/**
+ * Get the logging context for work on a post
+ * @param {string} docId - Firestore document ID
+ * @param {string} correlationId - Correlation ID stored on the post, if any
+ * @returns {Object} - `{ correlationId, postId }`
+ */
+function getPostContext(docId, correlationId) {
+  return { correlationId: correlationId || newCorrelationId('firestore'), postId: docId };
+}
+
+/**
+ * Claim and post a new pending post; failures go to the retry queue
+ * @param {string} docId - Firestore document ID
+ */
+async function handleNewPost(docId) {
+  logger.info(`📬 New post detected: ${docId}`);
+  
+  // Another instance may see the same snapshot - only the one that claims it posts
+  let claimed;
+  try {
+    claimed = await claimPost(docId, ['pending']);
+  } catch (error) {
+    // Nothing is ours to mark as failed - the post stays pending and the retry queue claims it later
+    logger.error(`❌ Could not claim post ${docId}:`, error.message);
+    await enqueueRetry(RETRY_TYPES.POST, docId, error);
+    return;
+  }
+  
+  if (!claimed) {
+    logger.info(`ℹ️ Post ${docId} was claimed by another instance`);
+    return;
+  }
+  
+  try {
+    postsCounter.inc({ event: 'created' });
+    await publishPost(docId, claimed);
+    
+  } catch (error) {
+    logger.error(`❌ Error processing new post ${docId}:`, error.message);
+    postsCounter.inc({ event: 'failed' });
+    
+    try {
+      if (error.postMetadata) {
+        await queueMetadataRetry(docId, error);
+      } else if (await releaseFailedClaim(docId, error)) {
+        // Let the retry queue try again
+        await enqueueRetry(RETRY_TYPES.POST, docId, error);
+      }
+    } catch (recordError) {
+      logger.error(`❌ Could not record failure of post ${docId}:`, recordError.message);
+    }
+  }
+}
+
+/**
+ * Mark a post this instance failed to post as `error`
+ * Left alone if the claim was lost, so another instance's status isn't overwritten.
+ * @param {string} docId - Firestore document ID
+ * @param {Error} error - Error of the failed attempt
+ * @returns {Promise<boolean>} - Whether the post was marked
+ */
+async function releaseFailedClaim(docId, error) {
+  const postRef = collections.get(collections.DISCORD_POSTS).doc(docId);
+  
+  const released = await getDb().runTransaction(async (transaction) => {
+    const postDoc = await transaction.get(postRef);
+    const { status, claimedBy } = postDoc.data() || {};
+    
+    if (status !== 'posting' || claimedBy !== INSTANCE_ID) {
+      return false;
+    }
+    
+    transaction.update(postRef, {
+      status: 'error',
+      error: error.message,
+      errorAt: new Date(),
+      claimExpiresAt: null
+    });
+    return true;
+  });
+  
+  if (!released) {
+    logger.warn(`⚠️ Lost the claim on post ${docId} - leaving its status to the instance holding it`);
+  }
+  return released;
+}
+
+/**
+ * Queue the metadata write of a post that reached Discord but wasn't saved
+ * Only the write is retried - posting again would duplicate the message.
+ * @param {string} docId - Firestore document ID
+ * @param {Error} error - Error from publishPost, carrying `postMetadata`
+ */
+async function queueMetadataRetry(docId, error) {
+  logger.error(`❌ Post ${docId} is on Discord (message ${error.postMetadata.discordMessageId}) but its metadata wasn't saved - queueing the write`);
+  await enqueueRetry(RETRY_TYPES.METADATA, docId, error, error.postMetadata);
+}
+
+/**
+ * Post a new roam post to Discord and save the message metadata
+ * @param {string} docId - Firestore document ID
+ * @param {Object} postData - Post data
+ */
+async function publishPost(docId, postData) {
+  // Resolve the roam's composition (one signup emoji per role) and current roster
+  const roam = await getScheduledRoam(postData.roamId);
+  const composition = roam?.composition ? await getComposition(roam.composition) : null;
+  const roster = roam ? await buildRoster(roam) : null;
+  
+  if (composition) {
+    postData.composition = applyRoleSignups(composition, roam.roleSignups);
+  }
+  if (roster) {
+    postData.roster = roster;
+  }
+  if (roam) {
+    postData.roamCategory = postData.roamCategory || roam.category || null;
+    postData.leaderId = postData.leaderId || roam.createdBy || null;
+  }
+  
+  // Resolving the roster may have eaten into the lease - renew it so the post can't be taken over mid-call
+  if (!await renewClaim(docId)) {
+    logger.warn(`⚠️ Lost the claim on post ${docId} before posting - leaving it to the instance holding it`);
+    return;
+  }
+  
+  // Post to Discord
+  const discordMessageData = await postToDiscord(postData);
+  
+  // Update Firestore with Discord message metadata
+  const metadata = {
+    status: 'posted',
+    discordMessageId: discordMessageData.messageId,
+    discordChannelId: discordMessageData.channelId,
+    discordUrl: discordMessageData.url,
+    postedAt: new Date(),
+    postedBy: INSTANCE_ID,
+    claimExpiresAt: null,
+    contentFingerprint: getContentFingerprint(postData),
+    reactions: { '✅': 0 }, // Initialize reaction count
+    ...(composition && { composition: postData.composition }),
+    ...(roster && { roster }),
+    ...(roam && { roamCategory: postData.roamCategory, leaderId: postData.leaderId })
+  };
+  
+  let saved;
+  try {
+    saved = await saveClaimedMetadata(docId, metadata);
+  } catch (error) {
+    // The message is on Discord - callers retry only this write, never the post
+    error.postMetadata = metadata;
+    throw error;
+  }
+  
+  if (!saved) {
+    await discardDuplicateMessage(docId, metadata);
+    return;
+  }
+  
+  postsCounter.inc({ event: 'posted' });
+  logger.info(`✅ Posted to Discord and updated Firestore: ${docId}`);
+}
+
+/**
+ * Extend this instance's claim on a post by a full lease
+ * @param {string} docId - Firestore document ID
+ * @returns {Promise<boolean>} - False if the claim was lost
+ */
+async function renewClaim(docId) {
+  const postRef = collections.get(collections.DISCORD_POSTS).doc(docId);
+  
+  return getDb().runTransaction(async (transaction) => {
+    const postDoc = await transaction.get(postRef);
+    const { status, claimedBy } = postDoc.data() || {};
+    
+    if (status !== 'posting' || claimedBy !== INSTANCE_ID) {
+      return false;
+    }
+    
+    transaction.update(postRef, { claimExpiresAt: new Date(Date.now() + getClaimLeaseMs()) });
+    return true;
+  });
+}
+
+/**
+ * Save the metadata of a posted message, but only while the claim it was posted under still holds
+ * A post deleted or cancelled meanwhile keeps its status and gets its removal re-run, now that the message is known.
+ * @param {string} docId - Firestore document ID
+ * @param {Object} metadata - Metadata from publishPost (`postedBy` is the claiming instance)
+ * @returns {Promise<boolean>} - False if another instance took the post over (its message is the one to keep)
+ */
+async function saveClaimedMetadata(docId, metadata) {
+  const postRef = collections.get(collections.DISCORD_POSTS).doc(docId);
+  
+  return observeFirestoreWrite('post_metadata', () => getDb().runTransaction(async (transaction) => {
+    const postDoc = await transaction.get(postRef);
+    if (!postDoc.exists) {
+      return false;
+    }
+    
+    const { status, claimedBy } = postDoc.data();
+    
+    if (REMOVED_STATUSES.includes(status) && !postDoc.data().discordMessageId) {
+      transaction.update(postRef, { ...metadata, status, removalHandledStatus: null, removalFailedStatus: null });
+      return true;
+    }
+    if (status !== 'posting' || claimedBy !== metadata.postedBy) {
+      return false;
+    }
+    
+    transaction.update(postRef, metadata);
+    return true;
+  }));
+}
+
+/**
+ * Delete a message posted under a claim that was lost, so the post isn't on Discord twice
+ * @param {string} docId - Firestore document ID
+ * @param {Object} metadata - Metadata of the message to delete
+ */
+async function discardDuplicateMessage(docId, metadata) {
+  logger.warn(`⚠️ Lost the claim on post ${docId} while posting - deleting duplicate message ${metadata.discordMessageId}`);
+  
+  try {
+    await deleteDiscordMessage(metadata.discordChannelId, metadata.discordMessageId);
+  } catch (error) {
+    logger.error(`❌ Could not delete duplicate message ${metadata.discordMessageId} of post ${docId}:`, error.message);
+  }
+}
+
+/**
+ * Retry queue handler: post a post that failed to post (or couldn't be claimed)
+ * Posts that were posted, deleted or cancelled in the meantime are left alone.
+ * @param {string} docId - Firestore document ID
+ */
+async function retryNewPost(docId) {
+  // Posts that were posted, deleted or cancelled in the meantime can't be claimed
+  const claimed = await claimPost(docId, ['pending', 'error']);
+  if (!claimed) {
+    return;
+  }
+  
+  try {
+    await publishPost(docId, claimed);
+  } catch (error) {
+    postsCounter.inc({ event: 'failed' });
+    
+    // Posted after all - only the metadata write is left to retry
+    if (error.postMetadata) {
+      await queueMetadataRetry(docId, error);
+      return;
+    }
+    
+    await releaseFailedClaim(docId, error);
+    throw error;
+  }
+}
+
+/**
+ * Retry queue handler: save the metadata of a post that reached Discord
+ * @param {string} docId - Firestore document ID
+ * @param {Object} metadata - Metadata publishPost failed to write
+ */
+async function retryPostMetadata(docId, metadata) {
+  if (!metadata?.discordMessageId) {
+    throw new Error('Retry entry has no post metadata');
+  }
+  
+  if (!await saveClaimedMetadata(docId, metadata)) {
+    await discardDuplicateMessage(docId, metadata);
+    return;
+  }
+  
+  postsCounter.inc({ event: 'posted' });
+  logger.info(`✅ Saved metadata of post ${docId} (message ${metadata.discordMessageId})`);
+}
+
 /**
  * Listen for post update requests and automatic content updates
  */
@@ -73,139 +527,475 @@ function setupPostUpdateListener() {
   // Listen for manual update requests
   const manualUpdateUnsubscribe = collections.get(collections.DISCORD_POSTS)
     .where('updateRequested', '==', true)
-    .onSnapshot(async (snapshot) => {
+    .onSnapshot(...trackListener('manualUpdates', async (snapshot) => {
       
-      console.log(`👂 Update listener triggered - ${snapshot.docChanges().length} changes detected`);
+      logger.debug(`👂 Update listener triggered - ${snapshot.docChanges().length} changes detected`);
       
-      snapshot.docChanges().forEach(async (change) => {
-        console.log(`📝 Change type: ${change.type}, Doc ID: ${change.doc.id}`);
-        console.log(`📋 Document data:`, change.doc.data());
+      snapshot.docChanges().forEach((change) => trackWork('manualUpdate', async () => {
+        logger.debug(`📝 Change type: ${change.type}, Doc ID: ${change.doc.id}`);
         
         if (change.type === 'modified' || change.type === 'added') {
           const docId = change.doc.id;
           const postData = change.doc.data();
           
-          console.log(`🔄 Manual post update requested: ${docId}`);
-          console.log(`🔍 updateRequested value:`, postData.updateRequested);
-          
-          await handleDiscordMessageUpdate(docId, postData, 'manual update');
+          await runWithContext(getPostContext(docId, postData.updateCorrelationId), async () => {
+            logger.info(`🔄 Manual post update requested: ${docId}`);
+            await handleDiscordMessageUpdate(docId, postData, 'manual update');
+          });
         }
-      });
-    });
+      }));
+    }));
 
-  // Listen for automatic content updates (when key fields change)
+  // Listen for automatic content updates (when a rendered field changes)
   const autoUpdateUnsubscribe = collections.get(collections.DISCORD_POSTS)
     .where('status', '==', 'posted')
-    .onSnapshot(async (snapshot) => {
+    .onSnapshot(...trackListener('autoUpdates', async (snapshot) => {
       
-      snapshot.docChanges().forEach(async (change) => {
-        if (change.type === 'modified') {
-          const docId = change.doc.id;
-          const postData = change.doc.data();
-          
-          // Skip if this is a manual update request or internal update
-          if (postData.updateRequested || postData._isInternalUpdate) {
-            return;
-          }
-          
-          // Check if important content fields were updated
-          const previousData = change.doc.data();
-          const fieldsToWatch = ['title', 'description', 'additionalInfo', 'roamDetails'];
-          
-          const hasContentChanges = fieldsToWatch.some(field => {
-            // For new snapshot listener, we can't easily get previous data
-            // So we'll rely on the manual updateRequested flag for now
-            return false; // Disable auto-updates for now
-          });
-          
-          if (hasContentChanges) {
-            console.log(`🔄 Auto-detected content changes in post: ${docId}`);
-            await handleDiscordMessageUpdate(docId, postData, 'auto-detected changes');
+      snapshot.docChanges().forEach((change) => trackWork('autoUpdate', async () => {
+        // Keep monitoring reactions wherever posted messages live
+        trackPostChannel(change.doc.data().discordChannelId);
+        
+        if (change.type === 'removed') {
+          return;
+        }
+        
+        const docId = change.doc.id;
+        const postData = change.doc.data();
+        
+        // Manual update requests are handled (and fingerprinted) by the listener above
+        if (postData.updateRequested) {
+          return;
+        }
+        
+        const fingerprint = getContentFingerprint(postData);
+        
+        // Posted before fingerprints existed - record what Discord shows instead of re-rendering it
+        if (!postData.contentFingerprint) {
+          try {
+            await observeFirestoreWrite('post_fingerprint', () => collections.get(collections.DISCORD_POSTS).doc(docId).update({ contentFingerprint: fingerprint }));
+          } catch (error) {
+            logger.warn(`⚠️ Could not record content fingerprint for post ${docId}:`, error.message);
           }
+          return;
+        }
+        
+        // Already rendered, or this exact content already failed to render
+        if (fingerprint === postData.contentFingerprint || fingerprint === postData.failedFingerprint) {
+          return;
         }
+        
+        await runWithContext(getPostContext(docId), async () => {
+          logger.info(`🔄 Auto-detected content changes in post: ${docId}`);
+          await handleDiscordMessageUpdate(docId, postData, 'auto-detected changes');
+        });
+      }));
+    }));
+  
+  leaderListeners.push(manualUpdateUnsubscribe);
+  leaderListeners.push(autoUpdateUnsubscribe);
+}
+
+/**
+ * Listen for posts that were deleted or cancelled and take their Discord message out of service
+ */
+function setupRemovedPostListener() {
+  const unsubscribe = collections.get(collections.DISCORD_POSTS)
+    .where('status', 'in', REMOVED_STATUSES)
+    .onSnapshot(...trackListener('removedPosts', async (snapshot) => {
+      
+      snapshot.docChanges().forEach((change) => trackWork('removedPost', async () => {
+        if (change.type === 'removed') {
+          return;
+        }
+        
+        const postData = change.doc.data();
+        
+        // Each post is only handled (and its participants told) once per status; failed removals belong to the retry queue
+        const handled = postData.removalHandledStatus === postData.status && !postData.cancellationNotifyPending;
+        if (handled || postData.removalFailedStatus === postData.status) {
+          return;
+        }
+        
+        await runWithContext(getPostContext(change.doc.id, postData.updateCorrelationId), () => handleRemovedPost(change.doc.id, postData));
+      }));
+    }));
+  
+  leaderListeners.push(unsubscribe);
+}
+
+/**
+ * Delete or cancel the Discord message of a removed post and tell the signed-up users
+ * A failure is handed to the retry queue, so the listener doesn't re-run it on its own error write.
+ * @param {string} docId - Firestore document ID
+ * @param {Object} postData - Post data
+ */
+async function handleRemovedPost(docId, postData) {
+  try {
+    await processRemovedPost(docId, postData);
+    
+  } catch (error) {
+    logger.error(`❌ Error handling ${postData.status} post ${docId}:`, error.message);
+    
+    try {
+      await collections.get(collections.DISCORD_POSTS).doc(docId).update({
+        removalError: error.message,
+        removalErrorAt: new Date(),
+        removalFailedStatus: postData.status
       });
+      await enqueueRetry(RETRY_TYPES.REMOVAL, docId, error);
+    } catch (recordError) {
+      logger.error(`❌ Could not record failed removal of post ${docId}:`, recordError.message);
+    }
+  }
+}
+
+/**
+ * Take a removed post's message out of service, then tell its participants
+ * Each step is recorded on the post, so a run that stops halfway is finished by the next one.
+ * @param {string} docId - Firestore document ID
+ * @param {Object} postData - Post data
+ */
+async function processRemovedPost(docId, postData) {
+  let notifyPending = !!postData.cancellationNotifyPending;
+  
+  if (postData.removalHandledStatus !== postData.status) {
+    await removePostMessage(docId, postData);
+    notifyPending = !postData.cancellationNotifiedAt;
+  }
+  
+  if (notifyPending) {
+    await notifyRoamCancelled(postData);
+    await collections.get(collections.DISCORD_POSTS).doc(docId).update({
+      cancellationNotifyPending: false,
+      cancellationNotifiedAt: new Date()
     });
+  }
+}
+
+/**
+ * Delete or cancel the Discord message of a removed post and record that it was handled
+ * POST_REMOVAL_MODE=delete deletes the message; the default edits it into a CANCELLED notice.
+ * Participants who weren't told yet are marked pending in the same write.
+ * @param {string} docId - Firestore document ID
+ * @param {Object} postData - Post data
+ */
+async function removePostMessage(docId, postData) {
+  const mode = getConfig().discord.removalMode;
+  
+  logger.info(`🛑 Post ${docId} was ${postData.status} - ${mode === 'delete' ? 'deleting' : 'cancelling'} Discord message`);
+  
+  if (postData.discordMessageId) {
+    if (mode === 'delete') {
+      await deleteDiscordMessage(postData.discordChannelId, postData.discordMessageId);
+    } else {
+      await markDiscordMessageCancelled(postData.discordChannelId, postData.discordMessageId, postData);
+    }
+  }
+  
+  await collections.get(collections.DISCORD_POSTS).doc(docId).update({
+    removalHandledStatus: postData.status,
+    removalHandledAt: new Date(),
+    removalFailedStatus: null,
+    discordMessageRemoved: mode === 'delete' && !!postData.discordMessageId,
+    updateRequested: false,
+    ...(!postData.cancellationNotifiedAt && { cancellationNotifyPending: true })
+  });
+}
+
+/**
+ * Retry queue handler: remove the Discord message of a post whose removal failed
+ * Posts restored or handled in the meantime are left alone.
+ * @param {string} docId - Firestore document ID
+ */
+async function retryRemovedPost(docId) {
+  const postDoc = await collections.get(collections.DISCORD_POSTS).doc(docId).get();
+  const postData = postDoc.data();
+  
+  const handled = postDoc.exists && postData.removalHandledStatus === postData.status && !postData.cancellationNotifyPending;
+  if (!postDoc.exists || !REMOVED_STATUSES.includes(postData.status) || handled) {
+    return;
+  }
+  
+  await processRemovedPost(docId, postData);
+}
+
+/**
+ * DM everyone signed up (roster and waitlist) that a roam won't happen
+ * Skipped for roams that have already started, so old posts don't trigger DMs.
+ * @param {Object} postData - Post data (`status` picks the wording)
+ */
+async function notifyRoamCancelled(postData) {
+  const roam = await getScheduledRoam(postData.roamId);
+  const start = roam ? getRoamStartTime(roam) : null;
+  
+  if (!roam || (start && start < Date.now())) {
+    return;
+  }
+  
+  const participantIds = [...new Set([
+    ...(roam.signups || []),
+    ...(roam.guests || []).map(getGuestId),
+    ...(roam.waitlist || []).map(entry => entry.discordId)
+  ])].filter(Boolean);
+  
+  const whenText = roam.date ? ` on ${roam.date}${roam.time ? ` at ${roam.time}` : ''}` : '';
+  const reasonText = postData.cancelReason ? `\nReason: ${postData.cancelReason}` : '';
+  const outcome = postData.status === 'deleted' ? 'removed from the schedule' : 'cancelled';
+  
+  logger.info(`✉️ Notifying ${participantIds.length} participants that roam ${roam.id} was ${outcome}`);
+  
+  for (const discordId of participantIds) {
+    try {
+      await sendDirectMessage(discordId, `🛑 **${roam.title || postData.title}**${whenText} has been ${outcome}.${reasonText}`);
+    } catch (error) {
+      logger.warn(`⚠️ Could not DM cancellation to ${discordId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Handle Discord message updates (both manual and automatic)
+ * @param {string} docId - Firestore document ID
+ * @param {Object} postData - Post data
+ * @param {string} updateType - Type of update for logging
+ */
+async function handleDiscordMessageUpdate(docId, postData, updateType) {
+  // One update per post at a time; changes that arrive meanwhile are picked up once it finishes
+  if (updatesInProgress.has(docId)) {
+    logger.debug(`⏳ Update of post ${docId} already in flight - re-checking it afterwards`);
+    updatesQueued.add(docId);
+    return;
+  }
+  
+  updatesInProgress.add(docId);
+  
+  try {
+    if (!postData.discordMessageId) {
+      throw new Error('No Discord message ID found for post');
+    }
+    
+    // Deleted / cancelled messages are owned by the removed-post listener
+    if (REMOVED_STATUSES.includes(postData.status)) {
+      logger.info(`ℹ️ Skipping ${updateType} for ${postData.status} post ${docId}`);
+      if (postData.updateRequested) {
+        await collections.get(collections.DISCORD_POSTS).doc(docId).update({ updateRequested: false });
+      }
+      return;
+    }
+    
+    await renderPostUpdate(docId, postData);
+    
+    logger.info(`✅ Updated Discord message (${updateType}): ${postData.discordMessageId}`);
+    
+  } catch (error) {
+    logger.error(`❌ Error updating post ${docId} (${updateType}):`, error.message);
+    
+    // Reset flags and log error; the live listeners skip this content and leave it to the retry queue
+    const errorUpdate = {
+      updateError: error.message,
+      updateErrorAt: new Date(),
+      failedFingerprint: getContentFingerprint(postData)
+    };
+    
+    if (postData.updateRequested) {
+      errorUpdate.updateRequested = false;
+    }
+    
+    try {
+      await collections.get(collections.DISCORD_POSTS).doc(docId).update(errorUpdate);
+      
+      if (postData.discordMessageId) {
+        await enqueueRetry(RETRY_TYPES.UPDATE, docId, error);
+      }
+    } catch (recordError) {
+      logger.error(`❌ Could not record failed update of post ${docId}:`, recordError.message);
+    }
+    
+  } finally {
+    updatesInProgress.delete(docId);
+  }
+  
+  if (updatesQueued.delete(docId)) {
+    await recheckPostUpdate(docId);
+  }
+}
+
+/**
+ * Re-read a post whose data changed while its update was in flight and render it if still needed
+ * @param {string} docId - Firestore document ID
+ */
+async function recheckPostUpdate(docId) {
+  const postDoc = await collections.get(collections.DISCORD_POSTS).doc(docId).get();
+  if (!postDoc.exists) {
+    return;
+  }
+  
+  const postData = postDoc.data();
+  const fingerprint = getContentFingerprint(postData);
+  const changed = fingerprint !== postData.contentFingerprint && fingerprint !== postData.failedFingerprint;
+  
+  if (postData.status === 'posted' && (postData.updateRequested || changed)) {
+    await handleDiscordMessageUpdate(docId, postData, 'queued update');
+  }
+}
+
+/**
+ * Edit a post's Discord message and record what was rendered
+ * @param {string} docId - Firestore document ID
+ * @param {Object} postData - Post data
+ */
+async function renderPostUpdate(docId, postData) {
+  // Update Discord message with latest content
+  await updateDiscordMessage(postData.discordMessageId, postData);
+  
+  // Record what was rendered; the resulting snapshot matches it, so it doesn't trigger another update
+  const updateData = {
+    lastUpdated: new Date(),
+    contentFingerprint: getContentFingerprint(postData),
+    failedFingerprint: null
+  };
+  
+  // Clear manual update flag if it was set
+  if (postData.updateRequested) {
+    updateData.updateRequested = false;
+  }
+  
+  await observeFirestoreWrite('post_render', () => collections.get(collections.DISCORD_POSTS).doc(docId).update(updateData));
+  
+  // A queued retry of an earlier edit is covered by this one
+  await resolveRetry(RETRY_TYPES.UPDATE, docId);
+}
+
+/**
+ * Retry queue handler: re-render a message whose edit failed, using the post's current data
+ * @param {string} docId - Firestore document ID
+ */
+async function retryPostUpdate(docId) {
+  const postDoc = await collections.get(collections.DISCORD_POSTS).doc(docId).get();
+  
+  if (!postDoc.exists || postDoc.data().status !== 'posted') {
+    return;
+  }
+  
+  // The in-flight update re-checks the post when it finishes
+  if (updatesInProgress.has(docId)) {
+    updatesQueued.add(docId);
+    return;
+  }
+  
+  updatesInProgress.add(docId);
+  try {
+    await renderPostUpdate(docId, postDoc.data());
+  } finally {
+    updatesInProgress.delete(docId);
+  }
   
-  unsubscribeListeners.push(manualUpdateUnsubscribe);
-  unsubscribeListeners.push(autoUpdateUnsubscribe);
+  if (updatesQueued.delete(docId)) {
+    await recheckPostUpdate(docId);
+  }
 }
 
 /**
- * Handle Discord message updates (both manual and automatic)
- * @param {string} docId - Firestore document ID
+ * Fingerprint the post fields rendered into the Discord message
  * @param {Object} postData - Post data
- * @param {string} updateType - Type of update for logging
+ * @returns {string} - SHA-256 hex digest
  */
-async function handleDiscordMessageUpdate(docId, postData, updateType) {
+function getContentFingerprint(postData) {
+  const content = Object.fromEntries(CONTENT_FIELDS.map(field => [field, postData[field] ?? null]));
+  return crypto.createHash('sha256').update(stableStringify(content)).digest('hex');
+}
+
+/**
+ * JSON.stringify with sorted object keys, so Firestore map ordering doesn't change the fingerprint
+ * @param {*} value - Value to serialize
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (value && typeof value.toDate === 'function') {
+    return JSON.stringify(value.toDate().toISOString());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Create a new Discord post in Firestore
+ * Pass `postId` to create the document under a fixed ID, so creating the same post twice can't duplicate it.
+ * @param {Object} postData - Post data
+ * @param {Object} options - `{ postId }`
+ * @returns {Promise<string|null>} - Document ID, or null if a post with `postId` already exists
+ */
+export async function createDiscordPost(postData, { postId = null } = {}) {
   try {
-    if (!postData.discordMessageId) {
-      throw new Error('No Discord message ID found for post');
-    }
-    
-    // Update Discord message with latest content
-    await updateDiscordMessage(postData.discordMessageId, postData);
-    
-    // Mark update as completed
-    const updateData = {
-      lastUpdated: new Date(),
-      _isInternalUpdate: true // Prevent infinite loops
+    const correlationId = getCorrelationId();
+    const postDoc = {
+      ...postData,
+      status: 'pending',
+      createdAt: new Date(),
+      reactions: { '✅': 0 },
+      // Lets the listener that posts it log under the same correlation ID
+      ...(correlationId && { correlationId })
     };
     
-    // Clear manual update flag if it was set
-    if (postData.updateRequested) {
-      updateData.updateRequested = false;
-    }
-    
-    await collections.get(collections.DISCORD_POSTS).doc(docId).update(updateData);
+    const postsRef = collections.get(collections.DISCORD_POSTS);
+    let docId;
     
-    // Remove the internal flag after a brief delay
-    setTimeout(async () => {
-      await collections.get(collections.DISCORD_POSTS).doc(docId).update({
-        _isInternalUpdate: false
-      });
-    }, 1000);
+    if (postId) {
+      await observeFirestoreWrite('post_create', () => postsRef.doc(postId).create(postDoc));
+      docId = postId;
+    } else {
+      docId = (await observeFirestoreWrite('post_create', () => postsRef.add(postDoc))).id;
+    }
+    logger.info(`📝 Created new Discord post document: ${docId}`);
     
-    console.log(`✅ Updated Discord message (${updateType}): ${postData.discordMessageId}`);
+    return docId;
     
   } catch (error) {
-    console.error(`❌ Error updating post ${docId} (${updateType}):`, error.message);
-    
-    // Reset flags and log error
-    const errorUpdate = {
-      updateError: error.message,
-      updateErrorAt: new Date(),
-      _isInternalUpdate: true
-    };
-    
-    if (postData.updateRequested) {
-      errorUpdate.updateRequested = false;
+    if (postId && error.code === FIRESTORE_ALREADY_EXISTS) {
+      logger.info(`ℹ️ Discord post document ${postId} already exists`);
+      return null;
     }
     
-    await collections.get(collections.DISCORD_POSTS).doc(docId).update(errorUpdate);
+    logger.error('❌ Error creating Discord post:', error.message);
+    throw error;
   }
 }
 
 /**
- * Create a new Discord post in Firestore
- * @param {Object} postData - Post data
- * @returns {Promise<string>} - Document ID
+ * Cancel a Discord post (and its roam) - the removed-post listener updates Discord
+ * @param {string} postId - Firestore document ID
+ * @param {Object} options - `{ cancelledBy, reason }`
  */
-export async function createDiscordPost(postData) {
+export async function cancelDiscordPost(postId, { cancelledBy = null, reason = null } = {}) {
   try {
-    const postDoc = {
-      ...postData,
-      status: 'pending',
-      createdAt: new Date(),
-      reactions: { '✅': 0 }
-    };
+    const postRef = collections.get(collections.DISCORD_POSTS).doc(postId);
+    const postDoc = await postRef.get();
+    const { roamId } = postDoc.data() || {};
+    
+    const correlationId = getCorrelationId();
+    await postRef.update({
+      status: 'cancelled',
+      cancelledAt: new Date(),
+      cancelledBy,
+      ...(reason && { cancelReason: reason }),
+      ...(correlationId && { updateCorrelationId: correlationId })
+    });
     
-    const docRef = await collections.get(collections.DISCORD_POSTS).add(postDoc);
-    console.log(`📝 Created new Discord post document: ${docRef.id}`);
+    if (roamId) {
+      await updateScheduledRoam(roamId, (roam) => {
+        Object.assign(roam, { status: 'cancelled', cancelledAt: new Date().toISOString(), cancelledBy });
+      });
+    }
     
-    return docRef.id;
+    logger.info(`🛑 Cancelled post: ${postId}`);
     
   } catch (error) {
-    console.error('❌ Error creating Discord post:', error.message);
+    logger.error('❌ Error cancelling post:', error.message);
     throw error;
   }
 }
@@ -217,16 +1007,18 @@ export async function createDiscordPost(postData) {
  */
 export async function requestPostUpdate(postId, updateData) {
   try {
+    const correlationId = getCorrelationId();
     await collections.get(collections.DISCORD_POSTS).doc(postId).update({
       ...updateData,
       updateRequested: true,
-      updateRequestedAt: new Date()
+      updateRequestedAt: new Date(),
+      ...(correlationId && { updateCorrelationId: correlationId })
     });
     
-    console.log(`🔄 Requested update for post: ${postId}`);
+    logger.info(`🔄 Requested update for post: ${postId}`);
     
   } catch (error) {
-    console.error('❌ Error requesting post update:', error.message);
+    logger.error('❌ Error requesting post update:', error.message);
     throw error;
   }
 }
@@ -244,7 +1036,7 @@ export async function updateReactionCount(discordMessageId, emoji, count) {
       .get();
     
     if (querySnapshot.empty) {
-      console.warn(`⚠️ No post found for Discord message: ${discordMessageId}`);
+      logger.warn(`⚠️ No post found for Discord message: ${discordMessageId}`);
       return;
     }
     
@@ -256,264 +1048,592 @@ export async function updateReactionCount(discordMessageId, emoji, count) {
       lastReactionUpdate: new Date()
     });
     
-    console.log(`✅ Updated reaction count for ${emoji}: ${count}`);
+    logger.info(`✅ Updated reaction count for ${emoji}: ${count}`);
     
   } catch (error) {
-    console.error('❌ Error updating reaction count:', error.message);
+    logger.error('❌ Error updating reaction count:', error.message);
     throw error;
   }
 }
 
 /**
- * Handle user signup for a roam when they react with ✅
+ * Remember (or forget) which signup reaction a user holds on a post
+ * `reactionUsers` lets reaction reconciliation tell a reaction removed during downtime apart from
+ * a signup made through the frontend or buttons.
+ * @param {string} discordMessageId - Discord message ID
+ * @param {string} discordUserId - Discord user ID
+ * @param {string|null} emoji - Reaction emoji name, or null to forget the user
+ */
+export async function updateReactionUser(discordMessageId, discordUserId, emoji) {
+  const querySnapshot = await collections.get(collections.DISCORD_POSTS)
+    .where('discordMessageId', '==', discordMessageId)
+    .limit(1)
+    .get();
+  
+  if (querySnapshot.empty) {
+    return;
+  }
+  
+  await querySnapshot.docs[0].ref.update({
+    [`reactionUsers.${discordUserId}`]: emoji || FieldValue.delete()
+  });
+}
+
+/**
+ * Look up the reacting user and the post behind a Discord message
+ * @param {string} discordMessageId - Discord message ID
+ * @param {string} discordUserId - Discord user ID
+ * @param {string} discordUsername - Discord username
+ * @returns {Promise<Object|null>} - `{ isRegisteredUser, displayName, postDoc, postData }`, or null if the post has no roam
+ */
+async function resolveSignupContext(discordMessageId, discordUserId, discordUsername) {
+  // Get user document directly using Discord ID as document ID
+  const userDoc = await collections.get('users').doc(discordUserId).get();
+  
+  let isRegisteredUser = false;
+  let displayName = discordUsername;
+  
+  if (userDoc.exists) {
+    const userData = userDoc.data();
+    isRegisteredUser = true;
+    displayName = userData.username || userData.displayName || discordUsername;
+    logger.info(`✅ Found registered user: ${displayName} (Discord ID: ${discordUserId})`);
+  } else {
+    logger.info(`👤 Guest user reaction from Discord user: ${discordUsername} (${discordUserId})`);
+  }
+  
+  // Get the discord post to find the roamId
+  const postQuery = await collections.get(collections.DISCORD_POSTS)
+    .where('discordMessageId', '==', discordMessageId)
+    .get();
+  
+  if (postQuery.empty) {
+    logger.warn(`⚠️ No post found for Discord message: ${discordMessageId}`);
+    return null;
+  }
+  
+  const postDoc = postQuery.docs[0];
+  const postData = postDoc.data();
+  
+  if (!postData.roamId) {
+    logger.warn(`⚠️ No roamId found in post for message: ${discordMessageId}`);
+    return null;
+  }
+  
+  if (REMOVED_STATUSES.includes(postData.status)) {
+    logger.info(`ℹ️ Ignoring signup change on ${postData.status} post for message: ${discordMessageId}`);
+    return null;
+  }
+  
+  return { isRegisteredUser, displayName, postDoc, postData };
+}
+
+/**
+ * Handle user signup for a roam when they react with ✅ or a composition role emoji
+ * When the roam's `maxSignups` cap is reached, the user joins the waitlist instead.
  * @param {string} discordMessageId - Discord message ID
  * @param {string} discordUserId - Discord user ID
  * @param {string} discordUsername - Discord username
+ * @param {string} emoji - Reaction emoji name
+ * @returns {Promise<Object|undefined>} - Signup result, e.g. `{ status: 'role_changed', previousRole, previousEmoji }`
  */
-export async function handleRoamSignup(discordMessageId, discordUserId, discordUsername = 'Unknown') {
+export async function handleRoamSignup(discordMessageId, discordUserId, discordUsername = 'Unknown', emoji = '✅') {
   try {
-    // Get user document directly using Discord ID as document ID
-    const userDoc = await collections.get('users').doc(discordUserId).get();
-    
-    let isRegisteredUser = false;
-    let userData = null;
-    
-    if (userDoc.exists) {
-      isRegisteredUser = true;
-      userData = userDoc.data();
-      console.log(`✅ Found registered user: ${userData.username || userData.displayName} (Discord ID: ${discordUserId})`);
-    } else {
-      console.log(`👤 Guest user reaction from Discord user: ${discordUsername} (${discordUserId})`);
-    }
-    
-    
-    // Get the discord post to find the roamId
-    const postQuery = await collections.get(collections.DISCORD_POSTS)
-      .where('discordMessageId', '==', discordMessageId)
-      .get();
-    
-    if (postQuery.empty) {
-      console.warn(`⚠️ No post found for Discord message: ${discordMessageId}`);
+    const context = await resolveSignupContext(discordMessageId, discordUserId, discordUsername);
+    if (!context) {
       return;
     }
     
-    const postData = postQuery.docs[0].data();
+    const { isRegisteredUser, displayName, postDoc, postData } = context;
     const roamId = postData.roamId;
     
-    if (!roamId) {
-      console.warn(`⚠️ No roamId found in post for message: ${discordMessageId}`);
-      return;
+    // Posts with a composition sign up by role emoji, plain posts by ✅
+    const composition = postData.composition || null;
+    const selectedRole = composition ? getRoleByEmoji(composition, emoji) : null;
+    
+    if ((composition && !selectedRole) || (!composition && emoji !== '✅')) {
+      logger.info(`ℹ️ Ignoring ${emoji} reaction on message ${discordMessageId} - not a signup emoji`);
+      return { status: 'ignored' };
     }
     
-    // Get the roam document from gameData/roams collection
-    const roamRef = collections.get('gameData').doc('roams');
-    const roamDoc = await roamRef.get();
+    // Apply the signup in a transaction so concurrent reactions can't overwrite each other
+    const update = await updateScheduledRoam(roamId, roam => applySignup(roam, {
+      discordUserId,
+      discordUsername,
+      displayName,
+      isRegisteredUser,
+      selectedRole,
+      composition
+    }));
     
-    if (!roamDoc.exists) {
-      console.error(`❌ gameData/roams document not found`);
+    if (!update) {
+      logger.warn(`⚠️ Roam with ID ${roamId} not found in scheduled roams`);
       return;
     }
     
-    const roamData = roamDoc.data();
-    const scheduledRoams = roamData.scheduled || [];
-    
-    // Find the specific roam by ID
-    const roamIndex = scheduledRoams.findIndex(roam => roam.id === roamId);
+    // Refresh the roster shown in the Discord message
+    if (update.changed) {
+      await refreshPostRoster(postDoc.ref, update.roam, composition);
+    }
     
-    if (roamIndex === -1) {
-      console.warn(`⚠️ Roam with ID ${roamId} not found in scheduled roams`);
-      return;
+    if (['signed_up', 'waitlisted'].includes(update.result?.status)) {
+      countSignup('signup', isRegisteredUser);
     }
     
-    const roam = scheduledRoams[roamIndex];
-    const signups = roam.signups || [];
-    const guests = roam.guests || [];
+    return update.result;
     
-    if (isRegisteredUser) {
-      // Handle registered user signup
-      if (signups.includes(discordUserId)) {
-        console.log(`ℹ️ User ${userData.username || userData.displayName} (${discordUserId}) already signed up for roam ${roamId}`);
-        return;
-      }
-      
-      // Remove from guests if they were there (user got registered)
-      const updatedGuests = guests.filter(guest => {
-        // Handle both old format (string) and new format (object)
-        const guestId = typeof guest === 'string' ? guest : guest.discordId;
-        return guestId !== discordUserId;
-      });
+  } catch (error) {
+    logger.error('❌ Error handling roam signup:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Apply a signup to a roam (runs inside the roam transaction)
+ * @param {Object} roam - Scheduled roam, mutated in place
+ * @param {Object} signup - `{ discordUserId, discordUsername, displayName, isRegisteredUser, selectedRole, composition }`
+ * @returns {Object} - `{ changed, result }`
+ */
+function applySignup(roam, { discordUserId, discordUsername, displayName, isRegisteredUser, selectedRole, composition }) {
+  const signups = roam.signups || [];
+  const guests = roam.guests || [];
+  const roleSignups = roam.roleSignups || {};
+  const waitlist = roam.waitlist || [];
+  const tentative = roam.tentative || [];
+  
+  const isGuest = guest => getGuestId(guest) === discordUserId;
+  const onRoster = signups.includes(discordUserId) || guests.some(isGuest);
+  const waitlistIndex = waitlist.findIndex(entry => entry.discordId === discordUserId);
+  const getRoleEmoji = role => composition?.roles.find(entry => entry.role === role)?.emoji || null;
+  
+  // Signing up replaces a tentative answer
+  if (tentative.some(entry => entry.discordId === discordUserId)) {
+    roam.tentative = tentative.filter(entry => entry.discordId !== discordUserId);
+  }
+  
+  let previousRole = null;
+  
+  if (!onRoster && (waitlistIndex !== -1 || isRosterFull(roam))) {
+    // Roster is full - queue the user (and their chosen role) on the waitlist
+    if (waitlistIndex !== -1) {
+      const entry = waitlist[waitlistIndex];
       
-      if (updatedGuests.length !== guests.length) {
-        console.log(`🔄 Moving user ${discordUserId} from guests to registered signups`);
-        roam.guests = updatedGuests;
+      if (!selectedRole || entry.role === selectedRole.role) {
+        logger.info(`ℹ️ User ${discordUsername} (${discordUserId}) already on the waitlist for roam ${roam.id}`);
+        return { changed: false, result: { status: 'unchanged', position: waitlistIndex + 1 } };
       }
       
-      // Add to registered signups
-      signups.push(discordUserId);
-      roam.signups = signups;
-      
-      console.log(`✅ Registered user ${userData.username || userData.displayName} (${discordUserId}) signed up for roam ${roamId} (${signups.length} registered, ${updatedGuests.length} guests)`);
-      
+      previousRole = entry.role || null;
+      entry.role = selectedRole.role;
     } else {
-      // Handle guest signup
-      const existingGuestIndex = guests.findIndex(guest => {
-        // Handle both old format (string) and new format (object)
-        const guestId = typeof guest === 'string' ? guest : guest.discordId;
-        return guestId === discordUserId;
-      });
-      
-      if (existingGuestIndex !== -1) {
-        console.log(`ℹ️ Guest user ${discordUsername} (${discordUserId}) already in guests list for roam ${roamId}`);
-        return;
-      }
-      
-      // Check if they're already in registered signups (shouldn't happen, but safety check)
-      if (signups.includes(discordUserId)) {
-        console.log(`ℹ️ User ${discordUserId} already in registered signups for roam ${roamId}`);
-        return;
-      }
-      
-      // Add to guests with both ID and username
-      const guestInfo = {
+      waitlist.push({
         discordId: discordUserId,
-        discordUsername: discordUsername,
+        discordUsername: displayName,
+        registered: isRegisteredUser,
+        role: selectedRole?.role || null,
         addedAt: new Date()
-      };
-      
-      guests.push(guestInfo);
-      roam.guests = guests;
-      
-      console.log(`👤 Guest user ${discordUsername} (${discordUserId}) added to roam ${roamId} (${signups.length} registered, ${guests.length} guests)`);
+      });
+    }
+    
+    roam.waitlist = waitlist;
+    const position = waitlist.findIndex(entry => entry.discordId === discordUserId) + 1;
+    
+    logger.info(`⏳ User ${discordUsername} (${discordUserId}) is #${position} on the waitlist for roam ${roam.id} (${getRosterSize(roam)}/${roam.maxSignups})`);
+    
+    return {
+      changed: true,
+      result: { status: 'waitlisted', position, role: selectedRole?.role || null, previousRole, previousEmoji: getRoleEmoji(previousRole) }
+    };
+  }
+  
+  // Assign the role, replacing any role the user already holds
+  if (selectedRole) {
+    previousRole = roleSignups[discordUserId] || null;
+    
+    if (previousRole === selectedRole.role) {
+      logger.info(`ℹ️ User ${discordUserId} already signed up as ${selectedRole.role} for roam ${roam.id}`);
+      return { changed: false, result: { status: 'unchanged', role: selectedRole.role } };
+    }
+    
+    const filled = Object.values(roleSignups).filter(role => role === selectedRole.role).length;
+    if (filled >= selectedRole.slots) {
+      logger.info(`🚫 Role ${selectedRole.role} is full for roam ${roam.id} (${filled}/${selectedRole.slots}) - rejecting ${discordUserId}`);
+      return { changed: false, result: { status: 'role_full', role: selectedRole.role } };
+    }
+    
+    roleSignups[discordUserId] = selectedRole.role;
+    roam.roleSignups = roleSignups;
+    
+    if (previousRole) {
+      logger.info(`🔁 User ${discordUserId} switched from ${previousRole} to ${selectedRole.role} for roam ${roam.id}`);
+    }
+  }
+  
+  const alreadySignedUp = isRegisteredUser ? signups.includes(discordUserId) : onRoster;
+  
+  if (alreadySignedUp && !selectedRole) {
+    logger.info(`ℹ️ User ${discordUsername} (${discordUserId}) already signed up for roam ${roam.id}`);
+    return { changed: false, result: { status: 'unchanged' } };
+  }
+  
+  if (!alreadySignedUp && isRegisteredUser) {
+    // Remove from guests if they were there (user got registered)
+    const updatedGuests = guests.filter(guest => !isGuest(guest));
+    
+    if (updatedGuests.length !== guests.length) {
+      logger.info(`🔄 Moving user ${discordUserId} from guests to registered signups`);
+      roam.guests = updatedGuests;
     }
     
-    scheduledRoams[roamIndex] = roam;
+    // Add to registered signups
+    signups.push(discordUserId);
+    roam.signups = signups;
+    
+    logger.info(`✅ Registered user ${displayName} (${discordUserId}) signed up for roam ${roam.id}${selectedRole ? ` as ${selectedRole.role}` : ''} (${signups.length} registered, ${updatedGuests.length} guests)`);
     
-    // Update the document
-    await roamRef.update({
-      scheduled: scheduledRoams,
-      lastUpdated: new Date()
+  } else if (!alreadySignedUp) {
+    // Add to guests with both ID and username
+    guests.push({
+      discordId: discordUserId,
+      discordUsername: discordUsername,
+      addedAt: new Date()
     });
+    roam.guests = guests;
     
-  } catch (error) {
-    console.error('❌ Error handling roam signup:', error.message);
-    throw error;
+    logger.info(`👤 Guest user ${discordUsername} (${discordUserId}) added to roam ${roam.id}${selectedRole ? ` as ${selectedRole.role}` : ''} (${signups.length} registered, ${guests.length} guests)`);
   }
+  
+  return {
+    changed: true,
+    result: {
+      status: previousRole ? 'role_changed' : 'signed_up',
+      role: selectedRole?.role || null,
+      previousRole,
+      previousEmoji: getRoleEmoji(previousRole)
+    }
+  };
 }
 
 /**
- * Handle user unsignup for a roam when they remove ✅ reaction
+ * Handle user unsignup for a roam when they remove ✅ or their role reaction
+ * Frees a roster spot, which promotes the first eligible user on the waitlist.
  * @param {string} discordMessageId - Discord message ID
  * @param {string} discordUserId - Discord user ID
  * @param {string} discordUsername - Discord username
+ * @param {string|null} emoji - Reaction emoji name, or null to withdraw from whatever role is held
+ * @returns {Promise<Object|undefined>} - Unsignup result, e.g. `{ status: 'withdrawn', removedFrom }`
  */
-export async function handleRoamUnsignup(discordMessageId, discordUserId, discordUsername = 'Unknown') {
+export async function handleRoamUnsignup(discordMessageId, discordUserId, discordUsername = 'Unknown', emoji = '✅') {
   try {
-    // Get user document directly using Discord ID as document ID
-    const userDoc = await collections.get('users').doc(discordUserId).get();
+    const context = await resolveSignupContext(discordMessageId, discordUserId, discordUsername);
+    if (!context) {
+      return;
+    }
     
-    let isRegisteredUser = false;
-    let userData = null;
+    const { isRegisteredUser, displayName, postDoc, postData } = context;
+    const roamId = postData.roamId;
     
-    if (userDoc.exists) {
-      isRegisteredUser = true;
-      userData = userDoc.data();
-      console.log(`✅ Found registered user for unsignup: ${userData.username || userData.displayName} (Discord ID: ${discordUserId})`);
-    } else {
-      console.log(`👤 Guest user unsignup from Discord ID: ${discordUserId}`);
-    }
-
-    // Get the discord post to find the roamId
-    const postQuery = await collections.get(collections.DISCORD_POSTS)
-      .where('discordMessageId', '==', discordMessageId)
-      .get();
+    const composition = postData.composition || null;
+    const withdrawAll = emoji === null;
+    const removedRole = composition && !withdrawAll ? getRoleByEmoji(composition, emoji) : null;
     
-    if (postQuery.empty) {
-      console.warn(`⚠️ No post found for Discord message: ${discordMessageId}`);
-      return;
+    if (!withdrawAll && ((composition && !removedRole) || (!composition && emoji !== '✅'))) {
+      return { status: 'ignored' };
     }
     
-    const postData = postQuery.docs[0].data();
-    const roamId = postData.roamId;
+    // Apply the unsignup (and any waitlist promotion) in a single transaction
+    const update = await updateScheduledRoam(roamId, roam => applyUnsignup(roam, {
+      discordUserId,
+      displayName,
+      isRegisteredUser,
+      emoji,
+      removedRole,
+      composition
+    }));
     
-    if (!roamId) {
-      console.warn(`⚠️ No roamId found in post for message: ${discordMessageId}`);
+    if (!update) {
+      logger.warn(`⚠️ Roam with ID ${roamId} not found in scheduled roams`);
       return;
     }
     
-    // Get the roam document from gameData/roams collection
-    const roamRef = collections.get('gameData').doc('roams');
-    const roamDoc = await roamRef.get();
+    if (update.changed) {
+      // Refresh the roster shown in the Discord message
+      await refreshPostRoster(postDoc.ref, update.roam, composition);
+    }
     
-    if (!roamDoc.exists) {
-      console.error(`❌ gameData/roams document not found`);
-      return;
+    const { promoted, ...result } = update.result;
+    if (promoted) {
+      await notifyWaitlistPromotion(promoted, update.roam, postData);
     }
     
-    const roamData = roamDoc.data();
-    const scheduledRoams = roamData.scheduled || [];
+    if (result.status === 'withdrawn') {
+      countSignup('unsignup', isRegisteredUser);
+    }
     
-    // Find the specific roam by ID
-    const roamIndex = scheduledRoams.findIndex(roam => roam.id === roamId);
+    return result;
     
-    if (roamIndex === -1) {
-      console.warn(`⚠️ Roam with ID ${roamId} not found in scheduled roams`);
-      return;
+  } catch (error) {
+    logger.error('❌ Error handling roam unsignup:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Apply an unsignup to a roam (runs inside the roam transaction)
+ * @param {Object} roam - Scheduled roam, mutated in place
+ * @param {Object} unsignup - `{ discordUserId, displayName, isRegisteredUser, emoji, removedRole, composition }`
+ * @returns {Object} - `{ changed, result: { status, removedFrom, promoted } }`
+ */
+function applyUnsignup(roam, { discordUserId, displayName, isRegisteredUser, emoji, removedRole, composition }) {
+  const signups = roam.signups || [];
+  const guests = roam.guests || [];
+  const roleSignups = roam.roleSignups || {};
+  const waitlist = roam.waitlist || [];
+  
+  let wasRemoved = false;
+  let removedFrom = '';
+  let promoted = null;
+  
+  // Leaving the waitlist doesn't free a roster spot
+  const waitlistIndex = waitlist.findIndex(entry => entry.discordId === discordUserId);
+  
+  if (waitlistIndex !== -1) {
+    if (removedRole && waitlist[waitlistIndex].role !== removedRole.role) {
+      logger.info(`ℹ️ Ignoring removal of ${emoji} by ${discordUserId} - not their waitlisted role for roam ${roam.id}`);
+      return { changed: false, result: { status: 'ignored' } };
     }
     
-    const roam = scheduledRoams[roamIndex];
-    const signups = roam.signups || [];
-    const guests = roam.guests || [];
+    waitlist.splice(waitlistIndex, 1);
+    roam.waitlist = waitlist;
+    logger.info(`➖ User ${discordUserId} removed from the waitlist for roam ${roam.id} (${waitlist.length} waiting)`);
     
-    let wasRemoved = false;
-    let removedFrom = '';
+    return { changed: true, result: { status: 'withdrawn', removedFrom: 'waitlist' } };
+  }
+  
+  // Only the reaction for the role the user currently holds counts as a withdrawal.
+  // Removing an old role after a switch (or a rejected full role) must not unsign them.
+  if (removedRole && roleSignups[discordUserId] !== removedRole.role) {
+    logger.info(`ℹ️ Ignoring removal of ${emoji} by ${discordUserId} - not their current role for roam ${roam.id}`);
+    return { changed: false, result: { status: 'ignored' } };
+  }
+  
+  const hadRole = !!roleSignups[discordUserId];
+  if (hadRole) {
+    delete roleSignups[discordUserId];
+    roam.roleSignups = roleSignups;
+  }
+  
+  if (isRegisteredUser) {
+    // Try to remove from registered signups first
+    const updatedSignups = signups.filter(userId => userId !== discordUserId);
+    if (updatedSignups.length !== signups.length) {
+      roam.signups = updatedSignups;
+      wasRemoved = true;
+      removedFrom = 'registered signups';
+      logger.info(`➖ Registered user ${displayName} (${discordUserId}) removed from roam ${roam.id} (${updatedSignups.length} registered, ${guests.length} guests)`);
+    }
+  }
+  
+  // If not removed from registered signups (or if guest user), try removing from guests
+  if (!wasRemoved) {
+    const updatedGuests = guests.filter(guest => getGuestId(guest) !== discordUserId);
     
-    if (isRegisteredUser) {
-      // Try to remove from registered signups first
-      const updatedSignups = signups.filter(userId => userId !== discordUserId);
-      if (updatedSignups.length !== signups.length) {
-        roam.signups = updatedSignups;
-        wasRemoved = true;
-        removedFrom = 'registered signups';
-        console.log(`➖ Registered user ${userData.username || userData.displayName} (${discordUserId}) removed from roam ${roamId} (${updatedSignups.length} registered, ${guests.length} guests)`);
-      }
+    if (updatedGuests.length !== guests.length) {
+      roam.guests = updatedGuests;
+      wasRemoved = true;
+      removedFrom = 'guests';
+      logger.info(`➖ ${isRegisteredUser ? 'User' : 'Guest'} ${discordUserId} removed from guests for roam ${roam.id} (${signups.length} registered, ${updatedGuests.length} guests)`);
+    }
+  }
+  
+  // Check if user was actually signed up anywhere
+  if (!wasRemoved) {
+    logger.info(`ℹ️ User ${discordUserId} was not signed up for roam ${roam.id}`);
+    return { changed: hadRole, result: { status: 'not_signed_up' } };
+  }
+  
+  // A roster spot opened up - promote the next person in line
+  promoted = promoteFromWaitlist(roam, composition);
+  if (promoted) {
+    logger.info(`⬆️ Promoted ${promoted.discordUsername} (${promoted.discordId}) from the waitlist for roam ${roam.id}`);
+  }
+  
+  return { changed: true, result: { status: 'withdrawn', removedFrom, promoted } };
+}
+
+/**
+ * Mark a user as tentative for a roam (from the "Tentative" button)
+ * Withdraws any existing signup first, so a tentative user never holds a roster spot.
+ * @param {string} discordMessageId - Discord message ID
+ * @param {string} discordUserId - Discord user ID
+ * @param {string} discordUsername - Discord username
+ * @returns {Promise<Object|undefined>} - `{ status: 'tentative' | 'unchanged', withdrawn }`
+ */
+export async function handleRoamTentative(discordMessageId, discordUserId, discordUsername = 'Unknown') {
+  try {
+    const context = await resolveSignupContext(discordMessageId, discordUserId, discordUsername);
+    if (!context) {
+      return;
     }
     
-    // If not removed from registered signups (or if guest user), try removing from guests
-    if (!wasRemoved) {
-      const updatedGuests = guests.filter(guest => {
-        // Handle both old format (string) and new format (object)
-        const guestId = typeof guest === 'string' ? guest : guest.discordId;
-        return guestId !== discordUserId;
+    const { isRegisteredUser, displayName, postDoc, postData } = context;
+    const composition = postData.composition || null;
+    
+    // Withdraw and mark tentative in one transaction, reusing the normal unsignup path
+    const update = await updateScheduledRoam(postData.roamId, (roam) => {
+      const unsignup = applyUnsignup(roam, {
+        discordUserId,
+        displayName,
+        isRegisteredUser,
+        emoji: null,
+        removedRole: null,
+        composition
       });
+      const withdrawn = unsignup.result.status === 'withdrawn';
+      const promoted = unsignup.result.promoted || null;
+      const tentative = roam.tentative || [];
       
-      if (updatedGuests.length !== guests.length) {
-        roam.guests = updatedGuests;
-        wasRemoved = true;
-        removedFrom = 'guests';
-        console.log(`➖ ${isRegisteredUser ? 'User' : 'Guest'} ${discordUserId} removed from guests for roam ${roamId} (${signups.length} registered, ${updatedGuests.length} guests)`);
+      if (tentative.some(entry => entry.discordId === discordUserId)) {
+        logger.info(`ℹ️ User ${discordUserId} already tentative for roam ${roam.id}`);
+        return { changed: unsignup.changed, result: { status: 'unchanged', withdrawn, promoted } };
       }
-    }
+      
+      tentative.push({
+        discordId: discordUserId,
+        discordUsername: displayName,
+        addedAt: new Date()
+      });
+      roam.tentative = tentative;
+      
+      logger.info(`🤔 User ${displayName} (${discordUserId}) marked tentative for roam ${roam.id}`);
+      return { changed: true, result: { status: 'tentative', withdrawn, promoted } };
+    });
     
-    // Check if user was actually signed up anywhere
-    if (!wasRemoved) {
-      console.log(`ℹ️ User ${discordUserId} was not signed up for roam ${roamId}`);
+    if (!update) {
+      logger.warn(`⚠️ Roam with ID ${postData.roamId} not found in scheduled roams`);
       return;
     }
     
-    scheduledRoams[roamIndex] = roam;
+    if (update.changed) {
+      await refreshPostRoster(postDoc.ref, update.roam, composition);
+    }
     
-    // Update the document
-    await roamRef.update({
-      scheduled: scheduledRoams,
-      lastUpdated: new Date()
-    });
+    const { promoted, ...result } = update.result;
+    if (promoted) {
+      await notifyWaitlistPromotion(promoted, update.roam, postData);
+    }
+    
+    if (result.withdrawn) {
+      countSignup('unsignup', isRegisteredUser);
+    }
+    
+    return result;
     
   } catch (error) {
-    console.error('❌ Error handling roam unsignup:', error.message);
+    logger.error('❌ Error handling roam tentative:', error.message);
     throw error;
   }
 }
 
+/**
+ * Store the latest roster (and composition counts) on a post and request a Discord update
+ * @param {Object} postRef - Firestore reference to the discord_posts document
+ * @param {Object} roam - Scheduled roam
+ * @param {Object|null} composition - Composition stored on the post
+ */
+async function refreshPostRoster(postRef, roam, composition) {
+  const correlationId = getCorrelationId();
+  const updateData = {
+    roster: await buildRoster(roam),
+    updateRequested: true,
+    updateRequestedAt: new Date(),
+    ...(correlationId && { updateCorrelationId: correlationId })
+  };
+  
+  if (composition) {
+    updateData.composition = applyRoleSignups(composition, roam.roleSignups);
+  }
+  
+  await observeFirestoreWrite('post_roster', () => postRef.update(updateData));
+}
+
+/**
+ * Re-render the roster of every upcoming roam a user is on (e.g. after they link a character)
+ * @param {string} discordUserId - Discord user ID
+ * @returns {Promise<number>} - Number of posts refreshed
+ */
+export async function refreshUserRosters(discordUserId) {
+  const roamDoc = await collections.get(collections.GAME_DATA).doc('roams').get();
+  const now = Date.now();
+  
+  const roams = (roamDoc.data()?.scheduled || []).filter(roam => {
+    const start = getRoamStartTime(roam);
+    const onRoster = [
+      ...(roam.signups || []),
+      ...(roam.guests || []).map(getGuestId),
+      ...(roam.waitlist || []),
+      ...(roam.tentative || [])
+    ].some(entry => (typeof entry === 'string' ? entry : entry.discordId) === discordUserId);
+    return onRoster && roam.status !== 'cancelled' && (!start || start > now);
+  });
+  
+  let refreshed = 0;
+  for (const roam of roams) {
+    const postQuery = await collections.get(collections.DISCORD_POSTS)
+      .where('roamId', '==', roam.id)
+      .where('status', '==', 'posted')
+      .get();
+    
+    for (const postDoc of postQuery.docs) {
+      await refreshPostRoster(postDoc.ref, roam, postDoc.data().composition || null);
+      refreshed++;
+    }
+  }
+  
+  if (refreshed > 0) {
+    logger.info(`🔄 Refreshed ${refreshed} roster(s) for user ${discordUserId}`);
+  }
+  return refreshed;
+}
+
+/**
+ * Re-render a roam's post after the roam was changed outside a signup (e.g. /roam edit raising the cap)
+ * and DM everyone the change promoted from the waitlist
+ * @param {Object} postDoc - discord_posts document snapshot
+ * @param {Object} roam - Scheduled roam after the change
+ * @param {Object[]} promoted - Waitlist entries promoted by the change
+ */
+export async function refreshRoamPost(postDoc, roam, promoted = []) {
+  const postData = postDoc.data();
+  await refreshPostRoster(postDoc.ref, roam, postData.composition || null);
+  
+  for (const entry of promoted) {
+    logger.info(`⬆️ Promoted ${entry.discordUsername} (${entry.discordId}) from the waitlist for roam ${roam.id}`);
+    await notifyWaitlistPromotion(entry, roam, postData);
+  }
+}
+
+/**
+ * DM a user who was promoted from the waitlist onto the roster
+ * @param {Object} entry - Promoted waitlist entry
+ * @param {Object} roam - Scheduled roam
+ * @param {Object} postData - Post data from Firestore
+ */
+async function notifyWaitlistPromotion(entry, roam, postData) {
+  try {
+    const roleText = entry.role ? ` as **${entry.role}**` : '';
+    const whenText = roam.date ? ` on ${roam.date}${roam.time ? ` at ${roam.time}` : ''}` : '';
+    
+    await sendDirectMessage(entry.discordId,
+      `🎉 A spot opened up! You've been moved from the waitlist onto the roster${roleText} for **${roam.title || postData.title}**${whenText}.` +
+      (postData.discordUrl ? `\n${postData.discordUrl}` : '')
+    );
+    
+  } catch (error) {
+    logger.warn(`⚠️ Could not DM promoted user ${entry.discordId}:`, error.message);
+  }
+}
+
 /**
  * Stop all Firestore listeners
  */
@@ -522,13 +1642,20 @@ export function stopFirestoreListeners() {
     unsubscribe();
   });
   unsubscribeListeners = [];
-  console.log('🛑 Stopped all Firestore listeners');
+  stopLeaderListeners();
+  listenerStates.clear();
+  logger.info('🛑 Stopped all Firestore listeners');
 }
 
 export default {
   initializeFirestoreListeners,
   createDiscordPost,
+  cancelDiscordPost,
   requestPostUpdate,
   updateReactionCount,
+  updateReactionUser,
+  refreshUserRosters,
+  refreshRoamPost,
+  getListenerStatus,
   stopFirestoreListeners
 };
\ No newline at end of file
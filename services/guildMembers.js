@@ -0,0 +1,214 @@
+import { Events } from 'discord.js';
+import { collections } from './firebase.js';
+import { getDiscordClient, getGuild } from './discordService.js';
+import { isLeader } from './leaderElection.js';
+import { getConfig } from './config.js';
+import { createLogger, runWithContext, newCorrelationId } from './logger.js';
+import { trackWork } from './shutdown.js';
+
+const logger = createLogger('guildMembers');
+
+// Discord error codes for "not in this guild"
+const UNKNOWN_MEMBER = 10007;
+const UNKNOWN_USER = 10013;
+const UNKNOWN_GUILD = 10004;
+
+/**
+ * Turn a member into the fields kept on the users document
+ * @param {Object} member - `{ guildId, nickname, roleIds, joinedAt }`
+ * @returns {Object} - users document fields
+ */
+export function getMemberFields(member) {
+  return {
+    isGuildMember: true,
+    guildId: member.guildId,
+    guildNickname: member.nickname,
+    guildRoleIds: member.roleIds,
+    guildJoinedAt: member.joinedAt,
+    guildSyncedAt: new Date()
+  };
+}
+
+/**
+ * Read a discord.js GuildMember
+ * @param {Object} member - discord.js GuildMember
+ * @returns {Object} - `{ guildId, nickname, roleIds, joinedAt }`
+ */
+function fromGuildMember(member) {
+  return {
+    guildId: member.guild.id,
+    nickname: member.nickname || null,
+    // Everyone has @everyone (same ID as the guild) - leave it out
+    roleIds: member.roles.cache.map(role => role.id).filter(roleId => roleId !== member.guild.id),
+    joinedAt: member.joinedAt || null
+  };
+}
+
+/**
+ * Look a member up with the bot
+ * @param {string} discordUserId - Discord user ID
+ * @returns {Promise<Object|null>} - Member, or null if not in the guild
+ */
+async function fetchMemberWithBot(discordUserId) {
+  const guild = await getGuild();
+
+  try {
+    return fromGuildMember(await guild.members.fetch({ user: discordUserId, force: true }));
+  } catch (error) {
+    if (error.code === UNKNOWN_MEMBER || error.code === UNKNOWN_USER) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Look a member up with the user's OAuth token (`guilds.members.read` scope)
+ * @param {string} guildId - Guild ID
+ * @param {string} accessToken - User's OAuth access token
+ * @returns {Promise<Object|null>} - Member, or null if not in the guild
+ */
+async function fetchMemberWithToken(guildId, accessToken) {
+  const response = await fetch(`https://discord.com/api/users/@me/guilds/${guildId}/member`, {
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+    },
+  });
+
+  if (response.status === 404) {
+    const body = await response.json().catch(() => ({}));
+    if (body.code === UNKNOWN_GUILD || body.code === UNKNOWN_MEMBER) {
+      return null;
+    }
+  }
+
+  if (!response.ok) {
+    throw new Error(`Discord guild member lookup failed with status ${response.status}`);
+  }
+
+  const member = await response.json();
+  return {
+    guildId,
+    nickname: member.nick || null,
+    roleIds: member.roles || [],
+    joinedAt: member.joined_at ? new Date(member.joined_at) : null
+  };
+}
+
+/**
+ * Check whether a user logging in belongs to our guild
+ * Uses the bot when it's logged in; otherwise (e.g. during startup) the user's own token, which
+ * needs DISCORD_GUILD_ID and the `guilds.members.read` scope.
+ * @param {string} discordUserId - Discord user ID
+ * @param {string} accessToken - User's OAuth access token
+ * @returns {Promise<Object|null>} - `{ guildId, nickname, roleIds, joinedAt }`, or null if not a member
+ */
+export async function fetchLoginMember(discordUserId, accessToken) {
+  if (getDiscordClient()?.isReady()) {
+    return fetchMemberWithBot(discordUserId);
+  }
+
+  const { guildId } = getConfig().discord;
+  if (!guildId) {
+    throw new Error('Cannot check guild membership: Discord bot is not ready and DISCORD_GUILD_ID is not set');
+  }
+
+  return fetchMemberWithToken(guildId, accessToken);
+}
+
+/**
+ * Update the guild fields of a registered user (users without an account are skipped)
+ * @param {string} discordUserId - Discord user ID
+ * @param {Object} fields - Fields to write
+ * @returns {Promise<boolean>} - Whether a user was updated
+ */
+async function updateUserMemberFields(discordUserId, fields) {
+  const userRef = collections.get(collections.USERS).doc(discordUserId);
+  const userDoc = await userRef.get();
+
+  if (!userDoc.exists) {
+    return false;
+  }
+
+  await userRef.update(fields);
+  return true;
+}
+
+/**
+ * Keep nicknames and roles on users documents in step with Discord
+ * Needs the privileged Server Members intent, so it only runs with DISCORD_MEMBER_SYNC=true
+ * (enable the intent in the Developer Portal first). Leader only.
+ */
+export function initializeMemberSync() {
+  if (!getConfig().discord.memberSync) {
+    logger.info('👥 Guild member sync disabled (DISCORD_MEMBER_SYNC=false) - roles refresh on login');
+    return;
+  }
+
+  const client = getDiscordClient();
+  if (!client) {
+    throw new Error('Discord client not initialized');
+  }
+
+  logger.info('👥 Setting up guild member sync...');
+
+  client.on(Events.GuildMemberUpdate, (oldMember, newMember) => trackWork('memberUpdate', () => runWithContext({ correlationId: newCorrelationId('discord'), discordUserId: newMember.id }, async () => {
+    try {
+      if (!isLeader() || newMember.user?.bot || !isOurGuild(newMember.guild.id)) {
+        return;
+      }
+
+      const member = fromGuildMember(newMember);
+      const oldRoleIds = oldMember.partial ? null : fromGuildMember(oldMember).roleIds;
+
+      // Ignore updates that change nothing we store (avatars, boosts, timeouts...)
+      if (oldRoleIds && oldMember.nickname === newMember.nickname &&
+          oldRoleIds.length === member.roleIds.length && oldRoleIds.every(roleId => member.roleIds.includes(roleId))) {
+        return;
+      }
+
+      if (await updateUserMemberFields(newMember.id, getMemberFields(member))) {
+        logger.info(`👥 Synced nickname and roles of ${newMember.user?.tag || newMember.id}`);
+      }
+
+    } catch (error) {
+      logger.error('❌ Error syncing guild member update:', error.message);
+    }
+  })));
+
+  client.on(Events.GuildMemberRemove, (member) => trackWork('memberRemove', () => runWithContext({ correlationId: newCorrelationId('discord'), discordUserId: member.id }, async () => {
+    try {
+      if (!isLeader() || !isOurGuild(member.guild.id)) {
+        return;
+      }
+
+      const updated = await updateUserMemberFields(member.id, {
+        isGuildMember: false,
+        guildRoleIds: [],
+        guildSyncedAt: new Date()
+      });
+
+      if (updated) {
+        logger.info(`👋 ${member.user?.tag || member.id} left the guild - marked as not a member`);
+      }
+
+    } catch (error) {
+      logger.error('❌ Error syncing guild member removal:', error.message);
+    }
+  })));
+
+  logger.info('✅ Guild member sync initialized');
+}
+
+/**
+ * Check whether a guild is the one logins are checked against
+ * @param {string} guildId - Guild ID
+ * @returns {boolean}
+ */
+function isOurGuild(guildId) {
+  const { guildId: configured, channelId } = getConfig().discord;
+  // Same fallback as getGuild: the guild of the target channel
+  return (configured || getDiscordClient()?.channels.cache.get(channelId)?.guildId) === guildId;
+}
+
+export default { fetchLoginMember, getMemberFields, initializeMemberSync };
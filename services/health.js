@@ -0,0 +1,119 @@
+import { getDb, collections } from './firebase.js';
+import { getDiscordClient } from './discordService.js';
+import { getListenerStatus } from './firestoreListeners.js';
+import { INSTANCE_ID, isLeader } from './leaderElection.js';
+import { isShuttingDown } from './shutdown.js';
+
+const FIRESTORE_CHECK_TIMEOUT_MS = 5000;
+const startedAt = new Date();
+
+// Last time each kind of event was processed (e.g. 'firestore', 'reaction', 'interaction')
+const lastEventAt = {};
+
+/**
+ * Record that an event was processed, for the readiness report
+ * @param {string} source - Event source
+ */
+export function recordEvent(source) {
+  lastEventAt[source] = new Date();
+}
+
+/**
+ * Liveness: the process is up and the event loop is responding
+ * @returns {Object}
+ */
+export function getLiveness() {
+  return {
+    status: 'alive',
+    instanceId: INSTANCE_ID,
+    startedAt: startedAt.toISOString(),
+    uptimeSeconds: Math.round(process.uptime())
+  };
+}
+
+/**
+ * Check the Discord client's real login state and websocket ping
+ * @returns {Object} - `{ ok, ... }`
+ */
+function checkDiscord() {
+  const client = getDiscordClient();
+
+  if (!client) {
+    return { ok: false, status: 'not_initialized' };
+  }
+
+  const ready = client.isReady();
+  return {
+    ok: ready,
+    status: ready ? 'ready' : 'not_ready',
+    user: client.user?.tag || null,
+    pingMs: ready && client.ws.ping >= 0 ? client.ws.ping : null
+  };
+}
+
+/**
+ * Check that Firestore answers a read within the timeout
+ * @returns {Promise<Object>} - `{ ok, latencyMs, error }`
+ */
+async function checkFirestore() {
+  const started = Date.now();
+  let timer;
+
+  try {
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`No response within ${FIRESTORE_CHECK_TIMEOUT_MS}ms`)), FIRESTORE_CHECK_TIMEOUT_MS);
+    });
+
+    getDb();
+    await Promise.race([
+      collections.get(collections.BOT_CONFIG).doc('leader').get(),
+      timeout
+    ]);
+
+    return { ok: true, latencyMs: Date.now() - started };
+
+  } catch (error) {
+    return { ok: false, latencyMs: Date.now() - started, error: error.message };
+
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Readiness: Discord logged in, Firestore reachable, no listener errored and not shutting down
+ * @returns {Promise<Object>} - `{ ready, status, checks, ... }`
+ */
+export async function getReadiness() {
+  const discord = checkDiscord();
+  const firestore = await checkFirestore();
+  const listeners = getListenerStatus();
+  const listenersOk = listeners.every(listener => listener.status !== 'errored');
+
+  const shuttingDown = isShuttingDown();
+
+  // Report not ready while draining, so load balancers stop routing here before the port closes
+  const ready = discord.ok && firestore.ok && listenersOk && !shuttingDown;
+
+  return {
+    ready,
+    status: shuttingDown ? 'shutting_down' : ready ? 'healthy' : 'degraded',
+    timestamp: new Date().toISOString(),
+    instanceId: INSTANCE_ID,
+    role: isLeader() ? 'leader' : 'follower',
+    checks: {
+      discord,
+      firestore,
+      listeners: { ok: listenersOk, listeners }
+    },
+    lastEventAt: Object.fromEntries(
+      Object.entries(lastEventAt).map(([source, date]) => [source, date.toISOString()])
+    )
+  };
+}
+
+export default {
+  recordEvent,
+  getLiveness,
+  getReadiness
+};
@@ -0,0 +1,193 @@
+import { Events, MessageFlags } from 'discord.js';
+import { handleRoamSignup, handleRoamUnsignup, handleRoamTentative } from './firestoreListeners.js';
+import { getDiscordClient, removeUserReaction, SIGNUP_COMPONENT_IDS } from './discordService.js';
+import { collections } from './firebase.js';
+import { isLeader } from './leaderElection.js';
+import { recordEvent } from './health.js';
+import { createLogger, runWithContext } from './logger.js';
+import { trackWork } from './shutdown.js';
+
+const logger = createLogger('interactionMonitor');
+
+/**
+ * Initialize handling of signup buttons and the role select menu
+ * Runs through the same signup/unsignup logic as reactions
+ */
+export function initializeInteractionHandling() {
+  const client = getDiscordClient();
+
+  if (!client) {
+    logger.error('❌ Discord client not available for interaction handling');
+    return;
+  }
+
+  logger.info('🖱️ Setting up Discord interaction handling...');
+
+  client.on(Events.InteractionCreate, (interaction) => trackWork('interaction', () => runWithContext({ correlationId: `discord-${interaction.id}`, discordUserId: interaction.user.id }, async () => {
+    const isSignupButton = interaction.isButton() &&
+      Object.values(SIGNUP_COMPONENT_IDS).includes(interaction.customId);
+    const isRoleSelect = interaction.isStringSelectMenu() &&
+      interaction.customId === SIGNUP_COMPONENT_IDS.ROLE_SELECT;
+
+    // Every instance receives the interaction - only the leader answers it
+    if ((!isSignupButton && !isRoleSelect) || !isLeader()) {
+      return;
+    }
+
+    recordEvent('interaction');
+
+    try {
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+      const reply = await handleSignupInteraction(interaction);
+      await interaction.editReply(reply);
+
+    } catch (error) {
+      logger.error('❌ Error handling signup interaction:', error.message);
+
+      const reply = { content: '❌ Something went wrong while updating your signup. Please try again.' };
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply(reply).catch(() => {});
+      } else {
+        await interaction.reply({ ...reply, flags: MessageFlags.Ephemeral }).catch(() => {});
+      }
+    }
+  })));
+
+  logger.info('✅ Discord interaction handling initialized');
+}
+
+/**
+ * Apply a signup button press or role selection
+ * @param {Object} interaction - Discord button or select menu interaction
+ * @returns {Promise<string>} - Ephemeral confirmation for the user
+ */
+async function handleSignupInteraction(interaction) {
+  const { message, user } = interaction;
+  const messageId = message.id;
+
+  logger.info(`🖱️ User ${user.username} (${user.id}) used ${interaction.customId} on message ${messageId}`);
+
+  switch (interaction.customId) {
+    case SIGNUP_COMPONENT_IDS.SIGN_UP: {
+      const result = await handleRoamSignup(messageId, user.id, user.username, '✅');
+      return describeSignupResult(result);
+    }
+
+    case SIGNUP_COMPONENT_IDS.ROLE_SELECT: {
+      const role = interaction.values[0];
+      const emoji = await getRoleEmoji(messageId, role);
+
+      if (!emoji) {
+        return `❌ The role **${role}** is not part of this roam's composition.`;
+      }
+
+      const result = await handleRoamSignup(messageId, user.id, user.username, emoji);
+
+      // Keep reactions in step - drop the reaction for a role they no longer hold
+      if (result?.previousEmoji) {
+        await removeUserReaction(message, result.previousEmoji, user.id);
+      }
+
+      return describeSignupResult(result);
+    }
+
+    case SIGNUP_COMPONENT_IDS.WITHDRAW: {
+      const result = await handleRoamUnsignup(messageId, user.id, user.username, null);
+
+      if (result?.status === 'withdrawn') {
+        await removeSignupReactions(message, user.id);
+        return result.removedFrom === 'waitlist'
+          ? '👋 You have left the waitlist.'
+          : '👋 You have withdrawn from this roam.';
+      }
+
+      return 'ℹ️ You were not signed up for this roam.';
+    }
+
+    case SIGNUP_COMPONENT_IDS.TENTATIVE: {
+      const result = await handleRoamTentative(messageId, user.id, user.username);
+
+      if (result?.withdrawn) {
+        await removeSignupReactions(message, user.id);
+      }
+
+      if (result?.status === 'tentative') {
+        return `🤔 You are marked as tentative${result.withdrawn ? ' and your signup was released' : ''}.`;
+      }
+      if (result?.status === 'unchanged') {
+        return 'ℹ️ You are already marked as tentative.';
+      }
+      return '❌ This post is not linked to a roam.';
+    }
+
+    default:
+      return '❌ Unknown action.';
+  }
+}
+
+/**
+ * Turn a handleRoamSignup result into a confirmation message
+ * @param {Object|undefined} result - Signup result
+ * @returns {string}
+ */
+function describeSignupResult(result) {
+  const roleText = result?.role ? ` as **${result.role}**` : '';
+
+  switch (result?.status) {
+    case 'signed_up':
+      return `✅ You are signed up${roleText}!`;
+    case 'role_changed':
+      return `🔁 Switched from **${result.previousRole}** to **${result.role}**.`;
+    case 'waitlisted':
+      return `⏳ The roster is full - you are **#${result.position}** on the waitlist${roleText}. You'll get a DM if a spot opens up.`;
+    case 'role_full':
+      return `🚫 The **${result.role}** role is full. Pick another role.`;
+    case 'unchanged':
+      return result.position
+        ? `ℹ️ You are already **#${result.position}** on the waitlist.`
+        : `ℹ️ You are already signed up${roleText}.`;
+    case 'ignored':
+      return 'ℹ️ Pick a role from the menu to sign up for this roam.';
+    default:
+      return '❌ This post is not linked to a roam.';
+  }
+}
+
+/**
+ * Look up the reaction emoji for a role on a post's composition
+ * @param {string} discordMessageId - Discord message ID
+ * @param {string} role - Role name from the select menu
+ * @returns {Promise<string|null>}
+ */
+async function getRoleEmoji(discordMessageId, role) {
+  const postQuery = await collections.get(collections.DISCORD_POSTS)
+    .where('discordMessageId', '==', discordMessageId)
+    .limit(1)
+    .get();
+
+  if (postQuery.empty) {
+    return null;
+  }
+
+  const composition = postQuery.docs[0].data().composition;
+  return composition?.roles?.find(entry => entry.role === role)?.emoji || null;
+}
+
+/**
+ * Remove a user's signup reactions (the ones the bot added) from a message after they withdraw
+ * The resulting reaction-remove events are ignored since they're no longer signed up.
+ * @param {Object} message - Discord message
+ * @param {string} discordUserId - Discord user ID
+ */
+async function removeSignupReactions(message, discordUserId) {
+  for (const reaction of message.reactions.cache.values()) {
+    if (reaction.me) {
+      await reaction.users.remove(discordUserId);
+    }
+  }
+}
+
+export default {
+  initializeInteractionHandling
+};
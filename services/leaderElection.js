@@ -0,0 +1,182 @@
+import os from 'os';
+import crypto from 'crypto';
+import { collections, getDb } from './firebase.js';
+import { getConfig } from './config.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('leaderElection');
+
+// Unique per process, so a restarted instance never mistakes an old lease for its own
+export const INSTANCE_ID = process.env.INSTANCE_ID ||
+  `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+
+let leader = false;
+let leaseExpiresAt = 0;
+let heartbeatInterval = null;
+const listeners = [];
+
+/**
+ * Get the leader lease length
+ * @returns {number} - Lease in ms
+ */
+function getLeaseMs() {
+  return getConfig().leader.leaseSeconds * 1000;
+}
+
+/**
+ * Check whether leader election is turned off (single-instance deployments)
+ * @returns {boolean}
+ */
+function isElectionDisabled() {
+  return !getConfig().leader.election;
+}
+
+/**
+ * Get a reference to the leader lease document (bot_config/leader)
+ */
+function getLeaderRef() {
+  return collections.get(collections.BOT_CONFIG).doc('leader');
+}
+
+/**
+ * Start competing for leadership
+ * Only the leader handles Discord gateway events and runs the background workers; every
+ * instance keeps serving the API and posting (claimed) pending posts.
+ * @returns {Promise<void>} - Resolves after the first attempt, so startup knows its role
+ */
+export async function initializeLeaderElection() {
+  if (isElectionDisabled()) {
+    logger.info('👑 Leader election disabled (LEADER_ELECTION=false) - this instance always leads');
+    setLeader(true);
+    return;
+  }
+
+  const leaseMs = getLeaseMs();
+  logger.info(`👑 Setting up leader election as ${INSTANCE_ID} (${leaseMs / 1000}s lease)...`);
+
+  await renewLeadership();
+
+  // Renew well before the lease runs out
+  heartbeatInterval = setInterval(() => {
+    renewLeadership();
+  }, Math.floor(leaseMs / 3));
+
+  logger.info(`✅ Leader election initialized - ${leader ? 'leader' : 'follower'}`);
+}
+
+/**
+ * Take the lease if it's free or expired, or extend it if we already hold it
+ */
+async function renewLeadership() {
+  const leaderRef = getLeaderRef();
+  const leaseMs = getLeaseMs();
+
+  try {
+    const acquired = await getDb().runTransaction(async (transaction) => {
+      const leaderDoc = await transaction.get(leaderRef);
+      const current = leaderDoc.data();
+      const now = Date.now();
+
+      const isMine = current?.instanceId === INSTANCE_ID;
+      const expired = !current?.leaseExpiresAt || current.leaseExpiresAt.toMillis() <= now;
+
+      if (!isMine && !expired) {
+        return false;
+      }
+
+      transaction.set(leaderRef, {
+        instanceId: INSTANCE_ID,
+        hostname: os.hostname(),
+        leaseExpiresAt: new Date(now + leaseMs),
+        renewedAt: new Date(now),
+        acquiredAt: isMine && current.acquiredAt ? current.acquiredAt : new Date(now)
+      });
+      return true;
+    });
+
+    if (acquired) {
+      leaseExpiresAt = Date.now() + leaseMs;
+    }
+    setLeader(acquired);
+
+  } catch (error) {
+    // Keep leading only while the lease we last wrote is still valid
+    logger.error('❌ Error renewing leader lease:', error.message);
+    setLeader(Date.now() < leaseExpiresAt);
+  }
+}
+
+/**
+ * Update leadership and notify listeners on change
+ * @param {boolean} value - Whether this instance leads
+ */
+function setLeader(value) {
+  if (value === leader) {
+    return;
+  }
+
+  leader = value;
+  logger.info(value ? `👑 ${INSTANCE_ID} is now the leader` : `👥 ${INSTANCE_ID} is now a follower`);
+
+  listeners.forEach((listener) => {
+    try {
+      listener(value);
+    } catch (error) {
+      logger.error('❌ Error in leadership change listener:', error.message);
+    }
+  });
+}
+
+/**
+ * Check whether this instance is the leader
+ * @returns {boolean}
+ */
+export function isLeader() {
+  return leader;
+}
+
+/**
+ * Run a callback whenever this instance gains or loses leadership
+ * @param {Function} listener - `(isLeader) => void`
+ */
+export function onLeadershipChange(listener) {
+  listeners.push(listener);
+}
+
+/**
+ * Stop competing and hand the lease over right away, so a rolling deploy doesn't wait for it to expire
+ */
+export async function stopLeaderElection() {
+  if (heartbeatInterval) {
+    clearInterval(heartbeatInterval);
+    heartbeatInterval = null;
+  }
+
+  if (!leader || isElectionDisabled()) {
+    return;
+  }
+
+  setLeader(false);
+  leaseExpiresAt = 0;
+
+  try {
+    const leaderRef = getLeaderRef();
+    await getDb().runTransaction(async (transaction) => {
+      const leaderDoc = await transaction.get(leaderRef);
+      if (leaderDoc.data()?.instanceId === INSTANCE_ID) {
+        transaction.update(leaderRef, { leaseExpiresAt: new Date(0), releasedAt: new Date() });
+      }
+    });
+    logger.info('🛑 Released leader lease');
+  } catch (error) {
+    logger.error('❌ Error releasing leader lease:', error.message);
+  }
+}
+
+export default {
+  INSTANCE_ID,
+  initializeLeaderElection,
+  stopLeaderElection,
+  isLeader,
+  onLeadershipChange
+};
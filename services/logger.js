@@ -0,0 +1,220 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+
+/**
+ * Shared logger: leveled, JSON (or pretty) output, correlation IDs and secret redaction
+ *
+ * Call it like console - `logger.info('📤 Posted message', { messageId })` - strings form the
+ * message, objects become `details`, errors become `error`. Every line carries the correlation
+ * ID of the Express request or Discord event it happened in (see runWithContext).
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Keys whose values are never logged
+const SENSITIVE_KEY_PATTERN = /token|secret|password|authorization|cookie|session|email|api_?key|private_?key|^code$|^state$/i;
+
+// Secrets that can appear inside strings
+const SENSITIVE_STRING_PATTERNS = [
+  [/([?&](?:code|state|token|access_token|refresh_token|client_secret)=)[^&\s"']+/gi, '$1[REDACTED]'],
+  [/(Bearer\s+)[\w.~+/=-]+/gi, '$1[REDACTED]'],
+  [/[MN][A-Za-z\d]{23,25}\.[\w-]{6}\.[\w-]{27,}/g, '[REDACTED_DISCORD_TOKEN]'],
+  [/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, '[REDACTED_EMAIL]']
+];
+
+const MAX_DEPTH = 6;
+
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Get the minimum level to log (LOG_LEVEL, default info)
+ * @returns {number}
+ */
+function getMinLevel() {
+  return LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+}
+
+/**
+ * Redact secrets in a string
+ * @param {string} text - Text to redact
+ * @returns {string}
+ */
+export function redactString(text) {
+  return SENSITIVE_STRING_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+/**
+ * Redact secrets in any value, recursively
+ * @param {*} value - Value to redact
+ * @param {number} depth - Current depth
+ * @param {WeakSet} seen - Objects already visited (cycle guard)
+ * @returns {*} - JSON-safe copy with secrets replaced
+ */
+export function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  // Firestore Timestamp
+  if (typeof value.toDate === 'function') {
+    return value.toDate().toISOString();
+  }
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (depth >= MAX_DEPTH || seen.has(value)) {
+    return '[Truncated]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(entry => redact(entry, depth + 1, seen));
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, entry]) => [
+    key,
+    SENSITIVE_KEY_PATTERN.test(key) && entry !== null && entry !== undefined ? '[REDACTED]' : redact(entry, depth + 1, seen)
+  ]));
+}
+
+/**
+ * Turn an error into a loggable object
+ * @param {Error} error - Error
+ * @returns {Object} - `{ message, name, code, stack }`
+ */
+function serializeError(error) {
+  return {
+    message: redactString(error.message || ''),
+    name: error.name,
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.stack && { stack: redactString(error.stack) })
+  };
+}
+
+/**
+ * Split console-style arguments into a message, details and an error
+ * @param {Array} args - Logger arguments
+ * @returns {Object} - `{ msg, details, error }`
+ */
+function parseArgs(args) {
+  const messageParts = [];
+  const details = [];
+  let error = null;
+
+  for (const arg of args) {
+    if (arg instanceof Error) {
+      error = arg;
+    } else if (arg && typeof arg === 'object') {
+      details.push(arg);
+    } else if (arg !== undefined) {
+      messageParts.push(String(arg));
+    }
+  }
+
+  return {
+    msg: messageParts.join(' '),
+    details: details.length === 0 ? null : details.length === 1 ? details[0] : details,
+    error
+  };
+}
+
+/**
+ * Write one log line
+ * @param {string} level - Level name
+ * @param {string} moduleName - Module the line comes from
+ * @param {Array} args - Logger arguments
+ */
+function write(level, moduleName, args) {
+  if (LEVELS[level] < getMinLevel()) {
+    return;
+  }
+
+  const { msg, details, error } = parseArgs(args);
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    ...(moduleName && { module: moduleName }),
+    ...redact(contextStorage.getStore() || {}),
+    msg: redactString(msg),
+    ...(details !== null && { details: redact(details) }),
+    ...(error && { error: serializeError(error) })
+  };
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+  if ((process.env.LOG_FORMAT || 'json').toLowerCase() === 'pretty') {
+    const { time, level: _level, module: _module, msg: message, details: _details, error: _error, ...context } = entry;
+    const extras = [
+      Object.keys(context).length ? JSON.stringify(context) : '',
+      _details !== undefined ? JSON.stringify(_details) : '',
+      _error ? `${_error.message}${LEVELS[level] >= LEVELS.error && _error.stack ? `\n${_error.stack}` : ''}` : ''
+    ].filter(Boolean).join(' ');
+
+    stream.write(`${time} ${level.toUpperCase().padEnd(5)} ${_module ? `[${_module}] ` : ''}${message}${extras ? ` ${extras}` : ''}\n`);
+    return;
+  }
+
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Create a logger for a module
+ * @param {string} moduleName - Module name, added to every line
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}}
+ */
+export function createLogger(moduleName = null) {
+  return {
+    debug: (...args) => write('debug', moduleName, args),
+    info: (...args) => write('info', moduleName, args),
+    warn: (...args) => write('warn', moduleName, args),
+    error: (...args) => write('error', moduleName, args)
+  };
+}
+
+/**
+ * Generate a correlation ID
+ * @param {string} prefix - Origin of the work, e.g. 'http', 'discord', 'firestore'
+ * @returns {string}
+ */
+export function newCorrelationId(prefix = 'op') {
+  return `${prefix}-${crypto.randomBytes(6).toString('hex')}`;
+}
+
+/**
+ * Run a function with a logging context; every log line inside it (including async work) carries it
+ * Nested contexts inherit the outer fields.
+ * @param {Object} context - e.g. `{ correlationId, postId, discordUserId }`
+ * @param {Function} fn - Function to run
+ * @returns {*} - Result of `fn`
+ */
+export function runWithContext(context, fn) {
+  return contextStorage.run({ ...(contextStorage.getStore() || {}), ...context }, fn);
+}
+
+/**
+ * Get the correlation ID of the current context
+ * @returns {string|null}
+ */
+export function getCorrelationId() {
+  return contextStorage.getStore()?.correlationId || null;
+}
+
+export const logger = createLogger();
+
+export default {
+  logger,
+  createLogger,
+  newCorrelationId,
+  runWithContext,
+  getCorrelationId,
+  redact,
+  redactString
+};
@@ -0,0 +1,136 @@
+import { Registry, Counter, Histogram, Gauge, collectDefaultMetrics } from 'prom-client';
+import { getRoamsRef } from './roamStore.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('metrics');
+
+/**
+ * Prometheus metrics, served in text format at GET /metrics
+ */
+export const registry = new Registry();
+
+collectDefaultMetrics({ register: registry, prefix: 'bonfire_' });
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+export const postsCounter = new Counter({
+  name: 'bonfire_posts_total',
+  help: 'Roam posts by lifecycle event (created = picked up for posting)',
+  labelNames: ['event'],
+  registers: [registry]
+});
+
+export const signupsCounter = new Counter({
+  name: 'bonfire_signups_total',
+  help: 'Roam signup changes by action (signup, unsignup) and user type (registered, guest)',
+  labelNames: ['action', 'user_type'],
+  registers: [registry]
+});
+
+const discordLatency = new Histogram({
+  name: 'bonfire_discord_api_duration_seconds',
+  help: 'Duration of Discord API operations',
+  labelNames: ['operation'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry]
+});
+
+const discordErrors = new Counter({
+  name: 'bonfire_discord_api_errors_total',
+  help: 'Failed Discord API operations',
+  labelNames: ['operation'],
+  registers: [registry]
+});
+
+export const discordRateLimitsCounter = new Counter({
+  name: 'bonfire_discord_rate_limits_total',
+  help: 'Discord rate limits hit by the REST client',
+  registers: [registry]
+});
+
+const firestoreWriteLatency = new Histogram({
+  name: 'bonfire_firestore_write_duration_seconds',
+  help: 'Duration of Firestore writes and transactions',
+  labelNames: ['operation'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry]
+});
+
+export const userCacheCounter = new Counter({
+  name: 'bonfire_user_cache_lookups_total',
+  help: 'userCache lookups by result (hit, miss)',
+  labelNames: ['result'],
+  registers: [registry]
+});
+
+// Read on scrape, so the value is always current
+new Gauge({
+  name: 'bonfire_active_roams',
+  help: 'Scheduled roams that are not cancelled and not in the past',
+  registers: [registry],
+  async collect() {
+    try {
+      const today = new Date().toISOString().split('T')[0];
+      const roamDoc = await getRoamsRef().get();
+      const active = (roamDoc.data()?.scheduled || [])
+        .filter(roam => roam.status !== 'cancelled' && (!roam.date || roam.date >= today));
+      this.set(active.length);
+    } catch (error) {
+      // Keep the last value rather than failing the whole scrape
+      logger.warn('⚠️ Could not count active roams for metrics:', error.message);
+    }
+  }
+});
+
+/**
+ * Time a Discord API operation and count it if it fails
+ * @param {string} operation - Operation name, e.g. 'post_message'
+ * @param {Function} fn - `() => Promise`
+ * @returns {Promise<*>} - Result of `fn`
+ */
+export async function observeDiscordCall(operation, fn) {
+  const end = discordLatency.startTimer({ operation });
+  try {
+    return await fn();
+  } catch (error) {
+    discordErrors.inc({ operation });
+    throw error;
+  } finally {
+    end();
+  }
+}
+
+/**
+ * Time a Firestore write or transaction
+ * @param {string} operation - Operation name, e.g. 'roam_transaction'
+ * @param {Function} fn - `() => Promise`
+ * @returns {Promise<*>} - Result of `fn`
+ */
+export async function observeFirestoreWrite(operation, fn) {
+  const end = firestoreWriteLatency.startTimer({ operation });
+  try {
+    return await fn();
+  } finally {
+    end();
+  }
+}
+
+/**
+ * Count a signup change
+ * @param {string} action - 'signup' or 'unsignup'
+ * @param {boolean} isRegisteredUser - Whether the user has a Bonfire account
+ */
+export function countSignup(action, isRegisteredUser) {
+  signupsCounter.inc({ action, user_type: isRegisteredUser ? 'registered' : 'guest' });
+}
+
+export default {
+  registry,
+  postsCounter,
+  signupsCounter,
+  discordRateLimitsCounter,
+  userCacheCounter,
+  observeDiscordCall,
+  observeFirestoreWrite,
+  countSignup
+};
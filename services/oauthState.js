@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import { collections } from './firebase.js';
+import { getConfig } from './config.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('oauthState');
+
+// How long a login may take between /api/auth/login and the callback
+export const STATE_TTL_MS = 10 * 60 * 1000;
+
+// Firestore error code for create() on an existing document
+const ALREADY_EXISTS = 6;
+
+/**
+ * Sign an encoded state payload (HMAC-SHA256 with SESSION_SECRET, separated from session tokens)
+ * @param {string} encodedPayload - base64url encoded payload
+ * @returns {string} - base64url encoded signature
+ */
+function sign(encodedPayload) {
+  return crypto
+    .createHmac('sha256', getConfig().session.secret)
+    .update(`oauth-state.${encodedPayload}`)
+    .digest('base64url');
+}
+
+/**
+ * Resolve where a login should return to
+ * Accepts a full URL or an origin on the allowlist (FRONTEND_URL + AUTH_REDIRECT_ORIGINS);
+ * nothing requested means FRONTEND_URL.
+ * @param {string} requested - Requested return URL
+ * @returns {string|null} - Return URL, or null if its origin is not allowed
+ */
+export function resolveReturnUrl(requested) {
+  const { frontend, redirectOrigins } = getConfig().urls;
+
+  if (!requested) {
+    return frontend;
+  }
+
+  let url;
+  try {
+    url = new URL(requested);
+  } catch (error) {
+    return null;
+  }
+
+  return redirectOrigins.includes(url.origin) ? url.toString() : null;
+}
+
+/**
+ * Create a signed, expiring state for a Discord login
+ * @param {string} returnUrl - Allowed return URL (see resolveReturnUrl)
+ * @returns {{state: string, nonce: string}} - `state` goes to Discord, `nonce` into the browser cookie
+ */
+export function createOAuthState(returnUrl) {
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const payload = { n: nonce, r: returnUrl, exp: Date.now() + STATE_TTL_MS };
+
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return { state: `${encodedPayload}.${sign(encodedPayload)}`, nonce };
+}
+
+/**
+ * Verify a state from the OAuth callback and use it up
+ * It must be signed by us, unexpired, match the nonce cookie of the browser that started the
+ * login, and not have been used before (recorded in oauth_states, so this holds across instances).
+ * @param {string} state - `state` query parameter
+ * @param {string} nonce - Nonce from the login cookie
+ * @returns {Promise<{returnUrl: string}|null>} - Null if invalid, expired, from another browser or reused
+ */
+export async function consumeOAuthState(state, nonce) {
+  if (!state || typeof state !== 'string' || !nonce) {
+    return null;
+  }
+
+  const [encodedPayload, signature, ...rest] = state.split('.');
+  if (!encodedPayload || !signature || rest.length > 0) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(encodedPayload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (!payload.n || payload.n !== nonce || !payload.exp || payload.exp < Date.now()) {
+    return null;
+  }
+
+  // The allowlist may have changed since the login started
+  const returnUrl = resolveReturnUrl(payload.r);
+  if (!returnUrl) {
+    return null;
+  }
+
+  try {
+    // create() fails if the document exists, so each state can only be used once
+    await collections.get(collections.OAUTH_STATES).doc(payload.n).create({
+      usedAt: new Date(),
+      // For a Firestore TTL policy to clean up
+      expiresAt: new Date(payload.exp)
+    });
+  } catch (error) {
+    if (error.code === ALREADY_EXISTS) {
+      logger.warn('⚠️ OAuth state was already used - possible replay');
+      return null;
+    }
+    throw error;
+  }
+
+  return { returnUrl };
+}
+
+export default { STATE_TTL_MS, resolveReturnUrl, createOAuthState, consumeOAuthState };
@@ -0,0 +1,66 @@
+import { getConfig } from './config.js';
+
+/**
+ * Permission levels, derived from the caller's Discord guild roles
+ */
+export const PERMISSION_LEVELS = {
+  NONE: 'none',
+  MEMBER: 'member',
+  ROAM_LEADER: 'roamLeader',
+  OFFICER: 'officer',
+  ADMIN: 'admin'
+};
+
+// Lowest to highest - each level includes everything below it
+const LEVEL_ORDER = [
+  PERMISSION_LEVELS.NONE,
+  PERMISSION_LEVELS.MEMBER,
+  PERMISSION_LEVELS.ROAM_LEADER,
+  PERMISSION_LEVELS.OFFICER,
+  PERMISSION_LEVELS.ADMIN
+];
+
+/**
+ * Get the Discord role IDs configured for a level (DISCORD_<LEVEL>_ROLE_IDS)
+ * @param {string} level - Permission level
+ * @returns {string[]} - Role IDs
+ */
+function getRoleIds(level) {
+  return getConfig().discord.roleIds[level] || [];
+}
+
+/**
+ * Check whether a permission level meets a required level
+ * @param {string} level - The caller's permission level
+ * @param {string} required - The minimum required level
+ * @returns {boolean}
+ */
+export function hasPermission(level, required) {
+  return LEVEL_ORDER.indexOf(level) >= LEVEL_ORDER.indexOf(required);
+}
+
+/**
+ * Resolve the highest permission level granted by a set of guild roles
+ * @param {string[]} roleIds - Discord role IDs held by the member
+ * @param {boolean} isAdministrator - Whether the member has the Administrator permission
+ * @returns {string} - Permission level
+ */
+export function resolvePermissionLevel(roleIds, isAdministrator = false) {
+  if (isAdministrator) {
+    return PERMISSION_LEVELS.ADMIN;
+  }
+
+  // Walk from the highest level down and return the first match
+  for (const level of [...LEVEL_ORDER].reverse()) {
+    if (getRoleIds(level).some(roleId => roleIds.includes(roleId))) {
+      return level;
+    }
+  }
+
+  // Anyone in the guild is a member unless member roles are explicitly configured
+  return getRoleIds(PERMISSION_LEVELS.MEMBER).length === 0
+    ? PERMISSION_LEVELS.MEMBER
+    : PERMISSION_LEVELS.NONE;
+}
+
+export default { PERMISSION_LEVELS, hasPermission, resolvePermissionLevel };
@@ -1,131 +1,172 @@
 import { Events } from 'discord.js';
-import { updateReactionCount, handleRoamSignup, handleRoamUnsignup } from './firestoreListeners.js';
-import { getDiscordClient, getTargetChannelId } from './discordService.js';
+import { collections } from './firebase.js';
+import { updateReactionCount, updateReactionUser, handleRoamSignup, handleRoamUnsignup } from './firestoreListeners.js';
+import { getScheduledRoam } from './roamStore.js';
+import { getGuestId } from './roster.js';
+import { getDiscordClient, getTargetChannelId, removeUserReaction } from './discordService.js';
+import { isMonitoredChannel } from './channelRouting.js';
+import { isLeader } from './leaderElection.js';
+import { recordEvent } from './health.js';
+import { ROLE_EMOJIS, FALLBACK_EMOJIS, isSameEmoji } from './compositions.js';
+import { createLogger, runWithContext, newCorrelationId } from './logger.js';
+import { trackWork } from './shutdown.js';
+
+const logger = createLogger('reactionMonitor');
+
+/**
+ * Check whether a reaction emoji can be a signup (✅ or a composition role)
+ * Unknown roles use generic emojis, so the roam post decides the final match
+ * @param {string} emoji - Reaction emoji name
+ * @returns {boolean}
+ */
+function isSignupEmoji(emoji) {
+  return emoji === '✅' ||
+    [...Object.values(ROLE_EMOJIS), ...FALLBACK_EMOJIS].some(roleEmoji => isSameEmoji(roleEmoji, emoji));
+}
 
 /**
  * Initialize Discord reaction monitoring
  */
 export function initializeReactionMonitoring() {
   const client = getDiscordClient();
-  const targetChannelId = getTargetChannelId();
 
   if (!client) {
-    console.error('❌ Discord client not available for reaction monitoring');
+    logger.error('❌ Discord client not available for reaction monitoring');
     return;
   }
 
-  console.log('👀 Setting up Discord reaction monitoring...');
+  logger.info('👀 Setting up Discord reaction monitoring...');
 
   // Monitor when reactions are added
-  client.on(Events.MessageReactionAdd, async (reaction, user) => {
+  client.on(Events.MessageReactionAdd, (reaction, user) => trackWork('reactionAdd', () => runWithContext({ correlationId: newCorrelationId('discord'), discordUserId: user.id }, async () => {
     try {
-      // Ignore bot reactions
-      if (user.bot) return;
+      // Ignore bot reactions, and leave gateway events to the leader instance
+      if (user.bot || !isLeader()) return;
 
       // Make sure we have the full reaction object
       if (reaction.partial) {
         await reaction.fetch();
       }
 
-      // Only monitor reactions in our target channel
-      if (reaction.message.channel.id !== targetChannelId) {
+      // Only monitor reactions in routed channels
+      if (!isMonitoredChannel(reaction.message.channel.id)) {
         return;
       }
 
-      // Only monitor ✅ reactions for roam signups
-      if (reaction.emoji.name === '✅') {
+      // Only monitor ✅ and composition role reactions for roam signups
+      const emoji = reaction.emoji.name;
+      if (isSignupEmoji(emoji)) {
+        recordEvent('reaction');
         const messageId = reaction.message.id;
         const reactionCount = reaction.count;
         const discordUserId = user.id;
         const discordUsername = user.username;
 
-        console.log(`➕ User ${discordUsername} (${discordUserId}) added ✅ reaction to message ${messageId} (total: ${reactionCount})`);
+        logger.info(`➕ User ${discordUsername} (${discordUserId}) added ${emoji} reaction to message ${messageId} (total: ${reactionCount})`);
 
         // Update reaction count in Firestore
-        await updateReactionCount(messageId, '✅', reactionCount);
-
-        // Handle roam signup (pass Discord ID and username)
-        await handleRoamSignup(messageId, discordUserId, discordUsername);
+        await updateReactionCount(messageId, emoji, reactionCount);
+
+        // Handle roam signup (pass Discord ID, username and the chosen emoji)
+        const result = await handleRoamSignup(messageId, discordUserId, discordUsername, emoji);
+
+        if (result?.status === 'role_full') {
+          // Role has no open slots - take the reaction back off
+          await reaction.users.remove(discordUserId);
+        } else if (result?.status === 'role_changed' && result.previousEmoji) {
+          // One role per person - drop the reaction for the role they held before
+          await removeUserReaction(reaction.message, result.previousEmoji, discordUserId);
+        }
+
+        if (result && !['role_full', 'ignored'].includes(result.status)) {
+          await updateReactionUser(messageId, discordUserId, emoji);
+        }
       }
 
     } catch (error) {
-      console.error('❌ Error handling reaction add:', error.message);
+      logger.error('❌ Error handling reaction add:', error.message);
     }
-  });
+  })));
 
   // Monitor when reactions are removed
-  client.on(Events.MessageReactionRemove, async (reaction, user) => {
+  client.on(Events.MessageReactionRemove, (reaction, user) => trackWork('reactionRemove', () => runWithContext({ correlationId: newCorrelationId('discord'), discordUserId: user.id }, async () => {
     try {
-      // Ignore bot reactions
-      if (user.bot) return;
+      // Ignore bot reactions, and leave gateway events to the leader instance
+      if (user.bot || !isLeader()) return;
 
       // Make sure we have the full reaction object
       if (reaction.partial) {
         await reaction.fetch();
       }
 
-      // Only monitor reactions in our target channel
-      if (reaction.message.channel.id !== targetChannelId) {
+      // Only monitor reactions in routed channels
+      if (!isMonitoredChannel(reaction.message.channel.id)) {
         return;
       }
 
-      // Only monitor ✅ reactions for roam signups
-      if (reaction.emoji.name === '✅') {
+      // Only monitor ✅ and composition role reactions for roam signups
+      const emoji = reaction.emoji.name;
+      if (isSignupEmoji(emoji)) {
+        recordEvent('reaction');
         const messageId = reaction.message.id;
         const reactionCount = reaction.count;
         const discordUserId = user.id;
         const discordUsername = user.username;
 
-        console.log(`➖ User ${discordUsername} (${discordUserId}) removed ✅ reaction from message ${messageId} (total: ${reactionCount})`);
+        logger.info(`➖ User ${discordUsername} (${discordUserId}) removed ${emoji} reaction from message ${messageId} (total: ${reactionCount})`);
 
         // Update reaction count in Firestore
-        await updateReactionCount(messageId, '✅', reactionCount);
+        await updateReactionCount(messageId, emoji, reactionCount);
+
+        // Handle roam unsignup (pass Discord ID, username and the removed emoji)
+        const result = await handleRoamUnsignup(messageId, discordUserId, discordUsername, emoji);
 
-        // Handle roam unsignup (pass Discord ID and username)
-        await handleRoamUnsignup(messageId, discordUserId, discordUsername);
+        if (['withdrawn', 'not_signed_up'].includes(result?.status)) {
+          await updateReactionUser(messageId, discordUserId, null);
+        }
       }
 
     } catch (error) {
-      console.error('❌ Error handling reaction remove:', error.message);
+      logger.error('❌ Error handling reaction remove:', error.message);
     }
-  });
+  })));
 
   // Monitor when all reactions of a type are removed
-  client.on(Events.MessageReactionRemoveAll, async (message) => {
+  client.on(Events.MessageReactionRemoveAll, (message) => trackWork('reactionRemoveAll', () => runWithContext({ correlationId: newCorrelationId('discord') }, async () => {
     try {
-      // Only monitor reactions in our target channel
-      if (message.channel.id !== targetChannelId) {
+      // Only monitor reactions in routed channels (on the leader instance)
+      if (!isLeader() || !isMonitoredChannel(message.channel.id)) {
         return;
       }
 
-      console.log(`🧹 All reactions removed from message ${message.id}`);
+      logger.info(`🧹 All reactions removed from message ${message.id}`);
 
       // Reset all reaction counts to 0
       await updateReactionCount(message.id, '✅', 0);
 
     } catch (error) {
-      console.error('❌ Error handling reaction remove all:', error.message);
+      logger.error('❌ Error handling reaction remove all:', error.message);
     }
-  });
+  })));
 
-  console.log('✅ Discord reaction monitoring initialized');
+  logger.info('✅ Discord reaction monitoring initialized');
 }
 
 /**
  * Get reaction statistics for a message
  * @param {string} messageId - Discord message ID
+ * @param {string} channelId - Discord channel ID (defaults to DISCORD_CHANNEL_ID)
  * @returns {Promise<Object>} - Reaction statistics
  */
-export async function getMessageReactionStats(messageId) {
+export async function getMessageReactionStats(messageId, channelId = null) {
   try {
     const client = getDiscordClient();
-    const targetChannelId = getTargetChannelId();
 
     if (!client || !client.isReady()) {
       throw new Error('Discord client not ready');
     }
 
-    const channel = await client.channels.fetch(targetChannelId);
+    const channel = await client.channels.fetch(channelId || getTargetChannelId());
     const message = await channel.messages.fetch(messageId);
 
     const reactionStats = {};
@@ -137,62 +178,170 @@ export async function getMessageReactionStats(messageId) {
     return reactionStats;
 
   } catch (error) {
-    console.error('❌ Error getting reaction stats:', error.message);
+    logger.error('❌ Error getting reaction stats:', error.message);
     throw error;
   }
 }
 
 /**
- * Sync all reaction counts for messages in Firestore
- * Useful for initial setup or fixing discrepancies
+ * Fetch every user behind the signup reactions of a message (paging past Discord's 100-user limit)
+ * @param {Object} message - Discord message
+ * @returns {Promise<Map<string, {emoji: string, username: string}>>} - Reacting users by Discord ID
  */
-export async function syncAllReactionCounts() {
-  try {
-    console.log('🔄 Starting reaction count sync...');
-    
-    const { collections } = await import('./firebase.js');
-    
-    // Get all posted Discord messages from Firestore
-    const snapshot = await collections.get(collections.DISCORD_POSTS)
-      .where('status', '==', 'posted')
-      .where('discordMessageId', '!=', null)
-      .get();
-
-    let syncCount = 0;
-
-    for (const doc of snapshot.docs) {
-      const postData = doc.data();
-      const messageId = postData.discordMessageId;
-
-      try {
-        // Get current reaction stats from Discord
-        const reactionStats = await getMessageReactionStats(messageId);
-        
-        // Update Firestore with current counts
-        await doc.ref.update({
-          reactions: reactionStats,
-          lastReactionSync: new Date()
-        });
-
-        syncCount++;
-        console.log(`✅ Synced reactions for message ${messageId}:`, reactionStats);
-
-      } catch (error) {
-        console.warn(`⚠️ Could not sync reactions for message ${messageId}:`, error.message);
+async function fetchSignupReactionUsers(message) {
+  const reactingUsers = new Map();
+
+  for (const reaction of message.reactions.cache.values()) {
+    const emoji = reaction.emoji.name;
+    if (!isSignupEmoji(emoji)) {
+      continue;
+    }
+
+    let after;
+    while (true) {
+      const users = await reaction.users.fetch({ limit: 100, ...(after && { after }) });
+
+      users.filter(user => !user.bot).forEach((user) => {
+        // Someone holding ✅ and a role reaction is signed up for the role
+        if (!reactingUsers.has(user.id) || reactingUsers.get(user.id).emoji === '✅') {
+          reactingUsers.set(user.id, { emoji, username: user.username });
+        }
+      });
+
+      if (users.size < 100) {
+        break;
       }
+      after = users.lastKey();
     }
+  }
 
-    console.log(`🎯 Reaction sync complete. Synced ${syncCount} messages.`);
-    return syncCount;
+  return reactingUsers;
+}
 
-  } catch (error) {
-    console.error('❌ Error syncing reaction counts:', error.message);
-    throw error;
+/**
+ * Reconcile one posted message's signup reactions with its roam
+ * - reacting users missing from signups, guests and the waitlist are signed up
+ * - users the bot last saw reacting (`reactionUsers`) who no longer react are withdrawn
+ * Signups made through the frontend or buttons never had a reaction, so they are left alone.
+ * @param {Object} postDoc - Firestore document of a posted message
+ * @returns {Promise<Object>} - `{ postId, roamId, messageId, added, removed, rejected }`
+ */
+async function reconcilePost(postDoc) {
+  const postData = postDoc.data();
+  const messageId = postData.discordMessageId;
+  const report = { postId: postDoc.id, roamId: postData.roamId, messageId, added: [], removed: [], rejected: [] };
+
+  const client = getDiscordClient();
+  const channel = await client.channels.fetch(postData.discordChannelId || getTargetChannelId());
+  const message = await channel.messages.fetch(messageId);
+  const reactingUsers = await fetchSignupReactionUsers(message);
+
+  const roam = await getScheduledRoam(postData.roamId);
+  if (!roam) {
+    throw new Error(`Roam ${postData.roamId} not found in scheduled roams`);
+  }
+
+  const onRoam = new Set([
+    ...(roam.signups || []),
+    ...(roam.guests || []).map(getGuestId),
+    ...(roam.waitlist || []).map(entry => entry.discordId)
+  ]);
+
+  for (const [discordUserId, { emoji, username }] of reactingUsers) {
+    if (onRoam.has(discordUserId)) {
+      continue;
+    }
+
+    const result = await handleRoamSignup(messageId, discordUserId, username, emoji);
+
+    if (result?.status === 'role_full') {
+      await removeUserReaction(message, emoji, discordUserId);
+      reactingUsers.delete(discordUserId);
+      report.rejected.push({ discordUserId, username, emoji, reason: 'role_full' });
+    } else if (result && result.status !== 'ignored') {
+      report.added.push({ discordUserId, username, emoji, status: result.status });
+    }
   }
+
+  // Without a previous snapshot there is nothing to tell a reaction removal apart from a frontend signup
+  const knownUsers = postData.reactionUsers || {};
+
+  for (const discordUserId of Object.keys(knownUsers)) {
+    if (reactingUsers.has(discordUserId) || !onRoam.has(discordUserId)) {
+      continue;
+    }
+
+    const result = await handleRoamUnsignup(messageId, discordUserId, discordUserId, null);
+
+    if (result?.status === 'withdrawn') {
+      report.removed.push({ discordUserId, removedFrom: result.removedFrom });
+    }
+  }
+
+  const reactions = {};
+  message.reactions.cache.forEach((reaction) => {
+    reactions[reaction.emoji.name] = reaction.count;
+  });
+
+  await postDoc.ref.update({
+    reactions,
+    reactionUsers: Object.fromEntries([...reactingUsers].map(([discordUserId, { emoji }]) => [discordUserId, emoji])),
+    lastReactionSync: new Date()
+  });
+
+  return report;
+}
+
+/**
+ * Reconcile the signup reactions of every posted message with the roams
+ * Runs on startup (to catch reactions made while the bot was offline) and on demand.
+ * @returns {Promise<Object>} - `{ checked, failed, posts: [report] }` - only posts with changes are listed
+ */
+export async function reconcileReactions() {
+  const client = getDiscordClient();
+
+  if (!client || !client.isReady()) {
+    throw new Error('Discord client not ready');
+  }
+
+  logger.info('🔄 Reconciling reactions with roam signups...');
+
+  const snapshot = await collections.get(collections.DISCORD_POSTS)
+    .where('status', '==', 'posted')
+    .get();
+
+  const summary = { checked: 0, failed: 0, posts: [] };
+
+  for (const postDoc of snapshot.docs) {
+    const { discordMessageId, roamId } = postDoc.data();
+    if (!discordMessageId || !roamId) {
+      continue;
+    }
+
+    try {
+      const report = await reconcilePost(postDoc);
+      summary.checked++;
+
+      if (report.added.length || report.removed.length || report.rejected.length) {
+        summary.posts.push(report);
+        logger.info(`🔧 Roam ${report.roamId} (message ${report.messageId}): +${report.added.length} added, -${report.removed.length} removed, ${report.rejected.length} rejected`);
+        report.added.forEach(entry => logger.info(`   + ${entry.username} (${entry.discordUserId}) ${entry.emoji} → ${entry.status}`));
+        report.removed.forEach(entry => logger.info(`   - ${entry.discordUserId} from ${entry.removedFrom}`));
+        report.rejected.forEach(entry => logger.info(`   ✖ ${entry.username} (${entry.discordUserId}) ${entry.emoji} → ${entry.reason}`));
+      }
+
+    } catch (error) {
+      summary.failed++;
+      logger.warn(`⚠️ Could not reconcile reactions for message ${discordMessageId}:`, error.message);
+    }
+  }
+
+  logger.info(`🎯 Reaction reconciliation complete: ${summary.checked} posts checked, ${summary.posts.length} changed, ${summary.failed} failed`);
+  return summary;
 }
 
 export default {
   initializeReactionMonitoring,
   getMessageReactionStats,
-  syncAllReactionCounts
+  reconcileReactions
 };
\ No newline at end of file
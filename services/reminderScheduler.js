@@ -0,0 +1,181 @@
+import { collections } from './firebase.js';
+import { getRoamsRef } from './roamStore.js';
+import { getGuestId } from './roster.js';
+import { sendDirectMessage, sendChannelMessage } from './discordService.js';
+import { isLeader } from './leaderElection.js';
+import { getConfig } from './config.js';
+import { createLogger } from './logger.js';
+import { trackWork } from './shutdown.js';
+
+const logger = createLogger('reminderScheduler');
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+let reminderInterval = null;
+
+/**
+ * Get reminder offsets (minutes before start), largest first
+ * @returns {number[]}
+ */
+function getReminderOffsets() {
+  return getConfig().reminders.offsetsMinutes;
+}
+
+/**
+ * Get the start time of a roam from its `date` and `time` (UTC)
+ * @param {Object} roam - Scheduled roam
+ * @returns {number|null} - Start time in ms, or null if it can't be parsed
+ */
+export function getRoamStartTime(roam) {
+  if (!roam.date || !roam.time) {
+    return null;
+  }
+
+  const start = Date.parse(`${roam.date}T${roam.time}:00Z`);
+  return Number.isNaN(start) ? null : start;
+}
+
+/**
+ * Start the reminder scheduler
+ */
+export function initializeReminderScheduler() {
+  if (!getConfig().reminders.enabled) {
+    logger.info('⏰ Roam reminders disabled (REMINDERS_ENABLED=false)');
+    return;
+  }
+
+  logger.info(`⏰ Setting up roam reminders at ${getReminderOffsets().join(', ')} minutes before start...`);
+
+  reminderInterval = setInterval(() => {
+    trackWork('reminders', checkReminders, '❌ Error checking roam reminders:');
+  }, CHECK_INTERVAL_MS);
+
+  // Catch up on anything that came due while we were offline
+  trackWork('reminders', checkReminders, '❌ Error checking roam reminders:');
+
+  logger.info('✅ Roam reminder scheduler initialized');
+}
+
+/**
+ * Stop the reminder scheduler
+ */
+export function stopReminderScheduler() {
+  if (reminderInterval) {
+    clearInterval(reminderInterval);
+    reminderInterval = null;
+    logger.info('🛑 Stopped roam reminder scheduler');
+  }
+}
+
+/**
+ * Send every reminder that is due and hasn't been sent yet
+ * Sent reminders are recorded in `roam_reminders/{roamId}` so restarts don't resend them.
+ * @returns {Promise<number>} - Number of reminders sent
+ */
+export async function checkReminders() {
+  // Only the leader instance sends reminders
+  if (!isLeader()) {
+    return 0;
+  }
+
+  const roamDoc = await getRoamsRef().get();
+  const now = Date.now();
+  const offsets = getReminderOffsets();
+  let sentCount = 0;
+
+  for (const roam of roamDoc.data()?.scheduled || []) {
+    const start = getRoamStartTime(roam);
+
+    // Only roams that haven't started yet and are inside the largest reminder window
+    if (!start || roam.status === 'cancelled' || now >= start || now < start - offsets[0] * 60 * 1000) {
+      continue;
+    }
+
+    const reminderRef = collections.get(collections.ROAM_REMINDERS).doc(String(roam.id));
+    const reminderDoc = await reminderRef.get();
+    const sent = reminderDoc.data()?.sent || {};
+
+    const due = offsets.filter(offset => now >= start - offset * 60 * 1000 && !sent[offset]);
+    if (due.length === 0) {
+      continue;
+    }
+
+    // If several came due at once (e.g. after downtime) only send the closest one
+    const offset = Math.min(...due);
+
+    // Record first so a crash mid-send can't cause duplicate reminders
+    await reminderRef.set({
+      roamId: String(roam.id),
+      sent: Object.fromEntries(due.map(entry => [entry, new Date()])),
+      updatedAt: new Date()
+    }, { merge: true });
+
+    await sendRoamReminder(roam, start, offset);
+    sentCount++;
+  }
+
+  return sentCount;
+}
+
+/**
+ * DM everyone on a roam and ping them in the roam's channel
+ * Users with `reminderOptOut: true` on their users document are skipped.
+ * @param {Object} roam - Scheduled roam
+ * @param {number} start - Roam start time in ms
+ * @param {number} offset - Reminder offset in minutes
+ */
+async function sendRoamReminder(roam, start, offset) {
+  const participantIds = [...new Set([
+    ...(roam.signups || []),
+    ...(roam.guests || []).map(getGuestId)
+  ])].filter(Boolean);
+
+  const recipients = [];
+  for (const discordId of participantIds) {
+    const userDoc = await collections.get(collections.USERS).doc(discordId).get();
+    if (!userDoc.exists || !userDoc.data().reminderOptOut) {
+      recipients.push(discordId);
+    }
+  }
+
+  const postQuery = await collections.get(collections.DISCORD_POSTS)
+    .where('roamId', '==', roam.id)
+    .where('status', '==', 'posted')
+    .limit(1)
+    .get();
+  const postData = postQuery.empty ? null : postQuery.docs[0].data();
+
+  // The reminder may go out late (several came due at once), so count from now rather than the offset
+  const unix = Math.floor(start / 1000);
+  const minutesLeft = Math.max(Math.round((start - Date.now()) / 60000), 1);
+  const text = `⏰ **${roam.title}** starts in ${minutesLeft} minute${minutesLeft === 1 ? '' : 's'} (<t:${unix}:t>, <t:${unix}:R>)`;
+
+  logger.info(`⏰ Sending ${offset}-minute reminder for roam ${roam.id} to ${recipients.length} of ${participantIds.length} participants`);
+
+  for (const discordId of recipients) {
+    try {
+      await sendDirectMessage(discordId, `${text}${postData?.discordUrl ? `\n${postData.discordUrl}` : ''}`);
+    } catch (error) {
+      logger.warn(`⚠️ Could not DM reminder to ${discordId}:`, error.message);
+    }
+  }
+
+  if (postData?.discordChannelId && recipients.length > 0) {
+    try {
+      await sendChannelMessage(
+        postData.discordChannelId,
+        `${text}\n${recipients.map(discordId => `<@${discordId}>`).join(' ')}`,
+        postData.discordMessageId
+      );
+    } catch (error) {
+      logger.warn(`⚠️ Could not post channel reminder for roam ${roam.id}:`, error.message);
+    }
+  }
+}
+
+export default {
+  initializeReminderScheduler,
+  stopReminderScheduler,
+  checkReminders,
+  getRoamStartTime
+};
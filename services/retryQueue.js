@@ -0,0 +1,317 @@
+import { collections } from './firebase.js';
+import { isLeader } from './leaderElection.js';
+import { getConfig } from './config.js';
+import { createLogger, getCorrelationId, newCorrelationId, runWithContext } from './logger.js';
+import { trackWork } from './shutdown.js';
+
+const logger = createLogger('retryQueue');
+
+// Operations the queue knows how to re-run (handlers are registered by their owners)
+export const RETRY_TYPES = {
+  POST: 'post',
+  UPDATE: 'update',
+  METADATA: 'metadata',
+  REMOVAL: 'removal'
+};
+
+export const RETRY_STATUS = {
+  QUEUED: 'queued',
+  DEAD: 'dead'
+};
+
+const MAX_DELAY_MS = 60 * 60 * 1000;
+const CHECK_INTERVAL_MS = 15 * 1000;
+
+// Discord API errors a retry can't fix (Unknown Channel / Message, Missing Access / Permissions)
+const PERMANENT_DISCORD_ERROR_CODES = [10003, 10008, 50001, 50013];
+
+const handlers = new Map();
+let retryInterval = null;
+let processing = false;
+
+/**
+ * Register the function that re-runs one type of operation
+ * @param {string} type - One of RETRY_TYPES
+ * @param {Function} handler - `(postId, payload) => Promise`, throws if the operation failed again
+ */
+export function registerRetryHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Get the maximum number of attempts before an operation is dead-lettered
+ * @returns {number}
+ */
+function getMaxAttempts() {
+  return getConfig().retry.maxAttempts;
+}
+
+/**
+ * Get the delay before the next attempt: exponential backoff, or Discord's retry-after if longer
+ * @param {number} attempts - Attempts made so far
+ * @param {Error} error - Error of the last attempt
+ * @returns {number} - Delay in ms
+ */
+function getRetryDelay(attempts, error) {
+  const baseMs = getConfig().retry.baseDelaySeconds * 1000;
+  const backoff = Math.min(baseMs * 2 ** Math.max(attempts - 1, 0), MAX_DELAY_MS);
+
+  return Math.max(backoff, getRateLimitDelay(error));
+}
+
+/**
+ * Read the rate-limit delay from a Discord error
+ * discord.js RateLimitError has `retryAfter` (ms); a raw 429 body has `retry_after` (seconds)
+ * @param {Error} error - Error of the last attempt
+ * @returns {number} - Delay in ms (0 if not rate limited)
+ */
+function getRateLimitDelay(error) {
+  if (typeof error?.retryAfter === 'number') {
+    return error.retryAfter;
+  }
+  if (typeof error?.rawError?.retry_after === 'number') {
+    return error.rawError.retry_after * 1000;
+  }
+  return 0;
+}
+
+/**
+ * Check whether retrying an error can't help
+ * @param {Error} error - Error of the last attempt
+ * @returns {boolean}
+ */
+function isPermanentError(error) {
+  return PERMANENT_DISCORD_ERROR_CODES.includes(error?.code);
+}
+
+/**
+ * Get a reference to a queue entry - one per operation and post
+ * @param {string} type - One of RETRY_TYPES
+ * @param {string} postId - discord_posts document ID
+ */
+function getRetryRef(type, postId) {
+  return collections.get(collections.RETRY_QUEUE).doc(`${type}_${postId}`);
+}
+
+/**
+ * Queue a failed operation for retry
+ * A failure while the operation is already queued only records the new error.
+ * @param {string} type - One of RETRY_TYPES
+ * @param {string} postId - discord_posts document ID
+ * @param {Error} error - Error of the failed attempt
+ * @param {Object} payload - Data the handler needs to re-run the operation, if any
+ */
+export async function enqueueRetry(type, postId, error, payload = null) {
+  const retryRef = getRetryRef(type, postId);
+  const existing = await retryRef.get();
+  const now = new Date();
+
+  if (existing.exists && existing.data().status === RETRY_STATUS.QUEUED) {
+    await retryRef.update({ lastError: error.message, updatedAt: now, ...(payload && { payload }) });
+    return;
+  }
+
+  const permanent = isPermanentError(error);
+  const entry = {
+    type,
+    postId,
+    status: permanent ? RETRY_STATUS.DEAD : RETRY_STATUS.QUEUED,
+    attempts: 1,
+    maxAttempts: getMaxAttempts(),
+    lastError: error.message,
+    lastErrorCode: error.code ?? null,
+    payload,
+    correlationId: getCorrelationId(),
+    nextAttemptAt: permanent ? null : new Date(now.getTime() + getRetryDelay(1, error)),
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await retryRef.set(entry);
+
+  if (permanent) {
+    logger.warn(`☠️ ${type} for post ${postId} failed permanently (${error.message}) - dead-lettered`);
+  } else {
+    logger.info(`🔁 Queued ${type} retry for post ${postId} at ${entry.nextAttemptAt.toISOString()}`);
+  }
+}
+
+/**
+ * Drop a queued operation that has since succeeded elsewhere
+ * @param {string} type - One of RETRY_TYPES
+ * @param {string} postId - discord_posts document ID
+ */
+export async function resolveRetry(type, postId) {
+  await getRetryRef(type, postId).delete();
+}
+
+/**
+ * Check whether an operation is waiting in the queue
+ * @param {string} type - One of RETRY_TYPES
+ * @param {string} postId - discord_posts document ID
+ * @returns {Promise<boolean>}
+ */
+export async function hasQueuedRetry(type, postId) {
+  const retryDoc = await getRetryRef(type, postId).get();
+  return retryDoc.exists && retryDoc.data().status === RETRY_STATUS.QUEUED;
+}
+
+/**
+ * Start the retry worker
+ */
+export function initializeRetryQueue() {
+  logger.info(`🔁 Setting up retry queue (max ${getMaxAttempts()} attempts)...`);
+
+  retryInterval = setInterval(() => {
+    trackWork('retryQueue', processRetryQueue, '❌ Error processing retry queue:');
+  }, CHECK_INTERVAL_MS);
+
+  // Pick up anything that came due while we were offline
+  trackWork('retryQueue', processRetryQueue, '❌ Error processing retry queue:');
+
+  logger.info('✅ Retry queue initialized');
+}
+
+/**
+ * Stop the retry worker
+ */
+export function stopRetryQueue() {
+  if (retryInterval) {
+    clearInterval(retryInterval);
+    retryInterval = null;
+    logger.info('🛑 Stopped retry queue');
+  }
+}
+
+/**
+ * Run every queued operation that is due
+ * @returns {Promise<number>} - Number of operations attempted
+ */
+export async function processRetryQueue() {
+  // Only the leader works the queue; skip if the previous run is still going
+  if (processing || !isLeader()) {
+    return 0;
+  }
+  processing = true;
+
+  try {
+    const snapshot = await collections.get(collections.RETRY_QUEUE)
+      .where('status', '==', RETRY_STATUS.QUEUED)
+      .get();
+
+    const now = Date.now();
+    const due = snapshot.docs.filter(doc => {
+      const nextAttemptAt = doc.data().nextAttemptAt;
+      return !nextAttemptAt || nextAttemptAt.toDate().getTime() <= now;
+    });
+
+    for (const doc of due) {
+      await runRetry(doc);
+    }
+
+    return due.length;
+
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Attempt one queued operation, then delete, reschedule or dead-letter it
+ * @param {Object} retryDoc - Queue entry document
+ * @returns {Promise<boolean>} - Whether the operation succeeded
+ */
+async function runRetry(retryDoc) {
+  const { type, postId, payload = null, attempts = 0, maxAttempts = getMaxAttempts(), correlationId } = retryDoc.data();
+  const handler = handlers.get(type);
+
+  if (!handler) {
+    logger.warn(`⚠️ No retry handler registered for "${type}" - skipping ${retryDoc.id}`);
+    return false;
+  }
+
+  try {
+    // Keep the correlation ID of the operation that failed, so its retries can be traced back to it
+    await runWithContext({ correlationId: correlationId || newCorrelationId('retry'), postId }, () => handler(postId, payload));
+    await retryDoc.ref.delete();
+
+    logger.info(`✅ Retry of ${type} for post ${postId} succeeded (attempt ${attempts + 1})`);
+    return true;
+
+  } catch (error) {
+    const attempt = attempts + 1;
+    const dead = attempt >= maxAttempts || isPermanentError(error);
+
+    await retryDoc.ref.update({
+      status: dead ? RETRY_STATUS.DEAD : RETRY_STATUS.QUEUED,
+      attempts: attempt,
+      lastError: error.message,
+      lastErrorCode: error.code ?? null,
+      nextAttemptAt: dead ? null : new Date(Date.now() + getRetryDelay(attempt, error)),
+      updatedAt: new Date()
+    });
+
+    if (dead) {
+      logger.warn(`☠️ ${type} for post ${postId} failed after ${attempt} attempts (${error.message}) - dead-lettered`);
+    } else {
+      logger.warn(`⚠️ Retry ${attempt}/${maxAttempts} of ${type} for post ${postId} failed:`, error.message);
+    }
+    return false;
+  }
+}
+
+/**
+ * List queue entries, newest first
+ * @param {string} status - Optional RETRY_STATUS filter
+ * @returns {Promise<Array>} - Queue entries
+ */
+export async function listRetries(status = null) {
+  let query = collections.get(collections.RETRY_QUEUE);
+  if (status) {
+    query = query.where('status', '==', status);
+  }
+
+  const snapshot = await query.get();
+
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => b.updatedAt.toMillis() - a.updatedAt.toMillis());
+}
+
+/**
+ * Re-run a queued or dead-lettered operation now, with a fresh set of attempts
+ * @param {string} retryId - Queue entry ID
+ * @returns {Promise<Object|null>} - `{ id, succeeded }`, or null if the entry doesn't exist
+ */
+export async function rerunRetry(retryId) {
+  const retryRef = collections.get(collections.RETRY_QUEUE).doc(retryId);
+
+  if (!(await retryRef.get()).exists) {
+    return null;
+  }
+
+  await retryRef.update({
+    status: RETRY_STATUS.QUEUED,
+    attempts: 0,
+    maxAttempts: getMaxAttempts(),
+    nextAttemptAt: null,
+    updatedAt: new Date()
+  });
+
+  const retryDoc = await retryRef.get();
+  return { id: retryId, succeeded: await runRetry(retryDoc) };
+}
+
+export default {
+  RETRY_TYPES,
+  RETRY_STATUS,
+  registerRetryHandler,
+  enqueueRetry,
+  resolveRetry,
+  hasQueuedRetry,
+  initializeRetryQueue,
+  stopRetryQueue,
+  processRetryQueue,
+  listRetries,
+  rerunRetry
+};
@@ -0,0 +1,96 @@
+import { collections, getDb } from './firebase.js';
+import { observeFirestoreWrite } from './metrics.js';
+
+/**
+ * Get a reference to the gameData/roams document
+ */
+export function getRoamsRef() {
+  return collections.get(collections.GAME_DATA).doc('roams');
+}
+
+/**
+ * Find a scheduled roam in gameData/roams
+ * @param {string} roamId - Roam ID
+ * @returns {Promise<Object|null>} - The roam, or null if not found
+ */
+export async function getScheduledRoam(roamId) {
+  if (!roamId) {
+    return null;
+  }
+
+  const roamDoc = await getRoamsRef().get();
+  return (roamDoc.data()?.scheduled || []).find(roam => roam.id === roamId) || null;
+}
+
+/**
+ * Atomically read-modify-write one roam in the `scheduled` array
+ *
+ * Runs in a Firestore transaction, so concurrent signups can't overwrite each other -
+ * a conflicting write makes Firestore retry `mutate` against fresh data. `mutate` may
+ * therefore run more than once and must only change the roam it is given.
+ *
+ * @param {string} roamId - Roam ID
+ * @param {Function} mutate - `(roam) => ({ changed, result })`, mutating `roam` in place
+ * @returns {Promise<Object|null>} - `{ roam, changed, result }`, or null if the roam doesn't exist
+ */
+export async function updateScheduledRoam(roamId, mutate) {
+  const roamRef = getRoamsRef();
+
+  return observeFirestoreWrite('roam_transaction', () => getDb().runTransaction(async (transaction) => {
+    const roamDoc = await transaction.get(roamRef);
+
+    if (!roamDoc.exists) {
+      throw new Error('gameData/roams document not found');
+    }
+
+    const scheduledRoams = roamDoc.data().scheduled || [];
+    const roamIndex = scheduledRoams.findIndex(roam => roam.id === roamId);
+
+    if (roamIndex === -1) {
+      return null;
+    }
+
+    const roam = scheduledRoams[roamIndex];
+    const { changed = true, result = null } = mutate(roam) || {};
+
+    if (changed) {
+      scheduledRoams[roamIndex] = roam;
+      transaction.update(roamRef, {
+        scheduled: scheduledRoams,
+        lastUpdated: new Date()
+      });
+    }
+
+    return { roam, changed, result };
+  }));
+}
+
+/**
+ * Add a roam to the `scheduled` array unless a roam with its ID is already there
+ * @param {Object} roam - Roam to add
+ * @returns {Promise<boolean>} - Whether the roam was added
+ */
+export async function addScheduledRoam(roam) {
+  const roamRef = getRoamsRef();
+
+  return observeFirestoreWrite('roam_add', () => getDb().runTransaction(async (transaction) => {
+    const roamDoc = await transaction.get(roamRef);
+
+    if (!roamDoc.exists) {
+      throw new Error('gameData/roams document not found');
+    }
+
+    const scheduledRoams = roamDoc.data().scheduled || [];
+    if (scheduledRoams.some(existing => existing.id === roam.id)) {
+      return false;
+    }
+
+    transaction.update(roamRef, {
+      scheduled: [...scheduledRoams, roam],
+      lastUpdated: new Date()
+    });
+    return true;
+  }));
+}
+
+export default { getRoamsRef, getScheduledRoam, updateScheduledRoam, addScheduledRoam };
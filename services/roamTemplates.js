@@ -0,0 +1,492 @@
+import { collections } from './firebase.js';
+import { addScheduledRoam } from './roamStore.js';
+import { getComposition } from './compositions.js';
+import { createDiscordPost } from './firestoreListeners.js';
+import { isLeader } from './leaderElection.js';
+import { getConfig } from './config.js';
+import { createLogger, runWithContext, newCorrelationId } from './logger.js';
+import { trackWork } from './shutdown.js';
+
+const logger = createLogger('roamTemplates');
+
+const CHECK_INTERVAL_MS = 5 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const SNOWFLAKE_PATTERN = /^\d{17,20}$/;
+
+// Indexed like Date#getUTCDay
+export const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+let templateInterval = null;
+
+/**
+ * Parse a weekly recurrence rule
+ * Accepts `{ days: ['tue', 'thu'], time: '20:00' }` or a string such as "every Tue/Thu 20:00 UTC".
+ * Times are UTC.
+ * @param {string|Object} value - Recurrence rule
+ * @returns {{recurrence: Object|null, error: string|null}} - `recurrence` is `{ days, time }` with days in week order
+ */
+export function parseRecurrence(value) {
+  let days;
+  let time;
+
+  if (typeof value === 'string') {
+    const words = value.trim().toLowerCase().replace(/^every\s+/, '').replace(/\s+utc$/, '').split(/\s+/);
+    time = words.pop();
+    days = words.join(' ').split(/[\s,/]+/).filter(Boolean);
+  } else if (value && typeof value === 'object') {
+    days = Array.isArray(value.days) ? value.days.map(day => String(day).trim().toLowerCase()) : [];
+    time = value.time;
+  } else {
+    return { recurrence: null, error: 'recurrence is required, e.g. "Tue/Thu 20:00" or { days: ["tue", "thu"], time: "20:00" }' };
+  }
+
+  const dayNumbers = days.map(day => DAY_NAMES.indexOf(day.slice(0, 3)));
+  if (days.length === 0 || dayNumbers.includes(-1)) {
+    return { recurrence: null, error: `recurrence days must be weekdays (${DAY_NAMES.join(', ')})` };
+  }
+  if (!TIME_PATTERN.test(time || '')) {
+    return { recurrence: null, error: 'recurrence time must be HH:MM (24h, UTC)' };
+  }
+
+  return {
+    recurrence: { days: [...new Set(dayNumbers)].sort().map(day => DAY_NAMES[day]), time },
+    error: null
+  };
+}
+
+/**
+ * Check a YYYY-MM-DD date
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isDate(value) {
+  return typeof value === 'string' && DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Check an optional string field
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for strings and empty values
+ */
+function isOptionalString(value) {
+  return value === undefined || value === null || typeof value === 'string';
+}
+
+/**
+ * Read an optional positive whole number
+ * @param {*} value - Value to read
+ * @returns {number|null|undefined} - The number, null if empty, undefined if invalid
+ */
+function optionalPositiveInt(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : undefined;
+}
+
+/**
+ * Validate a template and keep only the fields a template has
+ * For updates, pass the stored template merged with the changes.
+ * @param {Object} input - Template fields
+ * @returns {Promise<{template: Object, errors: string[]}>}
+ */
+export async function validateTemplate(input) {
+  const errors = [];
+  const title = typeof input.title === 'string' ? input.title.trim() : '';
+  const category = typeof input.category === 'string' ? input.category.trim().toLowerCase() : '';
+  const description = typeof input.description === 'string' ? input.description : '';
+
+  if (!title || title.length > 100) {
+    errors.push('title is required (at most 100 characters)');
+  }
+  if (!category) {
+    errors.push('category is required');
+  }
+  if (description.length > 1000) {
+    errors.push('description can be at most 1000 characters');
+  }
+
+  const { recurrence, error } = parseRecurrence(input.recurrence);
+  if (error) {
+    errors.push(error);
+  }
+
+  const numbers = {};
+  for (const field of ['maxSignups', 'durationMinutes', 'leadTimeHours']) {
+    numbers[field] = optionalPositiveInt(input[field]);
+    if (numbers[field] === undefined) {
+      errors.push(`${field} must be a positive whole number`);
+    }
+  }
+
+  const exceptions = Array.isArray(input.exceptions) ? input.exceptions : [];
+  if (input.exceptions !== undefined && input.exceptions !== null && !Array.isArray(input.exceptions)) {
+    errors.push('exceptions must be an array of YYYY-MM-DD dates');
+  } else if (!exceptions.every(isDate)) {
+    errors.push('exceptions must be YYYY-MM-DD dates');
+  }
+
+  for (const field of ['startDate', 'endDate']) {
+    if (input[field] && !isDate(input[field])) {
+      errors.push(`${field} must be a YYYY-MM-DD date`);
+    }
+  }
+
+  if (input.voiceChannelId && !SNOWFLAKE_PATTERN.test(input.voiceChannelId)) {
+    errors.push('voiceChannelId must be a Discord channel ID');
+  }
+
+  if (!isOptionalString(input.leaderName) || input.leaderName?.length > 100) {
+    errors.push('leaderName must be a string (at most 100 characters)');
+  }
+
+  // Roams scheduled from the template are posted with this composition's signup roles
+  if (!isOptionalString(input.composition)) {
+    errors.push('composition must be a composition ID');
+  } else if (input.composition && !await getComposition(input.composition)) {
+    errors.push(`composition ${input.composition} not found`);
+  }
+
+  return {
+    template: {
+      title,
+      category,
+      description,
+      composition: input.composition || null,
+      maxSignups: numbers.maxSignups ?? null,
+      durationMinutes: numbers.durationMinutes ?? null,
+      voiceChannelId: input.voiceChannelId || null,
+      leaderName: input.leaderName || null,
+      recurrence,
+      leadTimeHours: numbers.leadTimeHours ?? null,
+      exceptions: [...new Set(exceptions.filter(isDate))].sort(),
+      startDate: input.startDate || null,
+      endDate: input.endDate || null
+    },
+    errors
+  };
+}
+
+/**
+ * List the occurrences of a template that start inside a time range, skipping exceptions
+ * @param {Object} template - Roam template
+ * @param {number} from - Range start (ms, exclusive)
+ * @param {number} to - Range end (ms, inclusive)
+ * @returns {Array<{date: string, time: string, start: number}>} - Soonest first
+ */
+export function getOccurrences(template, from, to) {
+  const { days, time } = template.recurrence;
+  const exceptions = new Set(template.exceptions || []);
+  const occurrences = [];
+
+  for (let day = Math.floor(from / DAY_MS) * DAY_MS; day <= to; day += DAY_MS) {
+    const date = new Date(day).toISOString().slice(0, 10);
+    const start = Date.parse(`${date}T${time}:00Z`);
+
+    if (!days.includes(DAY_NAMES[new Date(day).getUTCDay()]) || exceptions.has(date) ||
+        (template.startDate && date < template.startDate) || (template.endDate && date > template.endDate) ||
+        start <= from || start > to) {
+      continue;
+    }
+
+    occurrences.push({ date, time, start });
+  }
+
+  return occurrences;
+}
+
+/**
+ * Start the template scheduler
+ */
+export function initializeTemplateScheduler() {
+  if (!getConfig().templates.enabled) {
+    logger.info('🔁 Roam templates disabled (ROAM_TEMPLATES_ENABLED=false)');
+    return;
+  }
+
+  logger.info(`🔁 Setting up roam template scheduler (${getConfig().templates.leadTimeHours}h lead time)...`);
+
+  templateInterval = setInterval(runCheck, CHECK_INTERVAL_MS);
+
+  // Catch up on occurrences that came into range while we were offline
+  runCheck();
+
+  logger.info('✅ Roam template scheduler initialized');
+}
+
+/**
+ * Stop the template scheduler
+ */
+export function stopTemplateScheduler() {
+  if (templateInterval) {
+    clearInterval(templateInterval);
+    templateInterval = null;
+    logger.info('🛑 Stopped roam template scheduler');
+  }
+}
+
+/**
+ * Run one template check as tracked work
+ */
+function runCheck() {
+  trackWork('templates', () => runWithContext({ correlationId: newCorrelationId('template') }, checkTemplates), '❌ Error checking roam templates:');
+}
+
+/**
+ * Schedule every occurrence of an active template that is within its lead time
+ * @returns {Promise<number>} - Number of roams scheduled
+ */
+export async function checkTemplates() {
+  // Only the leader schedules roams
+  if (!isLeader()) {
+    return 0;
+  }
+
+  const snapshot = await collections.get(collections.ROAM_TEMPLATES)
+    .where('paused', '==', false)
+    .get();
+  let scheduled = 0;
+
+  for (const templateDoc of snapshot.docs) {
+    try {
+      scheduled += await scheduleTemplate(templateDoc.ref, templateDoc.data());
+    } catch (error) {
+      logger.error(`❌ Error scheduling roam template ${templateDoc.id}:`, error.message);
+    }
+  }
+
+  return scheduled;
+}
+
+/**
+ * Schedule the upcoming occurrences of one template
+ * `lastScheduledDate` is only moved past an occurrence once its roam and post exist, so an
+ * interrupted run is finished by the next one, and roams deleted afterwards are not recreated.
+ * @param {Object} templateRef - Firestore reference to the template
+ * @param {Object} template - Template data
+ * @returns {Promise<number>} - Number of roams scheduled
+ */
+async function scheduleTemplate(templateRef, template) {
+  const now = Date.now();
+  const leadTimeHours = template.leadTimeHours || getConfig().templates.leadTimeHours;
+  const occurrences = getOccurrences(template, now, now + leadTimeHours * 60 * 60 * 1000)
+    .filter(occurrence => !template.lastScheduledDate || occurrence.date > template.lastScheduledDate);
+
+  let scheduled = 0;
+
+  for (const occurrence of occurrences) {
+    scheduled += await scheduleOccurrence(templateRef.id, template, occurrence) ? 1 : 0;
+    await templateRef.update({
+      lastScheduledDate: occurrence.date,
+      lastScheduledAt: new Date()
+    });
+  }
+
+  return scheduled;
+}
+
+/**
+ * Add one occurrence to gameData/roams and create its discord_posts document, like /roam create
+ * The roam ID is `<templateId>-<date>` and the post is stored under the same ID, so neither can be created twice.
+ * @param {string} templateId - Template ID
+ * @param {Object} template - Template data
+ * @param {Object} occurrence - From getOccurrences
+ * @returns {Promise<boolean>} - Whether the roam or its post was created (false if both already existed)
+ */
+async function scheduleOccurrence(templateId, template, occurrence) {
+  const roamId = `${templateId}-${occurrence.date}`;
+
+  const roam = {
+    id: roamId,
+    category: template.category,
+    createdAt: new Date().toISOString(),
+    createdBy: template.createdBy || null,
+    date: occurrence.date,
+    time: occurrence.time,
+    title: template.title,
+    signups: [],
+    templateId
+  };
+  if (template.composition) roam.composition = template.composition;
+  if (template.maxSignups) roam.maxSignups = template.maxSignups;
+  if (template.durationMinutes) roam.durationMinutes = template.durationMinutes;
+  if (template.voiceChannelId) roam.voiceChannelId = template.voiceChannelId;
+
+  // Either may already exist from a run that stopped halfway - only what is missing is created
+  const added = await addScheduledRoam(roam);
+
+  // The post is keyed by the roam ID, so a second attempt can't post the roam twice
+  const leaderName = template.leaderName || 'Bonfire';
+  const postId = await createDiscordPost({
+    title: template.title,
+    description: template.description || '',
+    author: leaderName,
+    authorId: template.createdBy || null,
+    roamId,
+    templateId,
+    roamDetails: {
+      type: template.category,
+      datetime: `${occurrence.date}T${occurrence.time}:00Z`,
+      leader: leaderName,
+      ...(template.description && { description: template.description })
+    }
+  }, { postId: roamId });
+
+  if (!postId) {
+    return added;
+  }
+
+  logger.info(`🔁 Scheduled roam ${roamId} (post ${postId}) from template ${templateId}`);
+  return true;
+}
+
+/**
+ * List all templates
+ * @returns {Promise<Object[]>} - Templates with their `id`
+ */
+export async function listTemplates() {
+  const snapshot = await collections.get(collections.ROAM_TEMPLATES).get();
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+/**
+ * Get one template
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Object|null>} - Template with its `id`, or null if not found
+ */
+export async function getTemplate(templateId) {
+  const templateDoc = await collections.get(collections.ROAM_TEMPLATES).doc(templateId).get();
+  return templateDoc.exists ? { id: templateDoc.id, ...templateDoc.data() } : null;
+}
+
+/**
+ * Create a template from validated fields
+ * @param {Object} template - From validateTemplate
+ * @param {Object} user - `{ id, username }` of the officer creating it
+ * @returns {Promise<Object>} - The stored template with its `id`
+ */
+export async function createTemplate(template, user) {
+  const data = {
+    ...template,
+    leaderName: template.leaderName || user.username || null,
+    paused: false,
+    lastScheduledDate: null,
+    createdBy: user.id,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+
+  const docRef = await collections.get(collections.ROAM_TEMPLATES).add(data);
+  logger.info(`🔁 Created roam template ${docRef.id} (${template.recurrence.days.join('/')} ${template.recurrence.time} UTC) by ${user.id}`);
+
+  return { id: docRef.id, ...data };
+}
+
+/**
+ * Replace a template's fields with validated ones (roams already scheduled are left as they are)
+ * @param {string} templateId - Template ID
+ * @param {Object} template - From validateTemplate
+ * @param {string} updatedBy - Discord ID of the officer
+ * @returns {Promise<Object|null>} - The updated template, or null if not found
+ */
+export async function updateTemplate(templateId, template, updatedBy) {
+  const templateRef = collections.get(collections.ROAM_TEMPLATES).doc(templateId);
+  const templateDoc = await templateRef.get();
+
+  if (!templateDoc.exists) {
+    return null;
+  }
+
+  await templateRef.update({ ...template, updatedBy, updatedAt: new Date() });
+  logger.info(`🔁 Updated roam template ${templateId} by ${updatedBy}`);
+
+  return getTemplate(templateId);
+}
+
+/**
+ * Pause or resume a series
+ * Occurrences that came into range while paused are not back-filled once they have started.
+ * @param {string} templateId - Template ID
+ * @param {boolean} paused - Whether to pause
+ * @param {string} changedBy - Discord ID of the officer
+ * @returns {Promise<Object|null>} - The updated template, or null if not found
+ */
+export async function setTemplatePaused(templateId, paused, changedBy) {
+  const templateRef = collections.get(collections.ROAM_TEMPLATES).doc(templateId);
+  const templateDoc = await templateRef.get();
+
+  if (!templateDoc.exists) {
+    return null;
+  }
+
+  await templateRef.update({
+    paused,
+    pausedBy: paused ? changedBy : null,
+    pausedAt: paused ? new Date() : null,
+    updatedAt: new Date()
+  });
+  logger.info(`🔁 ${paused ? 'Paused' : 'Resumed'} roam template ${templateId} by ${changedBy}`);
+
+  return getTemplate(templateId);
+}
+
+/**
+ * Skip one date of a series
+ * A roam already scheduled for that date is not removed - cancel it with /roam cancel.
+ * @param {string} templateId - Template ID
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} changedBy - Discord ID of the officer
+ * @returns {Promise<Object|null>} - The updated template, or null if not found
+ */
+export async function addTemplateException(templateId, date, changedBy) {
+  const template = await getTemplate(templateId);
+
+  if (!template) {
+    return null;
+  }
+
+  const exceptions = [...new Set([...(template.exceptions || []), date])].sort();
+  await collections.get(collections.ROAM_TEMPLATES).doc(templateId).update({ exceptions, updatedAt: new Date() });
+  logger.info(`🔁 Roam template ${templateId} will skip ${date} (by ${changedBy})`);
+
+  return { ...template, exceptions };
+}
+
+/**
+ * Delete a template (roams already scheduled are kept)
+ * @param {string} templateId - Template ID
+ * @returns {Promise<boolean>} - Whether it existed
+ */
+export async function deleteTemplate(templateId) {
+  const templateRef = collections.get(collections.ROAM_TEMPLATES).doc(templateId);
+  const templateDoc = await templateRef.get();
+
+  if (!templateDoc.exists) {
+    return false;
+  }
+
+  await templateRef.delete();
+  logger.info(`🗑️ Deleted roam template ${templateId}`);
+  return true;
+}
+
+export default {
+  DAY_NAMES,
+  parseRecurrence,
+  validateTemplate,
+  getOccurrences,
+  initializeTemplateScheduler,
+  stopTemplateScheduler,
+  checkTemplates,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  setTemplatePaused,
+  addTemplateException,
+  deleteTemplate
+};
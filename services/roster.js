@@ -0,0 +1,203 @@
+import { collections, getDb } from './firebase.js';
+import { userCache } from './userCache.js';
+
+/**
+ * Get the Discord ID of a guest entry
+ * Handles both old format (string) and new format (object)
+ * @param {string|Object} guest - Guest entry from a roam
+ * @returns {string}
+ */
+export function getGuestId(guest) {
+  return typeof guest === 'string' ? guest : guest.discordId;
+}
+
+/**
+ * Count everyone on a roam's roster (registered signups and guests)
+ * @param {Object} roam - Scheduled roam
+ * @returns {number}
+ */
+export function getRosterSize(roam) {
+  return (roam.signups || []).length + (roam.guests || []).length;
+}
+
+/**
+ * Check whether a roam's roster has reached its optional `maxSignups` cap
+ * @param {Object} roam - Scheduled roam
+ * @returns {boolean}
+ */
+export function isRosterFull(roam) {
+  const maxSignups = Number(roam.maxSignups) || 0;
+  return maxSignups > 0 && getRosterSize(roam) >= maxSignups;
+}
+
+/**
+ * Move the first eligible waitlist entry onto the roster
+ * An entry waiting for a role is only eligible once that role has an open slot.
+ * Mutates the roam in place.
+ * @param {Object} roam - Scheduled roam
+ * @param {Object|null} composition - Composition stored on the Discord post
+ * @returns {Object|null} - The promoted waitlist entry
+ */
+export function promoteFromWaitlist(roam, composition = null) {
+  const waitlist = roam.waitlist || [];
+  const roleSignups = roam.roleSignups || {};
+
+  if (waitlist.length === 0 || isRosterFull(roam)) {
+    return null;
+  }
+
+  const index = waitlist.findIndex(entry => {
+    if (!entry.role || !composition) {
+      return true;
+    }
+    const slot = composition.roles.find(role => role.role === entry.role);
+    const filled = Object.values(roleSignups).filter(role => role === entry.role).length;
+    return slot && filled < slot.slots;
+  });
+
+  if (index === -1) {
+    return null;
+  }
+
+  const [entry] = waitlist.splice(index, 1);
+  roam.waitlist = waitlist;
+
+  if (entry.registered) {
+    roam.signups = [...(roam.signups || []), entry.discordId];
+  } else {
+    roam.guests = [...(roam.guests || []), {
+      discordId: entry.discordId,
+      discordUsername: entry.discordUsername,
+      addedAt: new Date()
+    }];
+  }
+
+  if (entry.role) {
+    roam.roleSignups = { ...roleSignups, [entry.discordId]: entry.role };
+  }
+
+  return entry;
+}
+
+/**
+ * Name shown for a roster entry: the linked Albion character with the Discord name in brackets,
+ * or just the Discord name when no character is linked
+ * @param {string} discordName - Discord username or display name
+ * @param {string|null} character - Linked Albion character name
+ * @returns {string}
+ */
+export function formatEntryName(discordName, character) {
+  if (!character) {
+    return discordName;
+  }
+  return character.toLowerCase() === String(discordName).toLowerCase() ? character : `${character} [${discordName}]`;
+}
+
+/**
+ * Look up the Discord username of a registered user
+ * @param {string} discordId - Discord user ID
+ * @returns {Promise<string|null>}
+ */
+async function lookupUsername(discordId) {
+  const cached = await userCache.getFirebaseUserId(discordId);
+  return cached?.username || null;
+}
+
+/**
+ * Read the linked characters of users in one batch
+ * Read from Firestore on every render, not the per-instance user cache, so a link changed
+ * through another instance shows up right away.
+ * @param {string[]} discordIds - Discord user IDs
+ * @returns {Promise<Map<string, string>>} - Discord ID -> character name, for users with a link
+ */
+async function getLinkedCharacters(discordIds) {
+  const uniqueIds = [...new Set(discordIds)].filter(Boolean);
+  if (uniqueIds.length === 0) {
+    return new Map();
+  }
+
+  const usersRef = collections.get(collections.USERS);
+  const userDocs = await getDb().getAll(...uniqueIds.map(discordId => usersRef.doc(String(discordId))));
+
+  return new Map(userDocs
+    .filter(userDoc => userDoc.exists && userDoc.data().albion?.character)
+    .map(userDoc => [userDoc.id, userDoc.data().albion.character]));
+}
+
+/**
+ * Build the roster snapshot shown in the Discord message
+ * Entries carry `discordName` and `character` separately; `name` combines them for display.
+ * @param {Object} roam - Scheduled roam
+ * @returns {Promise<Object>} - `{ maxSignups, entries: [...], waitlist: [...], tentative: [...] }`
+ */
+export async function buildRoster(roam) {
+  const roleSignups = roam.roleSignups || {};
+
+  // Guests and tentative entries may have registered since - users without an account have no character
+  const characters = await getLinkedCharacters([
+    ...(roam.signups || []),
+    ...(roam.guests || []).map(getGuestId),
+    ...(roam.waitlist || []).filter(entry => entry.registered).map(entry => entry.discordId),
+    ...(roam.tentative || []).map(entry => entry.discordId)
+  ]);
+  const getCharacter = discordId => characters.get(String(discordId)) || null;
+
+  const registered = await Promise.all((roam.signups || []).map(async (discordId) => {
+    const discordName = (await lookupUsername(discordId)) || discordId;
+    const character = getCharacter(discordId);
+    return {
+      discordId,
+      name: formatEntryName(discordName, character),
+      discordName,
+      character,
+      registered: true,
+      role: roleSignups[discordId] || null
+    };
+  }));
+
+  const guests = (roam.guests || []).map(guest => {
+    const discordName = typeof guest === 'string' ? guest : guest.discordUsername || guest.discordId;
+    const character = getCharacter(getGuestId(guest));
+    return {
+      discordId: getGuestId(guest),
+      name: formatEntryName(discordName, character),
+      discordName,
+      character,
+      registered: false,
+      role: roleSignups[getGuestId(guest)] || null
+    };
+  });
+
+  const waitlist = (roam.waitlist || []).map(entry => {
+    const discordName = entry.discordUsername || entry.discordId;
+    const character = entry.registered ? getCharacter(entry.discordId) : null;
+    return {
+      discordId: entry.discordId,
+      name: formatEntryName(discordName, character),
+      discordName,
+      character,
+      registered: !!entry.registered,
+      role: entry.role || null
+    };
+  });
+
+  const tentative = (roam.tentative || []).map(entry => {
+    const discordName = entry.discordUsername || entry.discordId;
+    const character = getCharacter(entry.discordId);
+    return {
+      discordId: entry.discordId,
+      name: formatEntryName(discordName, character),
+      discordName,
+      character
+    };
+  });
+
+  return {
+    maxSignups: Number(roam.maxSignups) || null,
+    entries: [...registered, ...guests],
+    waitlist,
+    tentative
+  };
+}
+
+export default { getGuestId, getRosterSize, isRosterFull, promoteFromWaitlist, formatEntryName, buildRoster };
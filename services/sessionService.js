@@ -0,0 +1,90 @@
+import crypto from 'crypto';
+import { getConfig } from './config.js';
+
+/**
+ * Get the secret used to sign session tokens
+ * @returns {string} - Session secret (SESSION_SECRET)
+ */
+function getSessionSecret() {
+  return getConfig().session.secret;
+}
+
+/**
+ * Get session lifetime in milliseconds
+ * @returns {number} - Token lifetime
+ */
+function getSessionTtlMs() {
+  return getConfig().session.ttlHours * 60 * 60 * 1000;
+}
+
+/**
+ * Sign a payload with HMAC-SHA256
+ * @param {string} encodedPayload - base64url encoded payload
+ * @returns {string} - base64url encoded signature
+ */
+function sign(encodedPayload) {
+  return crypto
+    .createHmac('sha256', getSessionSecret())
+    .update(encodedPayload)
+    .digest('base64url');
+}
+
+/**
+ * Create a signed, expiring session token for a Discord user
+ * @param {Object} discordUser - Discord user object
+ * @returns {string} - Session token in the form `<payload>.<signature>`
+ */
+export function createSessionToken(discordUser) {
+  const now = Date.now();
+
+  const payload = {
+    id: discordUser.id,
+    username: discordUser.username,
+    discriminator: discordUser.discriminator,
+    avatar: discordUser.avatar,
+    verified: discordUser.verified,
+    iat: now,
+    exp: now + getSessionTtlMs()
+  };
+
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encodedPayload}.${sign(encodedPayload)}`;
+}
+
+/**
+ * Verify a session token and return its payload
+ * @param {string} token - Session token
+ * @returns {Object|null} - Token payload, or null if invalid or expired
+ */
+export function verifySessionToken(token) {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  const [encodedPayload, signature, ...rest] = token.split('.');
+  if (!encodedPayload || !signature || rest.length > 0) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(encodedPayload));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+
+    if (!payload.id || !payload.exp || payload.exp < Date.now()) {
+      return null;
+    }
+
+    return payload;
+
+  } catch (error) {
+    return null;
+  }
+}
+
+export default { createSessionToken, verifySessionToken };
@@ -0,0 +1,94 @@
+import { createLogger } from './logger.js';
+
+const logger = createLogger('shutdown');
+
+/**
+ * In-flight work tracking for graceful shutdown
+ *
+ * Event handlers run their work through trackWork, so shutdown can stop taking new events and
+ * wait for the ones already running (e.g. a signup halfway through its roam transaction).
+ */
+
+const pendingWork = new Set();
+let shuttingDown = false;
+
+/**
+ * Run a unit of event-driven work and track it until it settles
+ * Once shutdown has begun new work is dropped; everything it would have handled is picked up
+ * again by the next leader (pending posts, `updateRequested`, queued retries, reconciliation).
+ * Errors that escape `fn` are logged here, so callers can fire and forget.
+ * @param {string} name - What the work is, for the shutdown log
+ * @param {Function} fn - `() => Promise`
+ * @param {string} errorMessage - Logged with the error if `fn` fails
+ * @returns {Promise<*>} - Result of `fn`, or undefined if it was dropped or failed
+ */
+export function trackWork(name, fn, errorMessage = `❌ Unhandled error in ${name}:`) {
+  if (shuttingDown) {
+    logger.debug(`⏭️ Shutting down - dropping ${name}`);
+    return Promise.resolve();
+  }
+
+  const work = { name, promise: null };
+  work.promise = Promise.resolve()
+    .then(fn)
+    .catch(error => {
+      logger.error(errorMessage, error.message);
+    })
+    .finally(() => pendingWork.delete(work));
+  pendingWork.add(work);
+
+  return work.promise;
+}
+
+/**
+ * Stop accepting new work
+ */
+export function beginShutdown() {
+  shuttingDown = true;
+}
+
+/**
+ * Check whether shutdown has begun
+ * @returns {boolean}
+ */
+export function isShuttingDown() {
+  return shuttingDown;
+}
+
+/**
+ * Wait for tracked work to finish
+ * @param {number} timeoutMs - How long to wait
+ * @returns {Promise<boolean>} - true if everything finished, false if the timeout hit first
+ */
+export async function waitForPendingWork(timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+
+  // Work can start more work (e.g. a post that enqueues a retry), so loop until nothing is left
+  while (pendingWork.size > 0) {
+    const remainingMs = deadline - Date.now();
+    if (remainingMs <= 0) {
+      logger.warn(`⚠️ Gave up waiting for ${pendingWork.size} handler(s): ${[...pendingWork].map(work => work.name).join(', ')}`);
+      return false;
+    }
+
+    logger.info(`⏳ Waiting for ${pendingWork.size} in-flight handler(s)...`);
+
+    let timer;
+    await Promise.race([
+      Promise.allSettled([...pendingWork].map(work => work.promise)),
+      new Promise(resolve => {
+        timer = setTimeout(resolve, remainingMs);
+      })
+    ]);
+    clearTimeout(timer);
+  }
+
+  return true;
+}
+
+export default {
+  trackWork,
+  beginShutdown,
+  isShuttingDown,
+  waitForPendingWork
+};
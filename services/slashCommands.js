@@ -0,0 +1,559 @@
+import { Events, MessageFlags, SlashCommandBuilder, PermissionFlagsBits } from 'discord.js';
+import { collections } from './firebase.js';
+import { createDiscordPost, cancelDiscordPost, requestPostUpdate, refreshRoamPost } from './firestoreListeners.js';
+import { PERMISSION_LEVELS, hasPermission, resolvePermissionLevel } from './permissions.js';
+import { buildRoster, promoteFromWaitlist } from './roster.js';
+import { parseCharacterLink, linkCharacter } from './characters.js';
+import { listTemplates, setTemplatePaused, addTemplateException } from './roamTemplates.js';
+import { getScheduledRoam, updateScheduledRoam, addScheduledRoam } from './roamStore.js';
+import { isLeader } from './leaderElection.js';
+import { recordEvent } from './health.js';
+import { createLogger, runWithContext } from './logger.js';
+import { trackWork } from './shutdown.js';
+
+const logger = createLogger('slashCommands');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * /roam command definition
+ */
+const roamCommand = new SlashCommandBuilder()
+  .setName('roam')
+  .setDescription('Manage roams')
+  .addSubcommand(sub => sub
+    .setName('create')
+    .setDescription('Schedule a new roam and post it')
+    .addStringOption(opt => opt.setName('title').setDescription('Roam title').setRequired(true).setMaxLength(100))
+    .addStringOption(opt => opt.setName('date').setDescription('Date (YYYY-MM-DD, UTC)').setRequired(true))
+    .addStringOption(opt => opt.setName('time').setDescription('Time (HH:MM, UTC)').setRequired(true))
+    .addStringOption(opt => opt.setName('category').setDescription('Category, e.g. statics, zvz, ganking').setRequired(true))
+    .addStringOption(opt => opt.setName('description').setDescription('Description').setMaxLength(1000))
+    .addStringOption(opt => opt.setName('composition').setDescription('Composition ID'))
+    .addIntegerOption(opt => opt.setName('max_signups').setDescription('Roster cap (overflow goes to the waitlist)').setMinValue(1)))
+  .addSubcommand(sub => sub
+    .setName('list')
+    .setDescription('List upcoming roams'))
+  .addSubcommand(sub => sub
+    .setName('cancel')
+    .setDescription('Cancel a roam')
+    .addStringOption(opt => opt.setName('id').setDescription('Roam ID').setRequired(true))
+    .addStringOption(opt => opt.setName('reason').setDescription('Reason shown on the post').setMaxLength(300)))
+  .addSubcommand(sub => sub
+    .setName('edit')
+    .setDescription('Edit a roam')
+    .addStringOption(opt => opt.setName('id').setDescription('Roam ID').setRequired(true))
+    .addStringOption(opt => opt.setName('title').setDescription('New title').setMaxLength(100))
+    .addStringOption(opt => opt.setName('date').setDescription('New date (YYYY-MM-DD, UTC)'))
+    .addStringOption(opt => opt.setName('time').setDescription('New time (HH:MM, UTC)'))
+    .addStringOption(opt => opt.setName('description').setDescription('New description').setMaxLength(1000))
+    .addIntegerOption(opt => opt.setName('max_signups').setDescription('New roster cap').setMinValue(1)))
+  .addSubcommand(sub => sub
+    .setName('roster')
+    .setDescription('Show the roster of a roam')
+    .addStringOption(opt => opt.setName('id').setDescription('Roam ID').setRequired(true)))
+  .addSubcommandGroup(group => group
+    .setName('series')
+    .setDescription('Recurring roams scheduled from templates')
+    .addSubcommand(sub => sub
+      .setName('list')
+      .setDescription('List recurring roam series'))
+    .addSubcommand(sub => sub
+      .setName('pause')
+      .setDescription('Stop scheduling a series')
+      .addStringOption(opt => opt.setName('id').setDescription('Template ID').setRequired(true)))
+    .addSubcommand(sub => sub
+      .setName('resume')
+      .setDescription('Start scheduling a paused series again')
+      .addStringOption(opt => opt.setName('id').setDescription('Template ID').setRequired(true)))
+    .addSubcommand(sub => sub
+      .setName('skip')
+      .setDescription('Skip one date of a series')
+      .addStringOption(opt => opt.setName('id').setDescription('Template ID').setRequired(true))
+      .addStringOption(opt => opt.setName('date').setDescription('Date to skip (YYYY-MM-DD, UTC)').setRequired(true))));
+
+/**
+ * /link command definition
+ */
+const linkCommand = new SlashCommandBuilder()
+  .setName('link')
+  .setDescription('Link your Albion Online character to your Discord account')
+  .addStringOption(opt => opt.setName('character').setDescription('Main character name').setRequired(true).setMinLength(3).setMaxLength(16))
+  .addStringOption(opt => opt.setName('alts').setDescription('Alt character names, separated by commas').setMaxLength(100))
+  .addUserOption(opt => opt.setName('user').setDescription('Officers: link (and verify) this user\'s character instead'));
+
+// Handler of each slash command by name
+const COMMAND_HANDLERS = {
+  roam: handleRoamCommand,
+  link: handleLinkCommand
+};
+
+/**
+ * All slash commands registered by the bot
+ */
+export const SLASH_COMMANDS = [roamCommand, linkCommand];
+
+/**
+ * Register slash commands in the guild and start handling them
+ * Guild commands update instantly, unlike global ones.
+ * @param {Object} client - Ready Discord client
+ * @param {Object} guild - Guild to register commands in
+ */
+export async function initializeSlashCommands(client, guild) {
+  await guild.commands.set(SLASH_COMMANDS.map(command => command.toJSON()));
+  logger.info(`⌨️ Registered ${SLASH_COMMANDS.length} slash command(s) in guild ${guild.name}`);
+
+  client.on(Events.InteractionCreate, (interaction) => trackWork('slashCommand', () => runWithContext({ correlationId: `discord-${interaction.id}`, discordUserId: interaction.user.id }, async () => {
+    // Every instance receives the command - only the leader answers it
+    const handler = interaction.isChatInputCommand() && COMMAND_HANDLERS[interaction.commandName];
+    if (!handler || !isLeader()) {
+      return;
+    }
+
+    recordEvent('slashCommand');
+
+    try {
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+      const reply = await handler(interaction);
+      await interaction.editReply(reply);
+
+    } catch (error) {
+      const name = [interaction.commandName, interaction.options.getSubcommandGroup(false), interaction.options.getSubcommand(false)];
+      logger.error(`❌ Error handling /${name.filter(Boolean).join(' ')}:`, error.message);
+      // Internal errors stay in the log; only validation errors thrown with commandError are shown
+      const reply = { content: error.userFacing ? `❌ ${error.message}` : '❌ Something went wrong running that command. Please try again later.' };
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply(reply).catch(() => {});
+      } else {
+        await interaction.reply({ ...reply, flags: MessageFlags.Ephemeral }).catch(() => {});
+      }
+    }
+  })));
+}
+
+/**
+ * Create an error whose message is shown to the user who ran the command
+ * @param {string} message - Message for the user
+ * @returns {Error}
+ */
+function commandError(message) {
+  const error = new Error(message);
+  error.userFacing = true;
+  return error;
+}
+
+/**
+ * Get the caller's permission level from the interaction's member
+ * @param {Object} interaction - Slash command interaction
+ * @returns {string} - Permission level
+ */
+function getInteractionPermissionLevel(interaction) {
+  const roleIds = interaction.member?.roles?.cache?.map(role => role.id) || [];
+  const isAdministrator = interaction.memberPermissions?.has(PermissionFlagsBits.Administrator) || false;
+  return resolvePermissionLevel(roleIds, isAdministrator);
+}
+
+/**
+ * Route a /roam subcommand
+ * @param {Object} interaction - Slash command interaction
+ * @returns {Promise<string>} - Ephemeral reply
+ */
+async function handleRoamCommand(interaction) {
+  const group = interaction.options.getSubcommandGroup(false);
+  const subcommand = interaction.options.getSubcommand();
+  const level = getInteractionPermissionLevel(interaction);
+
+  logger.info(`⌨️ /roam ${group ? `${group} ` : ''}${subcommand} by ${interaction.user.username} (${interaction.user.id}, ${level})`);
+
+  if (!hasPermission(level, PERMISSION_LEVELS.MEMBER)) {
+    return '🚫 You need to be a guild member to use this command.';
+  }
+
+  if (group === 'series') {
+    return handleSeriesCommand(interaction, subcommand, level);
+  }
+
+  switch (subcommand) {
+    case 'create':
+      if (!hasPermission(level, PERMISSION_LEVELS.ROAM_LEADER)) {
+        return '🚫 Only roam leaders and officers can create roams.';
+      }
+      return createRoam(interaction);
+    case 'list':
+      return listRoams();
+    case 'cancel':
+      return cancelRoam(interaction, level);
+    case 'edit':
+      return editRoam(interaction, level);
+    case 'roster':
+      return showRoster(interaction);
+    default:
+      return '❌ Unknown subcommand.';
+  }
+}
+
+/**
+ * Route a /roam series subcommand - listing is open to members, changes are for officers
+ * @param {Object} interaction - Slash command interaction
+ * @param {string} subcommand - Subcommand name
+ * @param {string} level - Caller's permission level
+ * @returns {Promise<string>} - Ephemeral reply
+ */
+async function handleSeriesCommand(interaction, subcommand, level) {
+  if (subcommand === 'list') {
+    return listSeries();
+  }
+
+  if (!hasPermission(level, PERMISSION_LEVELS.OFFICER)) {
+    return '🚫 Only officers can change recurring roams.';
+  }
+
+  const templateId = interaction.options.getString('id');
+
+  switch (subcommand) {
+    case 'pause':
+    case 'resume': {
+      const template = await setTemplatePaused(templateId, subcommand === 'pause', interaction.user.id);
+      if (!template) {
+        return `❌ Series ${templateId} not found.`;
+      }
+      return subcommand === 'pause'
+        ? `⏸️ Series **${template.title}** paused - no new roams will be scheduled.`
+        : `▶️ Series **${template.title}** resumed.`;
+    }
+    case 'skip': {
+      const date = interaction.options.getString('date');
+      if (!DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date))) {
+        return '❌ Date must be in YYYY-MM-DD format.';
+      }
+      const template = await addTemplateException(templateId, date, interaction.user.id);
+      if (!template) {
+        return `❌ Series ${templateId} not found.`;
+      }
+      const roamId = `${templateId}-${date}`;
+      const alreadyScheduled = !!(await getScheduledRoam(roamId));
+      return `⏭️ Series **${template.title}** will skip ${date}.` +
+        (alreadyScheduled ? ` That roam is already scheduled - cancel it with \`/roam cancel id:${roamId}\`.` : '');
+    }
+    default:
+      return '❌ Unknown subcommand.';
+  }
+}
+
+/**
+ * /roam series list - every template with its schedule
+ */
+async function listSeries() {
+  const templates = await listTemplates();
+
+  if (templates.length === 0) {
+    return 'ℹ️ No recurring roams.';
+  }
+
+  const lines = templates.slice(0, 20).map(template => {
+    const { days, time } = template.recurrence || {};
+    const schedule = days ? `${days.map(day => day[0].toUpperCase() + day.slice(1)).join('/')} ${time} UTC` : 'no schedule';
+    return `• ${template.paused ? '⏸️ ' : ''}**${template.title}** - ${schedule} · ${template.category} · \`${template.id}\``;
+  });
+
+  return `🔁 **Recurring roams**\n${lines.join('\n')}`;
+}
+
+/**
+ * Load a scheduled roam or fail with a user-facing error
+ * @param {string} roamId - Roam ID
+ * @returns {Promise<Object>} - The roam
+ */
+async function findRoam(roamId) {
+  const roam = await getScheduledRoam(roamId);
+
+  if (!roam) {
+    throw commandError(`Roam ${roamId} not found.`);
+  }
+
+  return roam;
+}
+
+/**
+ * Find the active discord_posts document for a roam
+ * @param {string} roamId - Roam ID
+ * @returns {Promise<Object|null>} - Firestore document snapshot
+ */
+async function findRoamPost(roamId) {
+  const postQuery = await collections.get(collections.DISCORD_POSTS)
+    .where('roamId', '==', roamId)
+    .get();
+
+  return postQuery.docs.find(doc => !['deleted', 'cancelled'].includes(doc.data().status)) || null;
+}
+
+/**
+ * Check that the caller created the roam or is an officer
+ * @param {Object} roam - Scheduled roam
+ * @param {Object} interaction - Slash command interaction
+ * @param {string} level - Caller's permission level
+ * @returns {boolean}
+ */
+function canManageRoam(roam, interaction, level) {
+  return roam.createdBy === interaction.user.id || hasPermission(level, PERMISSION_LEVELS.OFFICER);
+}
+
+/**
+ * /roam create - add the roam to gameData/roams and create its discord_posts document,
+ * the same way the frontend does. The new-post listener then posts it.
+ */
+async function createRoam(interaction) {
+  const { options, user } = interaction;
+  const date = options.getString('date');
+  const time = options.getString('time');
+
+  if (!DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date))) {
+    return '❌ Date must be in YYYY-MM-DD format.';
+  }
+  if (!TIME_PATTERN.test(time)) {
+    return '❌ Time must be in HH:MM (24h) format.';
+  }
+
+  const roamId = Date.now().toString();
+  const title = options.getString('title');
+  const description = options.getString('description') || '';
+  const category = options.getString('category').toLowerCase();
+  const leaderName = interaction.member?.displayName || user.username;
+
+  const roam = {
+    id: roamId,
+    category,
+    createdAt: new Date().toISOString(),
+    createdBy: user.id,
+    date,
+    time,
+    title,
+    signups: []
+  };
+
+  const composition = options.getString('composition');
+  if (composition) roam.composition = composition;
+
+  const maxSignups = options.getInteger('max_signups');
+  if (maxSignups) roam.maxSignups = maxSignups;
+
+  if (!await addScheduledRoam(roam)) {
+    return `❌ A roam with ID \`${roamId}\` already exists - try again.`;
+  }
+
+  const postId = await createDiscordPost({
+    title,
+    description,
+    author: leaderName,
+    authorId: user.id,
+    roamId,
+    roamDetails: {
+      type: category,
+      datetime: `${date}T${time}:00Z`,
+      leader: leaderName,
+      ...(description && { description })
+    }
+  });
+
+  logger.info(`⌨️ Created roam ${roamId} (post ${postId}) from /roam create`);
+  return `✅ Roam **${title}** scheduled for ${date} ${time} UTC (ID \`${roamId}\`). It will be posted shortly.`;
+}
+
+/**
+ * /roam list - upcoming roams, soonest first
+ */
+async function listRoams() {
+  const roamDoc = await collections.get(collections.GAME_DATA).doc('roams').get();
+  const today = new Date().toISOString().slice(0, 10);
+
+  const upcoming = (roamDoc.data()?.scheduled || [])
+    .filter(roam => roam.date >= today && roam.status !== 'cancelled')
+    .sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`))
+    .slice(0, 15);
+
+  if (upcoming.length === 0) {
+    return 'ℹ️ No upcoming roams.';
+  }
+
+  const lines = upcoming.map(roam => {
+    const count = (roam.signups || []).length + (roam.guests || []).length;
+    return `• **${roam.title}** - ${roam.date} ${roam.time} · ${roam.category} · ${count}${roam.maxSignups ? `/${roam.maxSignups}` : ''} signed up · \`${roam.id}\``;
+  });
+
+  return `📅 **Upcoming roams**\n${lines.join('\n')}`;
+}
+
+/**
+ * /roam cancel - mark the roam and its post cancelled
+ */
+async function cancelRoam(interaction, level) {
+  const roamId = interaction.options.getString('id');
+  const reason = interaction.options.getString('reason');
+  const roam = await findRoam(roamId);
+
+  if (!canManageRoam(roam, interaction, level)) {
+    return '🚫 Only the roam creator or an officer can cancel this roam.';
+  }
+
+  // Cancelling the post also cancels the roam; the Discord message is updated by the removed-post listener
+  const postDoc = await findRoamPost(roamId);
+  if (postDoc) {
+    await cancelDiscordPost(postDoc.id, { cancelledBy: interaction.user.id, reason });
+  } else {
+    await updateScheduledRoam(roamId, (current) => {
+      Object.assign(current, { status: 'cancelled', cancelledAt: new Date().toISOString(), cancelledBy: interaction.user.id });
+    });
+  }
+
+  logger.info(`⌨️ Cancelled roam ${roamId} from /roam cancel`);
+  return `🛑 Roam **${roam.title}** cancelled.`;
+}
+
+/**
+ * /roam edit - update roam fields and request a Discord message update
+ */
+async function editRoam(interaction, level) {
+  const { options } = interaction;
+  const roamId = options.getString('id');
+  const roam = await findRoam(roamId);
+
+  if (!canManageRoam(roam, interaction, level)) {
+    return '🚫 Only the roam creator or an officer can edit this roam.';
+  }
+
+  const changes = {};
+  for (const field of ['title', 'date', 'time', 'description']) {
+    const value = options.getString(field);
+    if (value !== null) changes[field] = value;
+  }
+  const maxSignups = options.getInteger('max_signups');
+  if (maxSignups !== null) changes.maxSignups = maxSignups;
+
+  if (Object.keys(changes).length === 0) {
+    return 'ℹ️ Nothing to change.';
+  }
+  if (changes.date && (!DATE_PATTERN.test(changes.date) || Number.isNaN(Date.parse(changes.date)))) {
+    return '❌ Date must be in YYYY-MM-DD format.';
+  }
+  if (changes.time && !TIME_PATTERN.test(changes.time)) {
+    return '❌ Time must be in HH:MM (24h) format.';
+  }
+
+  const postDoc = await findRoamPost(roamId);
+  const composition = postDoc?.data().composition || null;
+
+  // A new cap can open roster spots - fill them from the waitlist in the same transaction
+  const update = await updateScheduledRoam(roamId, (current) => {
+    Object.assign(current, changes);
+
+    const promoted = [];
+    if (changes.maxSignups !== undefined) {
+      let entry;
+      while ((entry = promoteFromWaitlist(current, composition))) {
+        promoted.push(entry);
+      }
+    }
+
+    return { changed: true, result: { promoted } };
+  });
+
+  if (!update) {
+    throw commandError(`Roam ${roamId} not found.`);
+  }
+  const updatedRoam = update.roam;
+
+  // Reminders already sent were for the old start time
+  if (changes.date || changes.time) {
+    await collections.get(collections.ROAM_REMINDERS).doc(String(roamId)).delete();
+  }
+
+  if (postDoc) {
+    const postData = postDoc.data();
+    const postUpdate = {
+      roamDetails: {
+        ...(postData.roamDetails || {}),
+        datetime: `${updatedRoam.date}T${updatedRoam.time}:00Z`,
+        ...(changes.description !== undefined && { description: changes.description })
+      }
+    };
+    if (changes.title) postUpdate.title = changes.title;
+    if (changes.description !== undefined) postUpdate.description = changes.description;
+
+    await requestPostUpdate(postDoc.id, postUpdate);
+
+    if (changes.maxSignups !== undefined) {
+      await refreshRoamPost(postDoc, updatedRoam, update.result.promoted);
+    }
+  }
+
+  logger.info(`⌨️ Edited roam ${roamId} from /roam edit:`, Object.keys(changes).join(', '));
+  return `📝 Roam **${updatedRoam.title}** updated (${Object.keys(changes).join(', ')}).`;
+}
+
+/**
+ * /roam roster - show signups, waitlist and tentative users
+ */
+async function showRoster(interaction) {
+  const roam = await findRoam(interaction.options.getString('id'));
+  const roster = await buildRoster(roam);
+  const describe = entry => `${entry.name}${entry.role ? ` (${entry.role})` : ''}${entry.registered ? '' : ' 👤'}`;
+
+  let reply = `👥 **${roam.title}** - ${roam.date} ${roam.time}\n`;
+  reply += `**Roster (${roster.entries.length}${roster.maxSignups ? `/${roster.maxSignups}` : ''}):** `;
+  reply += roster.entries.length ? roster.entries.map(describe).join(', ') : 'nobody yet';
+
+  if (roster.waitlist.length) {
+    reply += `\n**Waitlist (${roster.waitlist.length}):** ${roster.waitlist.map((entry, index) => `${index + 1}. ${describe(entry)}`).join(', ')}`;
+  }
+  if (roster.tentative.length) {
+    reply += `\n**Tentative (${roster.tentative.length}):** ${roster.tentative.map(entry => entry.name).join(', ')}`;
+  }
+
+  return reply.length > 2000 ? `${reply.slice(0, 1997)}...` : reply;
+}
+
+/**
+ * /link - store the caller's Albion character and alts on their users document
+ * With `user`, an officer links someone else's character, which also verifies it.
+ */
+async function handleLinkCommand(interaction) {
+  const { options, user } = interaction;
+  const level = getInteractionPermissionLevel(interaction);
+  const target = options.getUser('user');
+  const override = !!target && target.id !== user.id;
+
+  logger.info(`⌨️ /link by ${user.username} (${user.id}, ${level})${override ? ` for ${target.id}` : ''}`);
+
+  if (!hasPermission(level, PERMISSION_LEVELS.MEMBER)) {
+    return '🚫 You need to be a guild member to use this command.';
+  }
+  if (override && !hasPermission(level, PERMISSION_LEVELS.OFFICER)) {
+    return '🚫 Only officers can link another user\'s character.';
+  }
+
+  const link = parseCharacterLink(options.getString('character'), options.getString('alts') || []);
+  if (link.errors.length > 0) {
+    return `❌ ${link.errors.join('. ')}.`;
+  }
+
+  const targetId = override ? target.id : user.id;
+  const result = await linkCharacter(targetId, link, { linkedBy: user.id, override });
+
+  switch (result.status) {
+    case 'not_registered':
+      return override
+        ? `❌ <@${targetId}> has no account yet - they need to log in on the website first.`
+        : '❌ You have no account yet - log in on the website first, then link your character.';
+    case 'taken':
+      return `❌ **${link.character}** is already linked to another user. Ask an officer if it is yours.`;
+    default: {
+      const altsText = result.albion.alts.length ? ` (alts: ${result.albion.alts.join(', ')})` : '';
+      return override
+        ? `✅ Linked and verified **${result.albion.character}**${altsText} for <@${targetId}>.`
+        : `✅ Linked **${result.albion.character}**${altsText}${result.albion.verified ? '' : ' - an officer can verify it'}.`;
+    }
+  }
+}
+
+export default { SLASH_COMMANDS, initializeSlashCommands };
@@ -1,4 +1,8 @@
 import { collections } from './firebase.js';
+import { userCacheCounter } from './metrics.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('userCache');
 
 /**
  * In-memory cache for Discord ID to Firebase ID mappings
@@ -16,7 +20,8 @@ class UserCache {
     // Check cache first
     const cached = this.cache.get(discordId);
     if (cached && (Date.now() - cached.lastUpdated) < this.cacheTimeout) {
-      console.log(`📋 Cache hit for Discord user ${discordId} -> ${cached.firebaseId}`);
+      userCacheCounter.inc({ result: 'hit' });
+      logger.info(`📋 Cache hit for Discord user ${discordId} -> ${cached.firebaseId}`);
       return {
         firebaseId: cached.firebaseId,
         username: cached.username,
@@ -25,7 +30,8 @@ class UserCache {
     }
 
     // Cache miss - query Firestore
-    console.log(`🔍 Cache miss - querying Firestore for Discord user ${discordId}`);
+    userCacheCounter.inc({ result: 'miss' });
+    logger.info(`🔍 Cache miss - querying Firestore for Discord user ${discordId}`);
     
     try {
       const userQuery = await collections.get('users')
@@ -47,7 +53,7 @@ class UserCache {
         lastUpdated: Date.now()
       });
 
-      console.log(`💾 Cached user mapping: ${discordId} -> ${userDoc.id}`);
+      logger.info(`💾 Cached user mapping: ${discordId} -> ${userDoc.id}`);
 
       return {
         firebaseId: userDoc.id,
@@ -56,7 +62,7 @@ class UserCache {
       };
 
     } catch (error) {
-      console.error('❌ Error querying user:', error);
+      logger.error('❌ Error querying user:', error);
       return null;
     }
   }
@@ -66,7 +72,7 @@ class UserCache {
    */
   clearCache() {
     this.cache.clear();
-    console.log('🧹 User cache cleared');
+    logger.info('🧹 User cache cleared');
   }
 
   /**
@@ -84,7 +90,7 @@ class UserCache {
     }
     
     if (removed > 0) {
-      console.log(`🧹 Cleaned up ${removed} expired cache entries`);
+      logger.info(`🧹 Cleaned up ${removed} expired cache entries`);
     }
   }
 
@@ -107,9 +113,9 @@ class UserCache {
 // Export singleton instance
 export const userCache = new UserCache();
 
-// Cleanup expired entries every 10 minutes
+// Cleanup expired entries every 10 minutes (without keeping the process alive on its own)
 setInterval(() => {
   userCache.cleanup();
-}, 10 * 60 * 1000);
+}, 10 * 60 * 1000).unref();
 
 export default userCache;
\ No newline at end of file
@@ -0,0 +1,33 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCharacterLink } from '../services/characters.js';
+
+describe('parseCharacterLink', () => {
+  it('accepts a character with alts as an array or a string', () => {
+    assert.deepEqual(parseCharacterLink(' Ember ', ['Ash', 'Cinder']), { character: 'Ember', alts: ['Ash', 'Cinder'], errors: [] });
+    assert.deepEqual(parseCharacterLink('Ember', 'Ash, Cinder  Soot').alts, ['Ash', 'Cinder', 'Soot']);
+    assert.deepEqual(parseCharacterLink('Ember').alts, []);
+  });
+
+  it('rejects character names that are not 3-16 letters or digits', () => {
+    for (const name of ['', 'Al', 'SeventeenLetters1', 'Ember Glow', 'Émber', undefined, 42]) {
+      assert.equal(parseCharacterLink(name).errors.length, 1, String(name));
+    }
+    assert.deepEqual(parseCharacterLink('Abc').errors, []);
+    assert.deepEqual(parseCharacterLink('SixteenLetters12').errors, []);
+  });
+
+  it('reports invalid alts', () => {
+    assert.deepEqual(parseCharacterLink('Ember', ['Ash', 'x', 'bad-name']).errors, ['Invalid alt name(s): x, bad-name']);
+  });
+
+  it('drops duplicate alts and the main character, ignoring case', () => {
+    assert.deepEqual(parseCharacterLink('Ember', 'ember Ash ASH Cinder').alts, ['Ash', 'Cinder']);
+  });
+
+  it('allows at most five distinct alts', () => {
+    assert.deepEqual(parseCharacterLink('Ember', 'Ash1 Ash2 Ash3 Ash4 Ash5 ash5').errors, []);
+    assert.deepEqual(parseCharacterLink('Ember', 'Ash1 Ash2 Ash3 Ash4 Ash5 Ash6').errors, ['At most 5 alts can be linked']);
+  });
+});
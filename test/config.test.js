@@ -0,0 +1,97 @@
+import { TEST_ENV } from './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadConfig } from '../services/config.js';
+
+/**
+ * Load a config and return the problems it was rejected for
+ * @param {Object} env - Environment variables
+ * @returns {string[]}
+ */
+function configErrors(env) {
+  try {
+    loadConfig(env);
+  } catch (error) {
+    return error.errors;
+  }
+  assert.fail('config was accepted');
+}
+
+describe('loadConfig', () => {
+  it('applies the profile defaults', () => {
+    const { FRONTEND_URL, AUTH_REDIRECT_ORIGINS, ...env } = TEST_ENV;
+    const config = loadConfig(env);
+
+    assert.equal(config.profile, 'development');
+    assert.equal(config.urls.frontend, 'http://localhost:3000');
+    assert.deepEqual(config.server.corsOrigins, ['http://localhost:3000', 'http://localhost:3001']);
+    assert.equal(config.leader.election, false);
+    assert.equal(config.session.ttlHours, 168);
+    assert.deepEqual(config.reminders.offsetsMinutes, [60, 10]);
+  });
+
+  it('lets the environment override the profile and normalizes values', () => {
+    const config = loadConfig({
+      ...TEST_ENV,
+      APP_ENV: 'prod',
+      FRONTEND_URL: 'https://roams.example/',
+      AUTH_REDIRECT_ORIGINS: 'https://admin.example/login',
+      REMINDER_OFFSETS_MINUTES: '5, 30',
+      LEADER_ELECTION: 'FALSE'
+    });
+
+    assert.equal(config.profile, 'production');
+    assert.equal(config.urls.frontend, 'https://roams.example');
+    assert.deepEqual(config.urls.redirectOrigins, ['https://roams.example', 'https://admin.example']);
+    assert.deepEqual(config.reminders.offsetsMinutes, [30, 5]);
+    assert.equal(config.leader.election, false);
+    assert.equal(config.oauth.redirectUri, 'https://roams.example/auth/callback');
+  });
+
+  it('reads a base64 service account', () => {
+    const config = loadConfig({ ...TEST_ENV, FIREBASE_SERVICE_ACCOUNT: Buffer.from(TEST_ENV.FIREBASE_SERVICE_ACCOUNT).toString('base64') });
+
+    assert.equal(config.firebase.serviceAccount.project_id, 'bonfire-test');
+  });
+
+  it('returns a frozen config', () => {
+    const config = loadConfig(TEST_ENV);
+
+    assert.ok(Object.isFrozen(config.discord.roleIds));
+    assert.throws(() => { config.session.secret = 'changed'; }, TypeError);
+  });
+
+  it('lists every missing required setting', () => {
+    const errors = configErrors({ APP_ENV: 'staging', FIREBASE_SERVICE_ACCOUNT_PATH: 'missing-service-account.json' });
+
+    for (const name of ['FRONTEND_URL', 'DISCORD_CLIENT_ID', 'DISCORD_CLIENT_SECRET', 'SESSION_SECRET', 'DISCORD_TOKEN', 'DISCORD_CHANNEL_ID']) {
+      assert.ok(errors.includes(`${name} is required`), name);
+    }
+    assert.ok(errors.some(error => error.startsWith('Firebase service account file not found')));
+  });
+
+  it('rejects invalid values', () => {
+    const errors = configErrors({
+      ...TEST_ENV,
+      APP_ENV: 'qa',
+      DISCORD_CHANNEL_ID: 'general',
+      PORT: '0',
+      SESSION_TTL_HOURS: '-1',
+      REMINDERS_ENABLED: 'yes',
+      DISCORD_POST_FORMAT: 'html',
+      CORS_ORIGINS: 'https://ok.example,ftp://files.example',
+      FIREBASE_SERVICE_ACCOUNT: JSON.stringify({ project_id: 'bonfire-test' })
+    });
+
+    assert.deepEqual(errors, [
+      'APP_ENV must be one of dev, development, staging, prod, production (got "qa")',
+      'CORS_ORIGINS must be a comma-separated list of URLs (invalid: ftp://files.example)',
+      'PORT must be a whole number of at least 1 (got "0")',
+      'SESSION_TTL_HOURS must be a positive number (got "-1")',
+      'DISCORD_CHANNEL_ID must be a Discord ID (got "general")',
+      'DISCORD_POST_FORMAT must be one of embed, text (got "html")',
+      'Firebase service account from FIREBASE_SERVICE_ACCOUNT is missing client_email, private_key',
+      'REMINDERS_ENABLED must be true or false (got "yes")'
+    ]);
+  });
+});
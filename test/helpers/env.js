@@ -0,0 +1,22 @@
+/**
+ * Minimal valid environment for the tests
+ * Import this before any service so config.js and logger.js read it, not a developer's .env.
+ */
+export const TEST_ENV = {
+  APP_ENV: 'development',
+  FRONTEND_URL: 'http://localhost:3000',
+  AUTH_REDIRECT_ORIGINS: 'http://localhost:3001',
+  DISCORD_CLIENT_ID: '100000000000000001',
+  DISCORD_CLIENT_SECRET: 'test-client-secret',
+  SESSION_SECRET: 'test-session-secret',
+  DISCORD_TOKEN: 'test-discord-token',
+  DISCORD_CHANNEL_ID: '100000000000000002',
+  FIREBASE_SERVICE_ACCOUNT: JSON.stringify({
+    project_id: 'bonfire-test',
+    client_email: 'bot@bonfire-test.iam.gserviceaccount.com',
+    private_key: 'test-private-key'
+  }),
+  LOG_LEVEL: 'error'
+};
+
+Object.assign(process.env, TEST_ENV);
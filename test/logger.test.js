@@ -0,0 +1,74 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { redact, redactString } from '../services/logger.js';
+
+describe('redactString', () => {
+  it('redacts secrets in query strings and auth headers', () => {
+    assert.equal(
+      redactString('GET /api/auth/callback?code=abc123&state=xyz&page=2'),
+      'GET /api/auth/callback?code=[REDACTED]&state=[REDACTED]&page=2'
+    );
+    assert.equal(redactString('Authorization: Bearer abc.def-ghi'), 'Authorization: Bearer [REDACTED]');
+  });
+
+  it('redacts Discord bot tokens and email addresses', () => {
+    const token = `M${'a'.repeat(23)}.${'b'.repeat(6)}.${'c'.repeat(27)}`;
+
+    assert.equal(redactString(`login failed for ${token}`), 'login failed for [REDACTED_DISCORD_TOKEN]');
+    assert.equal(redactString('user someone@example.com joined'), 'user [REDACTED_EMAIL] joined');
+  });
+
+  it('leaves ordinary text alone', () => {
+    assert.equal(redactString('📤 Posted message 123 to channel 456'), '📤 Posted message 123 to channel 456');
+  });
+});
+
+describe('redact', () => {
+  it('redacts sensitive keys at any depth', () => {
+    assert.deepEqual(redact({
+      user: { id: '1', email: 'someone@example.com', accessToken: 'abc' },
+      headers: { Authorization: 'Bearer abc', cookie: 'session=abc' },
+      code: 'oauth-code',
+      postCode: 'kept',
+      empty: null
+    }), {
+      user: { id: '1', email: '[REDACTED]', accessToken: '[REDACTED]' },
+      headers: { Authorization: '[REDACTED]', cookie: '[REDACTED]' },
+      code: '[REDACTED]',
+      postCode: 'kept',
+      empty: null
+    });
+  });
+
+  it('redacts strings inside arrays and errors', () => {
+    const error = new Error('request to /callback?code=abc failed');
+    error.code = 50013;
+
+    assert.deepEqual(redact(['Bearer abc']), ['Bearer [REDACTED]']);
+
+    const serialized = redact(error);
+    assert.equal(serialized.message, 'request to /callback?code=[REDACTED] failed');
+    assert.equal(serialized.code, 50013);
+    assert.doesNotMatch(serialized.stack, /code=abc/);
+  });
+
+  it('turns dates, timestamps and bigints into strings', () => {
+    const date = new Date('2024-01-02T20:00:00Z');
+
+    assert.deepEqual(redact({ at: date, ts: { toDate: () => date }, big: 10n }), {
+      at: '2024-01-02T20:00:00.000Z',
+      ts: '2024-01-02T20:00:00.000Z',
+      big: '10'
+    });
+  });
+
+  it('cuts off cycles and deep nesting', () => {
+    const cyclic = { name: 'roam' };
+    cyclic.self = cyclic;
+    assert.deepEqual(redact(cyclic), { name: 'roam', self: '[Truncated]' });
+
+    const deep = { a: { b: { c: { d: { e: { f: { g: 1 } } } } } } };
+    assert.equal(redact(deep).a.b.c.d.e.f, '[Truncated]');
+  });
+});
@@ -0,0 +1,137 @@
+import './helpers/env.js';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { collections } from '../services/firebase.js';
+import { createSessionToken } from '../services/sessionService.js';
+import { STATE_TTL_MS, consumeOAuthState, createOAuthState, resolveReturnUrl } from '../services/oauthState.js';
+
+const RETURN_URL = 'http://localhost:3000/roams';
+
+/**
+ * Replace the oauth_states collection with an in-memory one that fails create() like Firestore
+ * @returns {Set<string>} - IDs of the created documents
+ */
+function mockStateStore() {
+  const created = new Set();
+
+  mock.method(collections, 'get', () => ({
+    doc: (id) => ({
+      create: async () => {
+        if (created.has(id)) {
+          const error = new Error('6 ALREADY_EXISTS: Document already exists');
+          error.code = 6;
+          throw error;
+        }
+        created.add(id);
+      }
+    })
+  }));
+
+  return created;
+}
+
+/**
+ * Re-encode the payload of a state, keeping its signature
+ * @param {string} state - Signed state
+ * @param {Object} changes - Payload fields to change
+ * @returns {string} - Forged state
+ */
+function forgeState(state, changes) {
+  const [encodedPayload, signature] = state.split('.');
+  const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  return `${Buffer.from(JSON.stringify({ ...payload, ...changes })).toString('base64url')}.${signature}`;
+}
+
+describe('OAuth state', () => {
+  let created;
+
+  beforeEach(() => {
+    created = mockStateStore();
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('returns the return URL for a valid state and records its nonce', async () => {
+    const { state, nonce } = createOAuthState(RETURN_URL);
+
+    assert.deepEqual(await consumeOAuthState(state, nonce), { returnUrl: RETURN_URL });
+    assert.ok(created.has(nonce));
+  });
+
+  it('rejects a state that was already used', async () => {
+    const { state, nonce } = createOAuthState(RETURN_URL);
+
+    assert.ok(await consumeOAuthState(state, nonce));
+    assert.equal(await consumeOAuthState(state, nonce), null);
+  });
+
+  it('rejects a state from another browser', async () => {
+    const { state } = createOAuthState(RETURN_URL);
+    const other = createOAuthState(RETURN_URL);
+
+    assert.equal(await consumeOAuthState(state, other.nonce), null);
+    assert.equal(await consumeOAuthState(state, undefined), null);
+    assert.equal(created.size, 0);
+  });
+
+  it('rejects a state whose payload was changed', async () => {
+    const { state, nonce } = createOAuthState(RETURN_URL);
+
+    assert.equal(await consumeOAuthState(forgeState(state, { r: 'https://evil.example/' }), nonce), null);
+    assert.equal(await consumeOAuthState(forgeState(state, { exp: Date.now() + 10 * STATE_TTL_MS }), nonce), null);
+  });
+
+  it('rejects a session token passed as a state', async () => {
+    const token = createSessionToken({ id: '200000000000000001', username: 'torchbearer' });
+
+    assert.equal(await consumeOAuthState(token, 'nonce'), null);
+  });
+
+  it('accepts a state until it expires and rejects it after', async () => {
+    const now = Date.now();
+    const first = createOAuthState(RETURN_URL);
+    const second = createOAuthState(RETURN_URL);
+
+    mock.method(Date, 'now', () => now + STATE_TTL_MS);
+    assert.ok(await consumeOAuthState(first.state, first.nonce));
+
+    mock.method(Date, 'now', () => now + STATE_TTL_MS + 1000);
+    assert.equal(await consumeOAuthState(second.state, second.nonce), null);
+  });
+
+  it('rejects malformed states', async () => {
+    const { state, nonce } = createOAuthState(RETURN_URL);
+
+    for (const value of [undefined, '', 'no-dot', `${state}.extra`, `.${state.split('.')[1]}`]) {
+      assert.equal(await consumeOAuthState(value, nonce), null, `accepted ${value}`);
+    }
+  });
+
+  it('passes on Firestore errors other than a replay', async () => {
+    const { state, nonce } = createOAuthState(RETURN_URL);
+    mock.method(collections, 'get', () => ({
+      doc: () => ({ create: async () => { throw new Error('unavailable'); } })
+    }));
+
+    await assert.rejects(consumeOAuthState(state, nonce), /unavailable/);
+  });
+});
+
+describe('resolveReturnUrl', () => {
+  it('defaults to the frontend URL', () => {
+    assert.equal(resolveReturnUrl(undefined), 'http://localhost:3000');
+    assert.equal(resolveReturnUrl(''), 'http://localhost:3000');
+  });
+
+  it('allows the frontend and the redirect origins', () => {
+    assert.equal(resolveReturnUrl('http://localhost:3000/roams?id=1'), 'http://localhost:3000/roams?id=1');
+    assert.equal(resolveReturnUrl('http://localhost:3001'), 'http://localhost:3001/');
+  });
+
+  it('rejects other origins and invalid URLs', () => {
+    assert.equal(resolveReturnUrl('https://evil.example/roams'), null);
+    assert.equal(resolveReturnUrl('http://localhost:3000.evil.example/'), null);
+    assert.equal(resolveReturnUrl('//evil.example'), null);
+    assert.equal(resolveReturnUrl('javascript:alert(1)'), null);
+  });
+});
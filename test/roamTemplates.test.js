@@ -0,0 +1,95 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getOccurrences, parseRecurrence } from '../services/roamTemplates.js';
+
+// 2024-01-01 is a Monday
+const TUE_THU = { recurrence: { days: ['tue', 'thu'], time: '20:00' } };
+const WEEK_START = Date.parse('2024-01-01T00:00:00Z');
+const WEEK_END = Date.parse('2024-01-08T00:00:00Z');
+
+/**
+ * List the dates of a template's occurrences in a range
+ * @param {Object} template - Roam template
+ * @param {number|string} from - Range start (exclusive)
+ * @param {number|string} to - Range end (inclusive)
+ * @returns {string[]}
+ */
+function occurrenceDates(template, from, to) {
+  const toMs = value => (typeof value === 'string' ? Date.parse(value) : value);
+  return getOccurrences(template, toMs(from), toMs(to)).map(occurrence => occurrence.date);
+}
+
+describe('parseRecurrence', () => {
+  it('parses the string form', () => {
+    assert.deepEqual(parseRecurrence('every Tue/Thu 20:00 UTC'), {
+      recurrence: { days: ['tue', 'thu'], time: '20:00' },
+      error: null
+    });
+    assert.deepEqual(parseRecurrence('Thursday, tuesday thu 07:30').recurrence, { days: ['tue', 'thu'], time: '07:30' });
+  });
+
+  it('parses the object form', () => {
+    assert.deepEqual(parseRecurrence({ days: ['SAT', ' sun '], time: '00:00' }).recurrence, { days: ['sun', 'sat'], time: '00:00' });
+  });
+
+  it('rejects unknown days and missing days', () => {
+    assert.match(parseRecurrence('every Tue/Funday 20:00').error, /weekdays/);
+    assert.match(parseRecurrence('20:00').error, /weekdays/);
+    assert.match(parseRecurrence({ days: [], time: '20:00' }).error, /weekdays/);
+  });
+
+  it('rejects times that are not 24h HH:MM', () => {
+    for (const value of ['Tue 24:00', 'Tue 8:00', 'Tue 20:60', 'Tue 8pm']) {
+      assert.match(parseRecurrence(value).error, /HH:MM/, value);
+    }
+    assert.match(parseRecurrence({ days: ['tue'] }).error, /HH:MM/);
+  });
+
+  it('requires a value', () => {
+    assert.equal(parseRecurrence(undefined).recurrence, null);
+    assert.match(parseRecurrence(null).error, /required/);
+  });
+});
+
+describe('getOccurrences', () => {
+  it('lists the weekly occurrences in a range, soonest first', () => {
+    assert.deepEqual(getOccurrences(TUE_THU, WEEK_START, WEEK_END), [
+      { date: '2024-01-02', time: '20:00', start: Date.parse('2024-01-02T20:00:00Z') },
+      { date: '2024-01-04', time: '20:00', start: Date.parse('2024-01-04T20:00:00Z') }
+    ]);
+  });
+
+  it('excludes an occurrence starting at the range start and includes one at the range end', () => {
+    assert.deepEqual(occurrenceDates(TUE_THU, '2024-01-02T20:00:00Z', '2024-01-04T20:00:00Z'), ['2024-01-04']);
+  });
+
+  it('includes an occurrence later on the day the range starts', () => {
+    assert.deepEqual(occurrenceDates(TUE_THU, '2024-01-02T19:59:00Z', '2024-01-03T00:00:00Z'), ['2024-01-02']);
+    assert.deepEqual(occurrenceDates(TUE_THU, '2024-01-02T20:00:01Z', '2024-01-03T00:00:00Z'), []);
+  });
+
+  it('handles occurrences just after midnight and across a year boundary', () => {
+    const wednesday = { recurrence: { days: ['wed'], time: '00:15' } };
+    assert.deepEqual(occurrenceDates(wednesday, '2024-01-02T23:00:00Z', '2024-01-03T01:00:00Z'), ['2024-01-03']);
+
+    const sunday = { recurrence: { days: ['sun'], time: '23:59' } };
+    assert.deepEqual(occurrenceDates(sunday, '2023-12-31T12:00:00Z', '2024-01-07T23:59:00Z'), ['2023-12-31', '2024-01-07']);
+  });
+
+  it('skips exception dates', () => {
+    assert.deepEqual(occurrenceDates({ ...TUE_THU, exceptions: ['2024-01-04'] }, WEEK_START, WEEK_END), ['2024-01-02']);
+  });
+
+  it('honours the start and end dates, inclusive', () => {
+    assert.deepEqual(occurrenceDates({ ...TUE_THU, startDate: '2024-01-04' }, WEEK_START, WEEK_END), ['2024-01-04']);
+    assert.deepEqual(occurrenceDates({ ...TUE_THU, endDate: '2024-01-02' }, WEEK_START, WEEK_END), ['2024-01-02']);
+    assert.deepEqual(occurrenceDates({ ...TUE_THU, startDate: '2024-01-03', endDate: '2024-01-03' }, WEEK_START, WEEK_END), []);
+    assert.deepEqual(occurrenceDates({ ...TUE_THU, startDate: '2024-02-01' }, WEEK_START, WEEK_END), []);
+  });
+
+  it('returns nothing for an empty range', () => {
+    assert.deepEqual(getOccurrences(TUE_THU, WEEK_END, WEEK_START), []);
+    assert.deepEqual(getOccurrences(TUE_THU, WEEK_START, WEEK_START), []);
+  });
+});
@@ -0,0 +1,92 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatEntryName, getGuestId, getRosterSize, isRosterFull, promoteFromWaitlist } from '../services/roster.js';
+
+const COMPOSITION = { roles: [{ role: 'tank', slots: 1 }, { role: 'healer', slots: 2 }] };
+
+describe('roster size', () => {
+  it('counts signups and guests of both formats', () => {
+    const roam = { signups: ['1', '2'], guests: ['3', { discordId: '4', discordUsername: 'guest' }] };
+
+    assert.equal(getRosterSize(roam), 4);
+    assert.equal(getRosterSize({}), 0);
+    assert.deepEqual(roam.guests.map(getGuestId), ['3', '4']);
+  });
+
+  it('is full only with a positive cap that has been reached', () => {
+    assert.equal(isRosterFull({ signups: ['1', '2'], maxSignups: 2 }), true);
+    assert.equal(isRosterFull({ signups: ['1'], guests: ['2', '3'], maxSignups: '2' }), true);
+    assert.equal(isRosterFull({ signups: ['1'], maxSignups: 2 }), false);
+    assert.equal(isRosterFull({ signups: ['1', '2'], maxSignups: 0 }), false);
+    assert.equal(isRosterFull({ signups: ['1', '2'] }), false);
+  });
+});
+
+describe('promoteFromWaitlist', () => {
+  it('moves the first registered entry onto the signups', () => {
+    const roam = { signups: ['1'], waitlist: [{ discordId: '2', registered: true }, { discordId: '3', registered: true }] };
+
+    assert.equal(promoteFromWaitlist(roam).discordId, '2');
+    assert.deepEqual(roam.signups, ['1', '2']);
+    assert.deepEqual(roam.waitlist.map(entry => entry.discordId), ['3']);
+  });
+
+  it('adds unregistered entries as guests', () => {
+    const roam = { waitlist: [{ discordId: '2', discordUsername: 'wanderer', registered: false }] };
+
+    promoteFromWaitlist(roam);
+    assert.equal(roam.guests.length, 1);
+    assert.equal(roam.guests[0].discordId, '2');
+    assert.equal(roam.guests[0].discordUsername, 'wanderer');
+    assert.equal(roam.signups, undefined);
+  });
+
+  it('does nothing when the waitlist is empty or the roster is full', () => {
+    assert.equal(promoteFromWaitlist({ signups: ['1'] }), null);
+
+    const full = { signups: ['1'], maxSignups: 1, waitlist: [{ discordId: '2', registered: true }] };
+    assert.equal(promoteFromWaitlist(full), null);
+    assert.equal(full.waitlist.length, 1);
+  });
+
+  it('skips entries whose role has no open slot and records the role of the promoted one', () => {
+    const roam = {
+      signups: ['1'],
+      roleSignups: { 1: 'tank' },
+      waitlist: [
+        { discordId: '2', registered: true, role: 'tank' },
+        { discordId: '3', registered: true, role: 'dps' },
+        { discordId: '4', registered: true, role: 'healer' }
+      ]
+    };
+
+    assert.equal(promoteFromWaitlist(roam, COMPOSITION).discordId, '4');
+    assert.deepEqual(roam.roleSignups, { 1: 'tank', 4: 'healer' });
+    assert.deepEqual(roam.waitlist.map(entry => entry.discordId), ['2', '3']);
+  });
+
+  it('returns null when no waiting role has an open slot', () => {
+    const roam = { signups: ['1'], roleSignups: { 1: 'tank' }, waitlist: [{ discordId: '2', registered: true, role: 'tank' }] };
+
+    assert.equal(promoteFromWaitlist(roam, COMPOSITION), null);
+    assert.equal(roam.waitlist.length, 1);
+  });
+
+  it('ignores roles when the roam has no composition', () => {
+    const roam = { roleSignups: { 1: 'tank' }, waitlist: [{ discordId: '2', registered: true, role: 'tank' }] };
+
+    assert.equal(promoteFromWaitlist(roam).discordId, '2');
+  });
+});
+
+describe('formatEntryName', () => {
+  it('shows the character with the Discord name in brackets', () => {
+    assert.equal(formatEntryName('torchbearer', 'Ember'), 'Ember [torchbearer]');
+  });
+
+  it('shows one name when they match or no character is linked', () => {
+    assert.equal(formatEntryName('ember', 'Ember'), 'Ember');
+    assert.equal(formatEntryName('torchbearer', null), 'torchbearer');
+  });
+});
@@ -0,0 +1,76 @@
+import { TEST_ENV } from './helpers/env.js';
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createSessionToken, verifySessionToken } from '../services/sessionService.js';
+
+const USER = { id: '200000000000000001', username: 'torchbearer', discriminator: '0', avatar: null, verified: true };
+
+/**
+ * Sign a payload the way sessionService does, so tests can build tokens it would accept
+ * @param {Object} payload - Token payload
+ * @returns {string} - Session token
+ */
+function signPayload(payload) {
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', TEST_ENV.SESSION_SECRET).update(encodedPayload).digest('base64url');
+  return `${encodedPayload}.${signature}`;
+}
+
+describe('session tokens', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('verifies a token it created', () => {
+    const payload = verifySessionToken(createSessionToken(USER));
+
+    assert.equal(payload.id, USER.id);
+    assert.equal(payload.username, USER.username);
+    assert.ok(payload.exp > payload.iat);
+  });
+
+  it('rejects a token whose payload was changed', () => {
+    const [encodedPayload, signature] = createSessionToken(USER).split('.');
+    const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    const forged = Buffer.from(JSON.stringify({ ...payload, id: '200000000000000002' })).toString('base64url');
+
+    assert.equal(verifySessionToken(`${forged}.${signature}`), null);
+  });
+
+  it('rejects a token whose signature was changed', () => {
+    const [encodedPayload, signature] = createSessionToken(USER).split('.');
+    const flipped = `${signature.startsWith('A') ? 'B' : 'A'}${signature.slice(1)}`;
+
+    assert.equal(verifySessionToken(`${encodedPayload}.${flipped}`), null);
+  });
+
+  it('rejects a token signed with another secret', () => {
+    const encodedPayload = Buffer.from(JSON.stringify({ id: USER.id, exp: Date.now() + 60000 })).toString('base64url');
+    const signature = crypto.createHmac('sha256', 'another-secret').update(encodedPayload).digest('base64url');
+
+    assert.equal(verifySessionToken(`${encodedPayload}.${signature}`), null);
+  });
+
+  it('accepts a token until it expires and rejects it after', () => {
+    const token = createSessionToken(USER);
+    const { exp } = verifySessionToken(token);
+
+    mock.method(Date, 'now', () => exp);
+    assert.ok(verifySessionToken(token));
+
+    mock.method(Date, 'now', () => exp + 1);
+    assert.equal(verifySessionToken(token), null);
+  });
+
+  it('rejects signed payloads without an ID or expiry', () => {
+    assert.equal(verifySessionToken(signPayload({ exp: Date.now() + 60000 })), null);
+    assert.equal(verifySessionToken(signPayload({ id: USER.id })), null);
+  });
+
+  it('rejects malformed tokens', () => {
+    const token = createSessionToken(USER);
+
+    for (const value of [undefined, null, '', 42, 'no-dot', `${token}.extra`, `.${token.split('.')[1]}`]) {
+      assert.equal(verifySessionToken(value), null, `accepted ${value}`);
+    }
+  });
+});